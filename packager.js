@@ -38,7 +38,10 @@ export class Packager {
             "lib/types",
             "lib/schemas",
             "lib/messages",
-            "lib/resources"
+            "lib/resources",
+            "lib/dispatcher",
+            "lib/client",
+            "lib/stores"
         ]
     };
     
@@ -0,0 +1,530 @@
+import Types from "./types.js";
+import Messages from "./messages.js";
+import Schemas from "./schemas.js";
+
+/**
+ * SCIMMY Client Class
+ * @module scimmy/client
+ * @namespace SCIMMY.Client
+ * @description
+ * SCIMMY provides a class, `SCIMMY.Client`, that can be used to consume the SCIM protocol endpoints of a remote service provider.
+ * Unlike the other classes exported by SCIMMY, `SCIMMY.Client` is not a singleton, and a new instance should be created for each remote service provider.
+ *
+ * ## Discovery
+ * Before any resources can be retrieved or modified, the client needs to know which resource types the service provider implements.
+ * The client will retrieve this information from the service provider's `/ServiceProviderConfig`, `/ResourceTypes`, and `/Schemas`
+ * endpoints the first time a resource is requested, or when the `{@link SCIMMY.Client#discover}` method is called.
+ * Any discovered schema definitions that have not already been declared are also declared to the `{@link SCIMMY.Schemas}` class.
+ * ```
+ * // Create a client for a remote service provider, and discover its configuration
+ * const client = await new SCIMMY.Client("https://example.com/scim/v2", {
+ *     headers: {Authorization: "Bearer <token>"}
+ * }).discover();
+ *
+ * // The service provider's configuration is now available
+ * console.log(client.config.patch.supported);
+ * ```
+ *
+ * ## Consuming Resources
+ * Resources are retrieved and modified using the name of the resource type, as declared by the service provider.
+ * Retrieved resources are returned as instances of the relevant `{@link SCIMMY.Types.Schema}` class, and lists of
+ * resources are returned as `{@link SCIMMY.Messages.ListResponse}` instances.
+ * Where the schema of a resource type is one of the bundled schema implementations (e.g. `{@link SCIMMY.Schemas.User}`),
+ * and the resource type has no schema extensions, instances of the bundled schema class will be returned.
+ * ```
+ * // Retrieve a list of users with a filter
+ * const {Resources: users} = await client.list("User", {filter: 'userName sw "A"'});
+ *
+ * // Create, replace, modify, and delete a user
+ * const user = await client.create("User", {userName: "AdeleV"});
+ * await client.replace("User", user.id, {userName: "AdeleV", displayName: "Adele Vance"});
+ * await client.patch("User", user.id, [{op: "replace", path: "active", value: false}]);
+ * await client.delete("User", user.id);
+ * ```
+ *
+ * > **Note:**
+ * > When the `attributes` or `excludedAttributes` parameters are used to retrieve a subset of attributes, retrieved resources
+ * > may not include all attributes required by the resource type's schema, and are instead returned as plain objects.
+ *
+ * ## Injecting Fetch
+ * By default, requests are made using the global `fetch` function. A different implementation can be supplied
+ * via the `fetch` option, which is useful for testing against a local stand-in service provider.
+ * ```
+ * // Send requests directly to a local dispatcher
+ * const client = new SCIMMY.Client("https://example.com", {
+ *     fetch: (url, init) => SCIMMY.Dispatcher.handle(new Request(url, init))
+ * });
+ * ```
+ */
+export default class Client {
+    /**
+     * Schemas with bundled implementations that may be used for discovered resource types
+     * @private
+     */
+    static #bundled = [Schemas.User, Schemas.Group];
+    /**
+     * Names of common attributes automatically included in every schema definition
+     * @private
+     */
+    static #common = ["schemas", "id", "externalId", "meta"];
+    
+    /**
+     * Base URL of the remote service provider
+     * @private
+     */
+    #basepath;
+    /**
+     * Implementation of the fetch function used to send requests
+     * @private
+     */
+    #fetch;
+    /**
+     * Headers to include with every request
+     * @private
+     */
+    #headers;
+    /**
+     * Pending or completed discovery of the remote service provider's configuration
+     * @private
+     */
+    #discovery;
+    /**
+     * Discovered resource types, and the schema classes used to represent their resources
+     * @private
+     */
+    #resourceTypes = new Map();
+    
+    /**
+     * The remote service provider's configuration, once discovered
+     * @type {SCIMMY.Schemas.ServiceProviderConfig|undefined}
+     * @member
+     */
+    config;
+    
+    /**
+     * The remote service provider's resource types, once discovered
+     * @type {SCIMMY.Schemas.ResourceType[]}
+     * @member
+     */
+    resourceTypes = [];
+    
+    /**
+     * The remote service provider's schema definitions, once discovered
+     * @type {SCIMMY.Types.SchemaDefinition[]}
+     * @member
+     */
+    schemas = [];
+    
+    /**
+     * Instantiate a new SCIM client for a remote service provider
+     * @param {String} basepath - the base URL of the remote service provider's SCIM protocol endpoints
+     * @param {Object} [options] - options to use when sending requests to the remote service provider
+     * @param {Function} [options.fetch=globalThis.fetch] - implementation of the fetch function to use when sending requests
+     * @param {Record<String, String>} [options.headers] - headers to include with every request, e.g. for authentication
+     */
+    constructor(basepath, options = {}) {
+        const {fetch = globalThis.fetch, headers = {}} = options ?? {};
+        
+        // Make sure the supplied base URL and options are valid
+        if (typeof basepath !== "string" || !basepath.trim().length)
+            throw new TypeError("Expected 'basepath' parameter to be a non-empty string in Client constructor");
+        if (typeof fetch !== "function")
+            throw new TypeError("Expected 'fetch' option to be a function in Client constructor");
+        if (Object(headers) !== headers || Array.isArray(headers))
+            throw new TypeError("Expected 'headers' option to be an object in Client constructor");
+        
+        this.#basepath = basepath.replace(/\/+$/, "");
+        this.#fetch = fetch;
+        this.#headers = {...headers};
+    }
+    
+    /**
+     * Retrieve the remote service provider's configuration, resource types, and schema definitions
+     * @returns {SCIMMY.Client} this client instance for chaining
+     */
+    async discover() {
+        const discovery = this.#discovery = (async () => {
+            const [config, resourceTypes, schemas] = await Promise.all([
+                this.#request("GET", "/ServiceProviderConfig"),
+                this.#request("GET", "/ResourceTypes").then((r) => new Messages.ListResponse(r).Resources),
+                this.#request("GET", "/Schemas").then((r) => new Messages.ListResponse(r).Resources)
+            ]);
+            
+            // Parse the discovered schema definitions, and declare any that are unknown
+            const definitions = schemas.map((description) => Client.#definition(description));
+            for (let definition of definitions) if (!Schemas.declared(definition.id)) Schemas.declare(definition);
+            
+            // Store everything that was discovered
+            this.config = new Schemas.ServiceProviderConfig(config);
+            this.schemas = definitions;
+            this.#resourceTypes = new Map(resourceTypes.map((resourceType) => [
+                resourceType.name, {resourceType: new Schemas.ResourceType(resourceType), schema: Client.#schema(resourceType, schemas)}
+            ]));
+            this.resourceTypes = [...this.#resourceTypes.values()].map(({resourceType}) => resourceType);
+        })();
+        
+        try {
+            await discovery;
+        } catch (ex) {
+            // Allow discovery to be attempted again if it failed
+            if (this.#discovery === discovery) this.#discovery = undefined;
+            throw ex;
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Retrieve a list of resources of a given resource type
+     * @param {String} resourceType - name of the resource type to retrieve resources of
+     * @param {Object} [params] - filter, attribute, sort, and pagination parameters to send with the request
+     * @param {String|SCIMMY.Types.Filter} [params.filter] - the filter to be applied by the service provider
+     * @param {String[]} [params.excludedAttributes] - the string list of attributes to exclude from retrieved resources
+     * @param {String[]} [params.attributes] - the string list of attributes to include in retrieved resources
+     * @param {String} [params.sortBy] - the attribute retrieved resources should be sorted by
+     * @param {String} [params.sortOrder] - the direction retrieved resources should be sorted in
+     * @param {Number} [params.startIndex] - offset index that retrieved resources should start from
+     * @param {Number} [params.count] - maximum number of retrieved resources that should be returned
+     * @returns {SCIMMY.Messages.ListResponse<SCIMMY.Types.Schema>} the list of retrieved resources
+     */
+    async list(resourceType, params) {
+        const target = await this.#target(resourceType, "list");
+        const {schemas, ...query} = Client.#query(params, "list");
+        
+        return this.#list(await this.#request("GET", target.resourceType.endpoint, {query}), query, target);
+    }
+    
+    /**
+     * Retrieve a specific resource of a given resource type
+     * @param {String} resourceType - name of the resource type to retrieve the resource from
+     * @param {String} id - ID of the resource to retrieve
+     * @param {Object} [params] - attribute parameters to send with the request
+     * @param {String[]} [params.excludedAttributes] - the string list of attributes to exclude from the retrieved resource
+     * @param {String[]} [params.attributes] - the string list of attributes to include in the retrieved resource
+     * @returns {SCIMMY.Types.Schema} the retrieved resource
+     */
+    async get(resourceType, id, params) {
+        const target = await this.#target(resourceType, "get");
+        const {schemas, ...query} = Client.#query(params, "get");
+        
+        return Client.#coerce(target, await this.#request("GET", Client.#path(target, id, "get"), {query}), query);
+    }
+    
+    /**
+     * Create a new resource of a given resource type
+     * @param {String} resourceType - name of the resource type to create the resource for
+     * @param {Object} data - the resource to create
+     * @returns {SCIMMY.Types.Schema} the created resource
+     */
+    async create(resourceType, data) {
+        const target = await this.#target(resourceType, "create");
+        const body = Client.#values(new target.schema(data, "in"));
+        
+        return Client.#coerce(target, await this.#request("POST", target.resourceType.endpoint, {body}));
+    }
+    
+    /**
+     * Replace an existing resource of a given resource type
+     * @param {String} resourceType - name of the resource type the resource belongs to
+     * @param {String} id - ID of the resource to replace
+     * @param {Object} data - the new contents of the resource
+     * @returns {SCIMMY.Types.Schema} the replaced resource
+     */
+    async replace(resourceType, id, data) {
+        const target = await this.#target(resourceType, "replace");
+        const path = Client.#path(target, id, "replace");
+        const body = Client.#values(new target.schema(data, "in"));
+        
+        return Client.#coerce(target, await this.#request("PUT", path, {body}));
+    }
+    
+    /**
+     * Modify an existing resource of a given resource type
+     * @param {String} resourceType - name of the resource type the resource belongs to
+     * @param {String} id - ID of the resource to modify
+     * @param {SCIMMY.Messages.PatchOp|SCIMMY.Messages.PatchOp~PatchOpOperation[]} operations - the PatchOp message, or list of patch operations, to send
+     * @returns {SCIMMY.Types.Schema|undefined} the modified resource, or undefined if the service provider did not return it
+     */
+    async patch(resourceType, id, operations) {
+        const target = await this.#target(resourceType, "patch");
+        const path = Client.#path(target, id, "patch");
+        const body = (operations instanceof Messages.PatchOp ? operations : new Messages.PatchOp({schemas: [Messages.PatchOp.id], Operations: operations}));
+        const result = await this.#request("PATCH", path, {body});
+        
+        return (result === undefined ? undefined : Client.#coerce(target, result));
+    }
+    
+    /**
+     * Delete an existing resource of a given resource type
+     * @param {String} resourceType - name of the resource type the resource belongs to
+     * @param {String} id - ID of the resource to delete
+     * @returns {void}
+     */
+    async delete(resourceType, id) {
+        const target = await this.#target(resourceType, "delete");
+        
+        await this.#request("DELETE", Client.#path(target, id, "delete"));
+    }
+    
+    /**
+     * Search for resources of a given resource type
+     * @overload
+     * @param {String} resourceType - name of the resource type to search for resources of
+     * @param {SCIMMY.Messages.SearchRequest|Object} request - the SearchRequest message, or search parameters, to send
+     * @returns {SCIMMY.Messages.ListResponse<SCIMMY.Types.Schema>} the list of resources matching the search
+     */
+    /**
+     * Search for resources of any resource type
+     * @overload
+     * @param {SCIMMY.Messages.SearchRequest|Object} request - the SearchRequest message, or search parameters, to send
+     * @returns {SCIMMY.Messages.ListResponse<SCIMMY.Types.Schema|Object>} the list of resources matching the search
+     */
+    /**
+     * Search for resources using a SearchRequest message
+     * @param {String|SCIMMY.Messages.SearchRequest|Object} [resourceType] - name of the resource type to search for resources of
+     * @param {SCIMMY.Messages.SearchRequest|Object} [request] - the SearchRequest message, or search parameters, to send
+     * @returns {SCIMMY.Messages.ListResponse<SCIMMY.Types.Schema|Object>} the list of resources matching the search
+     */
+    async search(resourceType, request) {
+        // Handle the case where only the request was supplied
+        if (typeof resourceType !== "string") [resourceType, request] = [undefined, resourceType];
+        
+        await (this.#discovery ?? this.discover());
+        
+        const target = (resourceType !== undefined ? await this.#target(resourceType, "search") : undefined);
+        const body = (request instanceof Messages.SearchRequest ? request : Client.#query(request, "search"));
+        const path = `${target?.resourceType?.endpoint ?? ""}/.search`;
+        
+        return this.#list(await this.#request("POST", path, {body}), body, target);
+    }
+    
+    /**
+     * Send a bulk request to the service provider
+     * @param {SCIMMY.Messages.BulkRequest|Object[]} operations - the BulkRequest message, or list of bulk operations, to send
+     * @param {Number} [failOnErrors] - number of errors the service provider should accept before the operation is terminated
+     * @returns {SCIMMY.Messages.BulkResponse} the results of the bulk request
+     */
+    async bulk(operations, failOnErrors) {
+        const body = (operations instanceof Messages.BulkRequest ? operations : new Messages.BulkRequest({
+            schemas: [Messages.BulkRequest.id], Operations: operations, ...(failOnErrors !== undefined ? {failOnErrors} : {})
+        }));
+        
+        return new Messages.BulkResponse(await this.#request("POST", "/Bulk", {body}));
+    }
+    
+    /**
+     * Find a discovered resource type by name, discovering resource types if necessary
+     * @param {String} name - name of the resource type to find
+     * @param {String} method - name of the method the resource type was requested by
+     * @returns {Promise<{resourceType: SCIMMY.Schemas.ResourceType, schema: typeof SCIMMY.Types.Schema}>} the discovered resource type and its schema class
+     * @private
+     */
+    async #target(name, method) {
+        if (typeof name !== "string" || !name.length)
+            throw new TypeError(`Expected 'resourceType' parameter to be a non-empty string in '${method}' method of Client`);
+        
+        // Make sure resource types have been discovered
+        await (this.#discovery ?? this.discover());
+        
+        if (!this.#resourceTypes.has(name))
+            throw new TypeError(`Resource type '${name}' was not discovered at service provider in '${method}' method of Client`);
+        
+        return this.#resourceTypes.get(name);
+    }
+    
+    /**
+     * Send a request to the remote service provider, and parse the response
+     * @param {String} method - the HTTP method of the request
+     * @param {String} path - the path of the request, relative to the service provider's base URL
+     * @param {Object} [options] - the query parameters and body of the request
+     * @param {Object} [options.query] - query parameters to include in the request URL
+     * @param {Object} [options.body] - the body of the request, to be serialised as JSON
+     * @returns {Promise<Object|undefined>} the parsed body of the response, if any
+     * @private
+     */
+    async #request(method, path, {query, body} = {}) {
+        const search = new URLSearchParams(Object.entries(query ?? {})
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => [key, Array.isArray(value) ? value.join(",") : String(value)])).toString();
+        const response = await this.#fetch(`${this.#basepath}${path}${search.length ? `?${search}` : ""}`, {
+            method, headers: {
+                "Accept": "application/scim+json, application/json",
+                ...(body !== undefined ? {"Content-Type": "application/scim+json"} : {}),
+                ...this.#headers
+            },
+            ...(body !== undefined ? {body: JSON.stringify(body)} : {})
+        });
+        
+        const text = await response.text();
+        let result;
+        
+        try {
+            result = (!!text.trim().length ? JSON.parse(text) : undefined);
+        } catch {
+            if (response.ok) throw new TypeError(`Unable to parse response body of ${method} request to ${path} as JSON`);
+        }
+        
+        // Rethrow any errors from the service provider as SCIM errors
+        if (!response.ok) {
+            if (Array.isArray(result?.schemas) && result.schemas.includes(Messages.ErrorResponse.id)) new Messages.ErrorResponse(result);
+            throw new Types.Error(response.status, null, `Unexpected status code ${response.status} in response to ${method} request to ${path}`);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Convert a list of retrieved resources into a ListResponse of schema instances
+     * @param {Object} result - the parsed ListResponse message body
+     * @param {Object} [query] - the parameters used to retrieve the list
+     * @param {Object} [target] - the resource type that was requested, if any
+     * @returns {SCIMMY.Messages.ListResponse<SCIMMY.Types.Schema|Object>} the list of retrieved resources
+     * @private
+     */
+    #list(result, query, target) {
+        const list = new Messages.ListResponse(result);
+        
+        list.Resources = list.Resources.map((resource) => {
+            // When no resource type was requested, find it from the resource's schemas
+            const source = target ?? [...this.#resourceTypes.values()]
+                .find(({resourceType}) => (resource?.schemas ?? []).includes(resourceType.schema));
+            
+            return (source ? Client.#coerce(source, resource, query) : resource);
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Coerce a retrieved resource into an instance of its resource type's schema class
+     * @param {Object} target - the resource type the resource belongs to
+     * @param {Object} resource - the retrieved resource
+     * @param {Object} [query] - the parameters used to retrieve the resource
+     * @returns {SCIMMY.Types.Schema|Object} the coerced resource, or the resource itself if only some attributes were retrieved
+     * @private
+     */
+    static #coerce(target, resource, query) {
+        if (!!query?.attributes?.length || !!query?.excludedAttributes?.length) return resource;
+        else return new target.schema(resource, "out");
+    }
+    
+    /**
+     * Copy the values of a coerced resource into a plain object to send to the service provider
+     * Unlike the resource's "toJSON" method, values of attributes that are never returned (e.g. password) are kept,
+     * as they are still expected to be written by the service provider.
+     * @param {Object} value - the coerced resource, or one of its values
+     * @returns {Object} a plain copy of the value, with all attribute values included
+     * @private
+     */
+    static #values(value) {
+        if (Array.isArray(value)) return value.map((v) => Client.#values(v));
+        else if (value === null || typeof value !== "object" || value instanceof Date) return value;
+        else return Object.fromEntries(Object.entries(value)
+            .filter(([, v]) => v !== undefined)
+            .map(([k, v]) => [k, Client.#values(v)]));
+    }
+    
+    /**
+     * Get the path of a specific resource of a resource type
+     * @param {Object} target - the resource type the resource belongs to
+     * @param {String} id - ID of the resource
+     * @param {String} method - name of the method the path was requested by
+     * @returns {String} the path of the resource, relative to the service provider's base URL
+     * @private
+     */
+    static #path(target, id, method) {
+        if (typeof id !== "string" || !id.length)
+            throw new TypeError(`Expected 'id' parameter to be a non-empty string in '${method}' method of Client`);
+        
+        return `${target.resourceType.endpoint}/${encodeURIComponent(id)}`;
+    }
+    
+    /**
+     * Validate filter, attribute, sort, and pagination parameters
+     * @param {Object} [params] - the parameters to validate
+     * @param {String} method - name of the method the parameters were supplied to
+     * @returns {SCIMMY.Messages.SearchRequest} a SearchRequest containing the validated parameters
+     * @private
+     */
+    static #query(params, method) {
+        try {
+            return new Messages.SearchRequest().prepare(params ?? {});
+        } catch (ex) {
+            throw new TypeError(ex.message.replace("'prepare' method of SearchRequest", `'${method}' method of Client`));
+        }
+    }
+    
+    /**
+     * Create a schema class for a discovered resource type
+     * @param {Object} resourceType - the discovered resource type
+     * @param {Object[]} schemas - descriptions of the discovered schema definitions
+     * @returns {typeof SCIMMY.Types.Schema} the schema class to use for resources of the resource type
+     * @private
+     */
+    static #schema(resourceType, schemas) {
+        const {name, schema: id, schemaExtensions: extensions = []} = resourceType;
+        const find = (id) => schemas.find((schema) => schema.id === id) ?? (() => {
+            throw new TypeError(`Schema '${id}' of resource type '${name}' was not discovered at service provider`);
+        })();
+        
+        // Use bundled schema implementations where possible
+        if (!extensions.length && Client.#bundled.some((S) => S.id === id))
+            return Client.#bundled.find((S) => S.id === id);
+        
+        // Otherwise, create a new definition with any schema extensions
+        const definition = Client.#definition(find(id));
+        for (let {schema, required} of extensions) definition.extend(Client.#definition(find(schema)), required);
+        
+        // Create a named schema class for the definition
+        const {[name]: target} = {[name]: class extends Types.Schema {
+            static get definition() {
+                return definition;
+            }
+            
+            constructor(resource, direction = "both", basepath, filters) {
+                super(resource, direction);
+                Object.assign(this, definition.coerce(resource, direction, basepath, filters));
+            }
+        }};
+        
+        return target;
+    }
+    
+    /**
+     * Create a SchemaDefinition instance from a discovered schema definition's description
+     * @param {Object} description - the description of the schema definition, as retrieved from the service provider
+     * @returns {SCIMMY.Types.SchemaDefinition} the schema definition instance
+     * @private
+     */
+    static #definition(description) {
+        const {id, name = String(id).split(":").pop(), description: summary = "", attributes = []} = description ?? {};
+        
+        return new Types.SchemaDefinition(name, id, summary ?? "", attributes
+            .filter((attribute) => !Client.#common.includes(attribute?.name))
+            .map((attribute) => Client.#attribute(attribute)));
+    }
+    
+    /**
+     * Create an Attribute instance from a discovered attribute's description
+     * @param {SCIMMY.Types.Attribute~AttributeDefinition} description - the description of the attribute, as retrieved from the service provider
+     * @returns {SCIMMY.Types.Attribute} the attribute instance
+     * @private
+     */
+    static #attribute(description) {
+        const {
+            type, name, subAttributes = [], multiValued = false, description: summary = "", required = false,
+            caseExact = false, canonicalValues, referenceTypes, mutability = "readWrite", returned = "default", uniqueness = "none"
+        } = description;
+        
+        return new Types.Attribute(type, name, {
+            multiValued, required, description: summary ?? "",
+            canonicalValues: (Array.isArray(canonicalValues) && !!canonicalValues.length ? canonicalValues : false),
+            referenceTypes: (Array.isArray(referenceTypes) ? referenceTypes : false),
+            // Translate mutability and returned characteristics into their attribute config equivalents
+            mutable: ({readWrite: true, readOnly: false})[mutability] ?? mutability,
+            returned: ({default: true, never: false})[returned] ?? returned,
+            // Binary attributes are always case-exact, and never unique
+            ...(type !== "binary" ? {caseExact, uniqueness} : {})
+        }, (type === "complex" ? subAttributes.map((attribute) => Client.#attribute(attribute)) : undefined));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,415 @@
+import Types from "./types.js";
+import Messages from "./messages.js";
+import Resources from "./resources.js";
+import Config from "./config.js";
+
+/**
+ * SCIMMY Protocol Dispatcher Class
+ * @module scimmy/dispatcher
+ * @namespace SCIMMY.Dispatcher
+ * @description
+ * SCIMMY provides a singleton class, `SCIMMY.Dispatcher`, that maps framework-agnostic HTTP requests onto the SCIM protocol
+ * endpoints described in [RFC7644§3.2](https://datatracker.ietf.org/doc/html/rfc7644#section-3.2), using the resource types
+ * declared in `{@link SCIMMY.Resources}`. It removes the need to hand-write the glue between your web framework of choice
+ * and the `read`, `write`, `patch`, and `dispose` methods of resource type implementations.
+ *
+ * ## Dispatching Requests
+ * Requests are dispatched by calling `{@link SCIMMY.Dispatcher.dispatch}` with a plain object describing the request.
+ * The returned promise always resolves to a plain object describing the response, which can be sent by your web framework.
+ * Any SCIM errors thrown while handling the request are converted into `{@link SCIMMY.Messages.ErrorResponse}` bodies.
+ * ```
+ * // Dispatch a request to retrieve a specific user
+ * const {status, headers, body} = await SCIMMY.Dispatcher.dispatch({
+ *     method: "GET", path: "/Users/1", query: {attributes: "userName"}, headers: {}
+ * });
+ *
+ * // Send the response using your web framework
+ * res.status(status).set(headers).send(JSON.stringify(body));
+ * ```
+ *
+ * The following endpoints and methods are supported, where `<Endpoint>` is the endpoint of any declared resource type:
+ * *   `GET /<Endpoint>`, `GET /<Endpoint>/<id>` - retrieves resources, responding with status code `200`.
+ * *   `POST /<Endpoint>` - creates a new resource, responding with status code `201` and a `Location` header.
+ * *   `PUT /<Endpoint>/<id>` - replaces an existing resource, responding with status code `200`.
+ * *   `PATCH /<Endpoint>/<id>` - modifies an existing resource, responding with status code `200`, or `204` if nothing changed.
+ * *   `DELETE /<Endpoint>/<id>` - deletes an existing resource, responding with status code `204`.
+ * *   `POST /.search`, `POST /<Endpoint>/.search` - applies a `{@link SCIMMY.Messages.SearchRequest}` message.
+ * *   `POST /Bulk` - applies a `{@link SCIMMY.Messages.BulkRequest}` message.
+ * *   `GET /Schemas`, `GET /ResourceTypes`, and `GET /ServiceProviderConfig` - retrieves service provider configuration.
+ * *   `GET /Me`, `PUT /Me`, `PATCH /Me`, and `DELETE /Me` - handles the authenticated subject's resource, as resolved by `{@link SCIMMY.Resources.Me}`.
+ *
+ * > **Note:**
+ * > PATCH and bulk operations are only dispatched when they have been marked as supported in `{@link SCIMMY.Config}`,
+ * > otherwise requests using them will receive an error response with status code `501`.
+ *
+ * ## Conditional Requests
+ * The `If-Match` and `If-None-Match` headers of requests to specific resources are passed to resource type implementations
+ * as preconditions, as described in [RFC7644§3.14](https://datatracker.ietf.org/doc/html/rfc7644#section-3.14).
+ * Requests whose preconditions are not met by the version of the targeted resource receive an error response with status code `412`,
+ * except for `GET` requests with a matching `If-None-Match` header, which receive an empty response with status code `304`.
+ * Where a resource's version is known, it is included in the `ETag` header of responses containing the resource.
+ *
+ * ## Handling Fetch Requests
+ * In runtimes that implement the [Fetch Standard](https://fetch.spec.whatwg.org/) (e.g. Deno, Bun, service workers, and Node.js 18+),
+ * WHATWG `Request` instances can be handled directly by calling `{@link SCIMMY.Dispatcher.handle}`, which resolves to a WHATWG `Response` instance.
+ * Request bodies must have a content type of either `application/scim+json` or `application/json`, and the content type of the response
+ * is negotiated from the request's `Accept` header, preferring `application/scim+json`. The `startIndex` and `count` query parameters
+ * are also converted from strings into numbers before being passed to resource type implementations, and must be integers if supplied.
+ * ```
+ * // Serve SCIM requests with Deno
+ * Deno.serve((request) => SCIMMY.Dispatcher.handle(request));
+ * 
+ * // Or with Bun
+ * Bun.serve({fetch: (request) => SCIMMY.Dispatcher.handle(request)});
+ * 
+ * // Or with the built-in Node.js http module, using a small adapter
+ * http.createServer(async (req, res) => {
+ *     const body = (["GET", "HEAD"].includes(req.method) ? undefined : req);
+ *     const request = new Request(`http://${req.headers.host}${req.url}`, {method: req.method, headers: req.headers, body, duplex: "half"});
+ *     const response = await SCIMMY.Dispatcher.handle(request);
+ *     
+ *     res.writeHead(response.status, Object.fromEntries(response.headers)).end(await response.text());
+ * }).listen(8080);
+ * ```
+ *
+ * ## Base Paths
+ * By default, request paths are expected to be relative to the service provider's base URL.
+ * If your web framework supplies the full path of the request, the base URL can be set via the `{@link SCIMMY.Dispatcher.basepath}` method,
+ * and it will be removed from the path of any dispatched requests.
+ * ```
+ * // Requests to "/scim/v2/Users" will now be dispatched to the "/Users" endpoint
+ * SCIMMY.Dispatcher.basepath("/scim/v2");
+ * ```
+ */
+export default class Dispatcher {
+    /**
+     * Store internal resources that are always available
+     * @private
+     */
+    static #internals = [Resources.Schema, Resources.ResourceType, Resources.ServiceProviderConfig];
+    /**
+     * Store the base path to remove from request paths
+     * @private
+     */
+    static #basepath;
+    /**
+     * Media types that can be consumed and produced by the dispatcher, in order of preference
+     * @private
+     */
+    static #mediaTypes = ["application/scim+json", "application/json"];
+    
+    /**
+     * Sets or retrieves the base path that is removed from the path of dispatched requests
+     * @param {String} [path] - the service provider's base URL path
+     * @returns {typeof SCIMMY.Dispatcher|String} the Dispatcher class for chaining if path is a string, or the current base path
+     */
+    static basepath(path) {
+        if (path === undefined) return Dispatcher.#basepath;
+        else if (typeof path !== "string")
+            throw new TypeError("Expected 'path' parameter to be a string in 'basepath' method of Dispatcher");
+        else Dispatcher.#basepath = (path.endsWith("/") ? path.slice(0, -1) : path);
+        
+        return Dispatcher;
+    }
+    
+    /**
+     * Plain object representing a HTTP request to be dispatched
+     * @typedef {Object} SCIMMY.Dispatcher~RequestDetails
+     * @property {String} method - the HTTP method of the request
+     * @property {String} path - the path of the request, relative to the service provider's base URL
+     * @property {Object} [query] - parsed query parameters of the request, passed through to the targeted resource type
+     * @property {Record<String, String>} [headers] - headers included with the request
+     * @property {Object} [body] - parsed JSON body of the request
+     * @inner
+     */
+    
+    /**
+     * Plain object representing a HTTP response to be sent
+     * @typedef {Object} SCIMMY.Dispatcher~ResponseDetails
+     * @property {Number} status - the HTTP status code of the response
+     * @property {Record<String, String>} headers - headers to include with the response
+     * @property {Object} [body] - the body of the response, to be serialised as JSON, or undefined if there is no content
+     * @inner
+     */
+    
+    /**
+     * Dispatch a request to the relevant SCIM protocol endpoint
+     * @param {SCIMMY.Dispatcher~RequestDetails} request - details of the request to dispatch
+     * @param {*} [ctx] - any additional context information to pass to the ingress, egress, and degress handlers
+     * @returns {SCIMMY.Dispatcher~ResponseDetails} details of the response to send
+     */
+    static async dispatch(request, ctx) {
+        // Make sure request is a valid object
+        if (Object(request) !== request || Array.isArray(request))
+            throw new TypeError("Expected 'request' parameter to be an object in 'dispatch' method of Dispatcher");
+        
+        const {method = "GET", path = "/", query = {}, body} = request;
+        const preconditions = Dispatcher.#preconditions(request.headers);
+        const headers = {"Content-Type": "application/scim+json"};
+        
+        try {
+            const {status, body: response} = await Dispatcher.#route(String(method).toUpperCase(), Dispatcher.#segments(path), query, preconditions, body, ctx);
+            
+            // Include location of newly created resources in response headers
+            if (status === 201 && typeof response?.meta?.location === "string")
+                headers.Location = response.meta.location;
+            // Include the version of any returned resource in response headers
+            if (typeof response?.meta?.version === "string")
+                headers.ETag = response.meta.version;
+            
+            return {status, headers, ...(response !== undefined ? {body: response} : {})};
+        } catch (ex) {
+            const error = Dispatcher.#error(ex);
+            
+            return {status: Number(error.status), headers, body: error};
+        }
+    }
+    
+    /**
+     * Handle a WHATWG Fetch Request, and dispatch it to the relevant SCIM protocol endpoint
+     * @param {Request} request - the Fetch API request to handle
+     * @param {*} [ctx] - any additional context information to pass to the ingress, egress, and degress handlers
+     * @returns {Response} the Fetch API response to send
+     */
+    static async handle(request, ctx) {
+        // Make sure request looks like a Fetch API request
+        if (Object(request) !== request || typeof request.url !== "string" || typeof request.method !== "string" || typeof request.text !== "function")
+            throw new TypeError("Expected 'request' parameter to be a Fetch API Request instance in 'handle' method of Dispatcher");
+        
+        const url = new URL(request.url);
+        const headers = Object.fromEntries(request.headers?.entries?.() ?? []);
+        const accepts = Dispatcher.#negotiate(request.headers?.get?.("accept"));
+        let result;
+        
+        try {
+            const query = Dispatcher.#query(url.searchParams);
+            const body = await Dispatcher.#body(request);
+            
+            result = await Dispatcher.dispatch({method: request.method, path: url.pathname, query, headers, body}, ctx);
+        } catch (ex) {
+            const error = Dispatcher.#error(ex);
+            
+            result = {status: Number(error.status), headers: {}, body: error};
+        }
+        
+        // Serialise the result using the negotiated content type
+        return new Response(result.body !== undefined ? JSON.stringify(result.body) : null, {
+            status: result.status, headers: {...result.headers, "Content-Type": accepts}
+        });
+    }
+    
+    /**
+     * Negotiate the content type of a response from the value of a request's Accept header
+     * @param {String} [accept] - value of the Accept header of the request
+     * @returns {String} the most preferred supported media type, defaulting to "application/scim+json"
+     * @private
+     */
+    static #negotiate(accept) {
+        // Get requested media types, ordered by quality factor
+        const requested = String(accept ?? "").split(",")
+            .map((value) => value.split(";").map(v => v.trim().toLowerCase()))
+            .map(([type, ...params]) => [type, Number(params.find(p => p.startsWith("q="))?.substring(2) ?? 1)])
+            .filter(([type, q]) => !!type && q > 0)
+            .sort(([, a], [, b]) => b - a);
+        
+        // Find the first requested media type that is supported, treating wildcards as the preferred media type
+        for (let [type] of requested) {
+            if (Dispatcher.#mediaTypes.includes(type)) return type;
+            else if (["*/*", "application/*"].includes(type)) return Dispatcher.#mediaTypes[0];
+        }
+        
+        return Dispatcher.#mediaTypes[0];
+    }
+    
+    /**
+     * Convert the search parameters of a request URL into query parameters expected by resource type implementations
+     * @param {URLSearchParams} params - the search parameters to convert
+     * @returns {Object} the query parameters of the request
+     * @throws {SCIMMY.Types.Error} an invalidValue error if the "startIndex" or "count" parameters are not integers
+     * @private
+     */
+    static #query(params) {
+        const query = Object.fromEntries(params.entries());
+        
+        // Resource type constructors expect pagination parameters to be numbers, so make sure they are integers
+        for (let key of ["startIndex", "count"].filter((key) => key in query)) {
+            if (!/^-?\d+$/.test(query[key].trim()))
+                throw new Types.Error(400, "invalidValue", `Expected '${key}' query parameter to be an integer, got '${query[key]}'`);
+            
+            query[key] = Number(query[key]);
+        }
+        
+        return query;
+    }
+    
+    /**
+     * Convert any conditional headers of a request into preconditions expected by resource type implementations
+     * @param {Record<String, String>} [headers] - headers included with the request, in any case
+     * @returns {Object} the If-Match and If-None-Match values of the request, as "ifMatch" and "ifNoneMatch" properties
+     * @private
+     */
+    static #preconditions(headers) {
+        const names = {"if-match": "ifMatch", "if-none-match": "ifNoneMatch"};
+        
+        return Object.fromEntries(Object.entries(Object(headers ?? {}))
+            .map(([name, value]) => [names[String(name).toLowerCase()], value])
+            .filter(([name, value]) => !!name && typeof value === "string"));
+    }
+    
+    /**
+     * Read and parse the JSON body of a request, if it has one
+     * @param {Request} request - the Fetch API request to read the body of
+     * @returns {Promise<Object|undefined>} the parsed body of the request, or undefined if it was empty
+     * @private
+     */
+    static async #body(request) {
+        const text = await request.text();
+        
+        // Requests without a body don't need a content type
+        if (!text.trim().length) return undefined;
+        
+        const contentType = String(request.headers?.get?.("content-type") ?? "").split(";").shift().trim().toLowerCase();
+        
+        // Make sure the body was sent with a supported content type
+        if (!Dispatcher.#mediaTypes.includes(contentType))
+            throw new Types.Error(400, "invalidSyntax", `Unsupported request body content type '${contentType || "none"}', expected one of '${Dispatcher.#mediaTypes.join("', '")}'`);
+        
+        try {
+            return JSON.parse(text);
+        } catch {
+            throw new Types.Error(400, "invalidSyntax", "Unable to parse request body as JSON");
+        }
+    }
+    
+    /**
+     * Convert a request path into its endpoint segments, removing any base path and query string
+     * @param {String} path - the request path to convert
+     * @returns {String[]} decoded segments of the path relative to the service provider's base URL
+     * @private
+     */
+    static #segments(path) {
+        let target = String(path).split("?").shift();
+        
+        // Remove the base path, if the request path includes it
+        if (!!Dispatcher.#basepath && (target === Dispatcher.#basepath || target.startsWith(`${Dispatcher.#basepath}/`)))
+            target = target.substring(Dispatcher.#basepath.length);
+        
+        try {
+            return target.split("/").filter(s => !!s).map(decodeURIComponent);
+        } catch {
+            throw new Types.Error(400, "invalidSyntax", `Unable to decode request path '${path}'`);
+        }
+    }
+    
+    /**
+     * Find the relevant endpoint for a request, and call the appropriate method to handle it
+     * @param {String} method - the uppercase HTTP method of the request
+     * @param {String[]} segments - decoded segments of the request path
+     * @param {Object} query - parsed query parameters of the request
+     * @param {Object} preconditions - If-Match and If-None-Match values of the request
+     * @param {Object} [body] - parsed JSON body of the request
+     * @param {*} [ctx] - any additional context information to pass to the ingress, egress, and degress handlers
+     * @returns {Promise<{status: Number, body?: Object}>} the status code and body of the response
+     * @private
+     */
+    static async #route(method, segments, query, preconditions, body, ctx) {
+        const [endpoint, id, ...rest] = segments;
+        const path = `/${segments.join("/")}`;
+        const unsupported = () => new Types.Error(501, null, `Method ${method} not supported by endpoint ${path}`);
+        
+        // Handle root-level search requests
+        if (endpoint === ".search" && !id) {
+            if (method !== "POST") throw unsupported();
+            else return {status: 200, body: await new Messages.SearchRequest(body).apply(undefined, ctx)};
+        }
+        
+        // Handle bulk requests
+        if (endpoint === "Bulk" && !id) {
+            const {supported, maxOperations, maxPayloadSize} = Config.get().bulk;
+            
+            // Make sure bulk operations are supported, and the request isn't too large
+            if (method !== "POST" || !supported) throw unsupported();
+            if (new TextEncoder().encode(JSON.stringify(body ?? {})).length > maxPayloadSize)
+                throw new Types.Error(413, null, `The size of the bulk operation exceeds the maxPayloadSize (${maxPayloadSize})`);
+            
+            return {status: 200, body: await new Messages.BulkRequest(body, maxOperations).apply(undefined, ctx)};
+        }
+        
+        // Find the resource type for the requested endpoint
+        const TargetResource = (!endpoint || !!rest.length ? undefined : [...Dispatcher.#internals, Resources.Me, ...Object.values(Resources.declared())]
+            .find((R) => R.endpoint === `/${endpoint}`));
+        // Requests to the Me endpoint always target the authenticated subject's specific resource, without an ID
+        const specific = (!!id || TargetResource === Resources.Me);
+        
+        // Bail out if there is no such resource type
+        if (!TargetResource || (TargetResource === Resources.Me && !!id))
+            throw new Types.Error(404, null, `Endpoint ${path} not found`);
+        
+        // Handle search requests for a specific resource type
+        if (id === ".search") {
+            if (method !== "POST") throw unsupported();
+            else return {status: 200, body: await new Messages.SearchRequest(body).apply([TargetResource], ctx)};
+        }
+        
+        // Internal resource types are read-only
+        if (Dispatcher.#internals.includes(TargetResource) && method !== "GET")
+            throw unsupported();
+        
+        switch (method) {
+            case "GET": {
+                // Only requests for specific resources are conditional, and If-None-Match is handled separately below
+                const {ifNoneMatch, ...conditions} = (specific ? preconditions : {});
+                const result = await new TargetResource(id, {...query, ...conditions}).read(ctx);
+                
+                // Resources that match an If-None-Match precondition have not been modified, and have no content
+                try {
+                    if (!!ifNoneMatch) new TargetResource(id, {ifNoneMatch}).precondition(result);
+                } catch {
+                    return {status: 304};
+                }
+                
+                return {status: 200, body: result};
+            }
+            
+            case "POST":
+                if (specific) throw unsupported();
+                else return {status: 201, body: await new TargetResource(query).write(body, ctx)};
+            
+            case "PUT":
+                if (!specific) throw unsupported();
+                else return {status: 200, body: await new TargetResource(id, {...query, ...preconditions}).write(body, ctx)};
+            
+            case "PATCH": {
+                if (!specific || !Config.get().patch.supported) throw unsupported();
+                
+                // Patch operations that made no changes have no content
+                const result = await new TargetResource(id, {...query, ...preconditions}).patch(body, ctx);
+                return (result === undefined ? {status: 204} : {status: 200, body: result});
+            }
+            
+            case "DELETE":
+                if (!specific) throw unsupported();
+                
+                await new TargetResource(id, preconditions).dispose(ctx);
+                return {status: 204};
+            
+            default:
+                throw unsupported();
+        }
+    }
+    
+    /**
+     * Convert an exception into a SCIM ErrorResponse message
+     * @param {Error} ex - the exception to convert
+     * @returns {SCIMMY.Messages.ErrorResponse} the converted exception
+     * @private
+     */
+    static #error(ex) {
+        try {
+            return new Messages.ErrorResponse(ex);
+        } catch {
+            // Exception had an incompatible status or detail error keyword, treat it as an internal error
+            return new Messages.ErrorResponse({status: 500, detail: ex?.message});
+        }
+    }
+}
\ No newline at end of file
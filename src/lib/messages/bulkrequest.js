@@ -43,7 +43,7 @@ export class BulkRequest {
      * @typedef {Object} SCIMMY.Messages.BulkRequest~BulkOpOperation
      * @property {SCIMMY.Messages.BulkRequest~ValidBulkMethods} method - the HTTP method used for the requested operation
      * @property {String} [bulkId] - the transient identifier of a newly created resource, unique within a bulk request and created by the client
-     * @property {String} [version] - resource version after operation has been applied
+     * @property {String} [version] - current version of the targeted resource, which must be matched for the operation to be applied
      * @property {String} [path] - the resource's relative path to the SCIM service provider's root
      * @property {Object} [data] - the resource data as it would appear for the corresponding single SCIM HTTP request
      * @inner
@@ -128,7 +128,7 @@ export class BulkRequest {
         
         for (let op of this.Operations) results.push((async () => {
             // Unwrap useful information from the operation
-            const {method, bulkId: opBulkId, path = "", data} = op;
+            const {method, bulkId: opBulkId, version, path = "", data} = op;
             // Ignore the bulkId unless method is POST
             const bulkId = (String(method).toUpperCase() === "POST" ? opBulkId : undefined);
             // Evaluate endpoint and resource ID, and thus what kind of resource we're targeting 
@@ -192,6 +192,9 @@ export class BulkRequest {
             // Make sure data is an object, if method isn't DELETE
             else if (method.toUpperCase() !== "DELETE" && (Object(data) !== data || Array.isArray(data)))
                 error = new ErrorResponse(new Types.Error(400, "invalidSyntax", `Expected 'data' to be a single complex value ${errorSuffix}`))
+            // Make sure version is a string, if specified
+            else if (version !== undefined && typeof version !== "string")
+                error = new ErrorResponse(new Types.Error(400, "invalidSyntax", `Expected 'version' to be a string ${errorSuffix}`));
             // Make sure any bulkIds referenced in data can eventually be resolved
             else if (!waitingOn.every((id) => bulkIds.has(id)))
                 error = new ErrorResponse(new Types.Error(400, "invalidValue", `No POST operation found matching bulkId '${waitingOn.find((id) => !bulkIds.has(id))}'`));
@@ -232,8 +235,9 @@ export class BulkRequest {
                     }
                 }
                 
-                // Get ready
-                const resource = new TargetResource(method.toUpperCase() === "POST" ? undefined : id ?? data?.id);
+                // Get ready, making sure the targeted resource matches any specified version
+                const resource = new TargetResource(method.toUpperCase() === "POST" ? undefined : id ?? data?.id,
+                    (method.toUpperCase() !== "POST" && !!version ? {ifMatch: version} : {}));
                 let value;
                 
                 // Do the thing!
@@ -253,7 +257,7 @@ export class BulkRequest {
                         break;
                 }
                 
-                Object.assign(result, {status: (value ? (!bulkId ? "200" : "201") : "204")}, (value ? {location: value?.meta?.location} : {}));
+                Object.assign(result, {status: (value ? (!bulkId ? "200" : "201") : "204")}, (value ? {location: value?.meta?.location} : {}), (value?.meta?.version ? {version: value.meta.version} : {}));
             } catch (ex) {
                 // Coerce the exception into a SCIMError
                 if (!(ex instanceof Types.Error)) 
@@ -12,6 +12,8 @@
  * > **Tip:**  
  * > When using the {@link SCIMMY.Resources.User|`User`} and {@link SCIMMY.Resources.Group|`Group`} resource classes, their instance `read()` methods will wrap the set of matching query results in a `ListResponse` instance.
  * > This happens automatically when retrieving multiple resources, meaning their {@link SCIMMY.Types.Resource~EgressHandler|egress handlers} need only return the array of matching resources, not a `ListResponse` instance of their own.
+ * > Egress handlers that only retrieve the requested page of resources can instead return a `ListResponse` instance containing the page of resources,
+ * > with `startIndex` and `totalResults` explicitly specified.
  * 
  * @example <caption>Basic usage with no constraints</caption>
  * // Retrieve the list of resources from somewhere, and pass it to the ListResponse constructor
@@ -66,7 +68,7 @@ export class ListResponse {
      * @param {Number} [params.startIndex=1] - offset index that items start from
      * @param {Number} [params.count=20] - alias property for itemsPerPage, used only if itemsPerPage is unset
      * @param {Number} [params.itemsPerPage=20] - maximum number of items returned in this list response
-     * @param {Number} [params.totalResults] - the total number of resources matching a given request
+     * @param {Number} [params.totalResults] - the total number of resources matching a given request, where supplied items are assumed to already start from `startIndex` if this is greater than the number of items
      * @property {[typeof SCIMMY.Messages.ListResponse.id]} schemas - list exclusively containing the SCIM ListResponse message schema ID
      * @property {Array<T>} Resources - resources included in the list response
      * @property {Number} totalResults - the total number of resources matching a given request
@@ -135,8 +137,9 @@ export class ListResponse {
             if (sortOrder === "descending") this.Resources.reverse();
         }
         
-        // If startIndex is within results, offset results to startIndex
-        if ((this.Resources.length >= this.startIndex) && (this.totalResults !== this.Resources.length + this.startIndex - 1)) {
+        // If startIndex is within results, and results aren't already the page starting at startIndex, offset results to startIndex
+        if ((this.Resources.length >= this.startIndex) && (this.totalResults !== this.Resources.length + this.startIndex - 1)
+            && !(outbound && params.totalResults > resources.length)) {
             this.Resources = this.Resources.slice(this.startIndex-1);
         }
         
@@ -42,12 +42,54 @@ const hasChanges = (original, current, keys) => (
     )
 );
 
+/**
+ * Check whether a value is set, treating null values, empty collections, and complex values without set attributes as not set
+ * @param {*} value - the value to check
+ * @returns {Boolean} whether the value is set
+ * @private
+ */
+const hasValue = (value) => (
+    value === undefined || value === null ? false :
+    Array.isArray(value) ? value.length > 0 :
+    (typeof value === "object" && !(value instanceof Date)) ? Object.values(value).some(hasValue) :
+    true
+);
+
+/**
+ * Copy a value so that it can be used in a patch operation, omitting any attributes that are not set
+ * @param {*} value - the value to copy
+ * @returns {*} a plain copy of the value
+ * @private
+ */
+const copyValue = (value) => (
+    Array.isArray(value) ? value.map(copyValue) :
+    (value !== null && typeof value === "object" && !(value instanceof Date)) ? Object.fromEntries(
+        Object.entries(value).filter(([, v]) => hasValue(v)).map(([k, v]) => [k, copyValue(v)])
+    ) : value
+);
+
+/**
+ * Derive the attribute values implied by the equality comparisons of a filter, for use when creating new values of a multi-valued attribute
+ * @param {Object} expression - a single branch of a filter, whose comparisons must all be equality comparisons
+ * @returns {Object|undefined} the attribute values implied by the filter, or undefined if it contains any other kind of comparison
+ * @private
+ */
+const seedValue = (expression) => {
+    const entries = Object.entries(expression).map(([key, comparison]) => [key, (!Array.isArray(comparison) ? seedValue(comparison) :
+        (comparison.length === 2 && comparison[0] === "eq" ? comparison[1] : undefined))]);
+    
+    return (entries.every(([, value]) => value !== undefined) ? Object.fromEntries(entries) : undefined);
+};
+
 /**
  * SCIM Patch Operation Message
  * @alias SCIMMY.Messages.PatchOp
  * @summary
  * *   Parses [PatchOp messages](https://datatracker.ietf.org/doc/html/rfc7644#section-3.5.2), making sure all specified "Operations" are valid and conform with the SCIM protocol.
  * *   Provides a method to atomically apply PatchOp operations to a resource instance, handling any exceptions that occur along the way.
+ * *   Provides a method to generate the inverse of applied PatchOp operations, so changes made to a resource instance can later be undone.
+ * *   Provides a method to generate PatchOp operations from the differences between two resource instances.
+ * *   Provides chainable methods to prepare outbound PatchOp messages, validating operation paths against a schema definition as they are added.
  */
 export class PatchOp {
     /** @private */
@@ -61,6 +103,119 @@ export class PatchOp {
         return this.#id;
     }
     
+    /**
+     * Generate a PatchOp message containing the operations needed to turn one resource instance into another.
+     * Attributes of schema extensions are targeted by their fully qualified URN paths, and values of multi-valued complex attributes
+     * are targeted by their "value" sub-attribute, using value path filters such as `emails[value eq "adele@example.com"]`.
+     * Where values cannot be targeted this way, or their order would not be preserved, the whole attribute is replaced instead.
+     * @template {SCIMMY.Types.Schema} [S=*] - type of schema instances being compared
+     * @param {S} source - the original resource instance
+     * @param {S} target - the resource instance the original should be turned into
+     * @returns {SCIMMY.Messages.PatchOp} a new outbound PatchOp message, prepared against the schema definition of the source instance, whose operations turn the source instance into the target instance when applied
+     * @example
+     * // Operations: [{op: "replace", path: "displayName", value: "Adele V"}, {op: "remove", path: 'emails[value eq "adelev@example.com"]'}]
+     * const message = SCIMMY.Messages.PatchOp.diff(
+     *     new SCIMMY.Schemas.User({userName: "AdeleV", displayName: "Adele", emails: [{value: "adelev@example.com"}]}),
+     *     new SCIMMY.Schemas.User({userName: "AdeleV", displayName: "Adele V"})
+     * );
+     */
+    static diff(source, target) {
+        // Bail out if source is not specified, or it's not a Schema instance
+        if (!(source instanceof Types.Schema))
+            throw new TypeError("Expected 'source' to be an instance of SCIMMY.Types.Schema in PatchOp 'diff' method");
+        // Bail out if target is not an instance of the same Schema as source
+        if (!(target instanceof Types.Schema) || target.constructor !== source.constructor)
+            throw new TypeError("Expected 'target' to be an instance of the same schema as 'source' in PatchOp 'diff' method");
+        
+        const message = new PatchOp(source.constructor.definition);
+        
+        // Compare the values of every attribute declared by the schema definition
+        message.Operations.push(...PatchOp.#compare(source.constructor.definition.attributes, source, target));
+        
+        return message;
+    }
+    
+    /**
+     * Compare the values of a set of attributes, and generate operations that turn the source values into the target values
+     * @param {Array<SCIMMY.Types.Attribute|SCIMMY.Types.SchemaDefinition>} attributes - the attributes, or schema extensions, to compare
+     * @param {Object} [source] - the object containing the original attribute values
+     * @param {Object} [target] - the object containing the attribute values to turn the originals into
+     * @param {String} [prefix] - the path of the object containing the attribute values, to prepend to attribute names in operation paths
+     * @returns {SCIMMY.Messages.PatchOp~PatchOpOperation[]} the operations that turn the source values into the target values
+     * @private
+     */
+    static #compare(attributes, source, target, prefix = "") {
+        const operations = [];
+        
+        for (let attribute of attributes) {
+            // Schema extension attributes are targeted by their fully qualified URN paths
+            if (attribute instanceof Types.SchemaDefinition) {
+                operations.push(...PatchOp.#compare(attribute.attributes, source?.[attribute.id], target?.[attribute.id], `${attribute.id}:`));
+                continue;
+            }
+            
+            const {name, type, subAttributes, config: {mutable, multiValued}} = attribute;
+            const [original, current] = [source?.[name], target?.[name]];
+            const path = `${prefix}${name}`;
+            
+            // Skip attributes that can't be patched, and attributes whose values haven't changed
+            if (name === "schemas" || [false, "readOnly"].includes(mutable)) continue;
+            if (!hasValue(original) && !hasValue(current)) continue;
+            if (!hasValue(current)) operations.push({op: "remove", path});
+            else if (!hasValue(original)) operations.push({op: "add", path, value: copyValue(current)});
+            else if (!hasChanges(copyValue(original), copyValue(current))) continue;
+            // Changes to singular complex values can be made to individual sub-attributes
+            else if (type === "complex" && !multiValued) operations.push(...PatchOp.#compare(subAttributes, original, current, `${path}.`));
+            // Changes to multi-valued complex values can be made to individual values
+            else if (type === "complex") operations.push(...PatchOp.#collate(attribute, original, current, path));
+            // New values can be added to the end of multi-valued simple values
+            else if (multiValued && original.every((v, i) => !hasChanges(v, current[i])))
+                operations.push({op: "add", path, value: copyValue(current.slice(original.length))});
+            // Otherwise, the whole value has changed
+            else operations.push({op: "replace", path, value: copyValue(current)});
+        }
+        
+        return operations;
+    }
+    
+    /**
+     * Compare the values of a multi-valued complex attribute, generating operations for the individual values where possible
+     * @param {SCIMMY.Types.Attribute} attribute - the multi-valued complex attribute being compared
+     * @param {Object[]} source - the original values of the attribute
+     * @param {Object[]} target - the values to turn the original values into
+     * @param {String} path - the path to the attribute, for use in operation paths
+     * @returns {SCIMMY.Messages.PatchOp~PatchOpOperation[]} the operations that turn the source values into the target values
+     * @private
+     */
+    static #collate(attribute, source, target, path) {
+        const [original, current] = [copyValue(source), copyValue(target)];
+        const keys = [original, current].map((values) => values.map(({value}) => value));
+        const [retained, added] = [original.filter(({value}) => keys[1].includes(value)), current.filter(({value}) => !keys[0].includes(value))];
+        const replace = [{op: "replace", path, value: current}];
+        
+        // Values can only be targeted by a unique, simple "value" sub-attribute...
+        if (!attribute.subAttributes.some(({name}) => name === "value")) return replace;
+        if (!keys.every((k) => k.every((v) => ["string", "number", "boolean"].includes(typeof v)) && new Set(k).size === k.length)) return replace;
+        // ...and when existing values would remain in the same order, with new values added at the end
+        if ([...retained, ...added].some(({value}, index) => value !== keys[1][index])) return replace;
+        
+        const operations = [];
+        
+        for (let value of original) {
+            const filter = `${path}[${Types.Filter.where("value").eq(value.value).expression}]`;
+            const changes = current.find((v) => v.value === value.value);
+            
+            // Remove values that are no longer present, and make changes to the sub-attributes of those that are
+            if (!changes) operations.push({op: "remove", path: filter});
+            else operations.push(...PatchOp.#compare(attribute.subAttributes, value, changes, `${filter}.`));
+        }
+        
+        // Add any new values at the end
+        if (added.length) operations.push({op: "add", path, value: added});
+        
+        return operations;
+    }
+    
     /**
      * Whether the PatchOp message has been fully formed.
      * Fully formed inbound requests will be considered to have been dispatched.
@@ -79,14 +234,24 @@ export class PatchOp {
     
     /**
      * Instantiate a new SCIM Patch Operation Message with relevant details
-     * @param {Object} [request] - contents of the patch operation request being performed
+     * @param {SCIMMY.Types.SchemaDefinition} [request] - schema definition to validate paths of outbound operations against if SchemaDefinition instance
+     * @param {Object} [request] - contents of the patch operation request being performed if object
      * @param {[typeof SCIMMY.Messages.PatchOp.id]} request.schemas - list exclusively containing SCIM PatchOp message schema ID
      * @param {SCIMMY.Messages.PatchOp~PatchOpOperation[]} request.Operations - list of SCIM-compliant patch operations to apply to the given resource
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - schema definition to validate and resolve paths of inbound operations against
      * @property {[typeof SCIMMY.Messages.PatchOp.id]} schemas - list exclusively containing the SCIM PatchOp message schema ID
      * @property {SCIMMY.Messages.PatchOp~PatchOpOperation[]} Operations - list of SCIM-compliant patch operations to apply to the given resource
      */
-    constructor(request) {
+    constructor(request, definition) {
+        // Outbound messages can be prepared with just a schema definition to validate paths of operations against
+        if (request instanceof Types.SchemaDefinition) [request, definition] = [undefined, request];
+        
         const {schemas = [], Operations: operations = []} = request ?? {};
+        const resolved = [];
+        
+        // Make sure specified schema definition is valid
+        if (definition !== undefined && !(definition instanceof Types.SchemaDefinition))
+            throw new TypeError("Expected 'definition' parameter to be an instance of SCIMMY.Types.SchemaDefinition in PatchOp message constructor");
         
         // Determine if message is being prepared (outbound) or has been dispatched (inbound) 
         this.#dispatched = (request !== undefined);
@@ -124,11 +289,139 @@ export class PatchOp {
             // Make sure path attribute is a string
             if (path !== undefined && typeof path !== "string")
                 throw new Types.Error(400, "invalidPath", `Invalid path '${path}' for operation ${index} in PatchOp request body`);
+            
+            // Make sure all targeted attributes are declared by the schema definition, if any
+            if (definition !== undefined) {
+                const targets = (path !== undefined ? [path] : (Object(value) === value && !Array.isArray(value) ? Object.keys(value) : []));
+                const [qualified] = targets.map((target) => {
+                    try {
+                        return PatchOp.#qualify(definition, target);
+                    } catch (ex) {
+                        if (ex instanceof Types.Error)
+                            throw new Types.Error(400, "invalidFilter", `Invalid filter in path '${target}' for '${op}' op of operation ${index} in PatchOp request body: ${ex.message}`);
+                        else throw new Types.Error(400, "invalidPath", `Invalid path '${target}' for '${op}' op of operation ${index} in PatchOp request body`);
+                    }
+                });
+                
+                resolved.push({op: op.toLowerCase(), ...(path !== undefined ? {path: qualified} : {}), ...(value !== undefined ? {value} : {})});
+            }
         }
         
         // Store the attributes that define a PatchOp
         this.schemas = [PatchOp.#id];
-        this.Operations = operations;
+        this.Operations = (definition !== undefined ? resolved : operations);
+        // Store the schema definition, if any, for validating paths of operations
+        this.#schema = definition;
+    }
+    
+    /**
+     * Add an "add" operation to an outbound PatchOp message
+     * @param {String|undefined} path - path to the attribute or value the operation should add values to, if any
+     * @param {*} value - the value to add to the targeted attribute, or an object of attribute values to add if no path is specified
+     * @returns {SCIMMY.Messages.PatchOp} this PatchOp instance for chaining
+     * @example
+     * // Operations: [{op: "add", path: "emails", value: [{type: "work", value: "adelev@example.com"}]}]
+     * new SCIMMY.Messages.PatchOp(SCIMMY.Schemas.User.definition).add("emails", [{type: "work", value: "adelev@example.com"}]);
+     */
+    add(path, value) {
+        return this.#prepare("add", path, value);
+    }
+    
+    /**
+     * Add a "replace" operation to an outbound PatchOp message
+     * @param {String|undefined} path - path to the attribute or value the operation should replace, if any
+     * @param {*} value - the value to replace the targeted attribute's value with, or an object of attribute values to replace if no path is specified
+     * @returns {SCIMMY.Messages.PatchOp} this PatchOp instance for chaining
+     * @example
+     * // Operations: [{op: "replace", path: 'emails[type eq "work"].value', value: "adelev@example.com"}]
+     * new SCIMMY.Messages.PatchOp(SCIMMY.Schemas.User.definition).replace('emails[type eq "work"].value', "adelev@example.com");
+     */
+    replace(path, value) {
+        return this.#prepare("replace", path, value);
+    }
+    
+    /**
+     * Add a "remove" operation to an outbound PatchOp message
+     * @param {String} path - path to the attribute or value the operation should remove
+     * @param {*} [value] - specific values to remove from the targeted multi-valued attribute, if any
+     * @returns {SCIMMY.Messages.PatchOp} this PatchOp instance for chaining
+     * @example
+     * // Operations: [{op: "remove", path: "displayName"}, {op: "remove", path: 'emails[type eq "home"]'}]
+     * new SCIMMY.Messages.PatchOp(SCIMMY.Schemas.User.definition).remove("displayName").remove('emails[type eq "home"]');
+     */
+    remove(path, value) {
+        return this.#prepare("remove", path, value);
+    }
+    
+    /**
+     * Validate the details of an operation being added to an outbound PatchOp message, and add it to the list of operations
+     * @param {SCIMMY.Messages.PatchOp~ValidPatchOperations} op - the operation being added
+     * @param {String} [path] - path to the attribute or value targeted by the operation
+     * @param {*} [value] - the value of the operation, if any
+     * @returns {SCIMMY.Messages.PatchOp} this PatchOp instance for chaining
+     * @private
+     */
+    #prepare(op, path, value) {
+        // Bail out if message has been dispatched (i.e. it's inbound)
+        if (this.#dispatched)
+            throw new TypeError(`PatchOp expected message not to be dispatched before calling '${op}' method`);
+        // Bail out if there's no schema definition to validate paths against
+        if (!this.#schema)
+            throw new TypeError(`PatchOp expected message to be instantiated with a schema definition before calling '${op}' method`);
+        // Make sure path and value are suitable for the operation
+        if (path === undefined ? op === "remove" : (typeof path !== "string" || !path.length))
+            throw new TypeError(`Expected 'path' parameter to be a non-empty string in '${op}' method of PatchOp`);
+        if (op !== "remove" && value === undefined)
+            throw new TypeError(`Expected 'value' parameter to be defined in '${op}' method of PatchOp`);
+        if (path === undefined && (Object(value) !== value || Array.isArray(value)))
+            throw new TypeError(`Expected 'value' parameter to be an object when 'path' parameter is not specified in '${op}' method of PatchOp`);
+        
+        try {
+            // Make sure all targeted attributes are declared by the schema definition
+            if (path === undefined) for (let name of Object.keys(value)) PatchOp.#qualify(this.#schema, name);
+            else path = PatchOp.#qualify(this.#schema, path);
+        } catch (ex) {
+            // Rethrow invalid filter errors as TypeErrors
+            if (ex instanceof Types.Error) throw new TypeError(`Invalid filter in path '${path}' in '${op}' method of PatchOp: ${ex.message}`);
+            else throw ex;
+        }
+        
+        this.Operations.push({op, ...(path !== undefined ? {path} : {}), ...(value !== undefined ? {value} : {})});
+        
+        return this;
+    }
+    
+    /**
+     * Resolve an attribute path against a schema definition, making sure all targeted attributes are declared and any filters are valid
+     * @param {SCIMMY.Types.SchemaDefinition} definition - the schema definition to resolve the path against
+     * @param {String} path - the attribute path to resolve
+     * @returns {String} the path, with attribute names and schema extension IDs as declared by the schema definition
+     * @private
+     */
+    static #qualify(definition, path) {
+        const spent = [];
+        
+        return path.split(pathSeparator).filter(p => p).map((part, index) => {
+            const [key, filter] = [part.replace(multiValuedFilter, "$1"), part.replace(multiValuedFilter, "$2")];
+            // Make sure the attribute is declared by the schema definition
+            const attribute = definition.attribute([...spent, key].join("."));
+            
+            // Make sure any filter is valid
+            if (filter) new Types.Filter(filter.substring(1, filter.length - 1));
+            spent.push(key);
+            
+            // Schema extensions are targeted by their ID...
+            if (attribute instanceof Types.SchemaDefinition) return `${attribute.id}${filter}`;
+            // ...as are namespaced attributes of schema extensions, while the ID of the core schema is unnecessary
+            else if (index === 0 && key.toLowerCase().startsWith("urn:")) {
+                const id = key.substring(0, key.lastIndexOf(":")).toLowerCase();
+                const extension = definition.attributes.find(a => a instanceof Types.SchemaDefinition && a.id.toLowerCase() === id);
+                
+                return `${extension ? `${extension.id}:` : ""}${attribute.name}${filter}`;
+            }
+            // Otherwise, use the attribute name as declared
+            else return `${attribute.name}${filter}`;
+        }).join(".");
     }
     
     /**
@@ -152,17 +445,29 @@ export class PatchOp {
      */
     #target;
     
+    /**
+     * Details of a change made to an attribute value by an operation in a PatchOp message
+     * @typedef {Object} SCIMMY.Messages.PatchOp~PatchOpChange
+     * @prop {String} path - path to the attribute whose value was changed, including schema extension ID for namespaced attributes
+     * @prop {*} from - value of the attribute before the operation was applied, or undefined if it had no value
+     * @prop {*} to - value of the attribute after the operation was applied, or undefined if its value was removed
+     * @prop {Number} index - position of the operation that made the change in the list of operations, starting at 1
+     */
+    
     /**
      * Apply final transformations or database operations before determining whether a PatchOp resulted in any actual changes
      * @async
      * @template {SCIMMY.Types.Schema} [S=*] - type of schema instance that was patched
      * @callback SCIMMY.Messages.PatchOp~PatchOpFinaliser
      * @param {S} instance - a patched version of the originally supplied resource schema instance
+     * @param {SCIMMY.Messages.PatchOp~PatchOpChange[]} changes - list of changes made to attribute values by each operation
      * @returns {Record<String, any>} the resource instance after final transformations have been applied
      */
     
     /**
      * Apply patch operations to a resource as defined by the PatchOp instance
+     * Where filtered sub-attribute paths (e.g. `emails[type eq "work"].value`) of "add" or "replace" operations match no values,
+     * a new value is created, using the filter's equality comparisons as its initial sub-attribute values.
      * @template {SCIMMY.Types.Schema} [S=*] - type of schema instance being patched
      * @param {S} resource - the schema instance the patch operation will be performed on
      * @param {SCIMMY.Messages.PatchOp~PatchOpFinaliser<S>} [finalise] - method to call when all operations are complete, to feed target back through model
@@ -182,40 +487,140 @@ export class PatchOp {
         this.#source = resource;
         this.#target = new resource.constructor(resource);
         
+        const changes = [];
+        
         // Go through all specified operations
         for (let operation of this.Operations) {
             const index = (this.Operations.indexOf(operation) + 1);
             const {op, path, value} = operation;
+            // Only copy values of attributes the operation could change, so changes can be found without comparing the whole resource
+            const attributes = this.#touched(path, value);
+            const values = this.#values(attributes);
             
             // And action it
             switch (op.toLowerCase()) {
                 case "add":
                     this.#add(index, path, value);
                     break;
-                    
+                
                 case "remove":
                     this.#remove(index, path, value);
                     break;
-                    
+                
                 case "replace":
                     this.#replace(index, path, value);
                     break;
-                    
+                
                 default:
                     // I don't know how we made it to here, as this should have been checked earlier, but just in case!
                     throw new Types.Error(400, "invalidSyntax", `Invalid operation '${op}' for operation ${index} in PatchOp request body`);
             }
+            
+            // Record any changes made to attribute values by the operation
+            changes.push(...PatchOp.#delta(attributes, values, this.#values(attributes)).map((change) => ({...change, index})));
         }
         
-        // If finalise is a method, feed it the target to retrieve final representation of resource
+        // If finalise is a method, feed it the target and changes to retrieve final representation of resource
         if (typeof finalise === "function")
-            this.#target = new this.#target.constructor(await finalise(this.#target));
+            this.#target = new this.#target.constructor(await finalise(this.#target, changes));
         
         // Only return value if something has changed
         if (hasChanges({...this.#source, meta: undefined}, {...this.#target, meta: undefined}))
             return this.#target;
     }
     
+    /**
+     * Generate a PatchOp message that restores the resource most recently patched by this message to its original state.
+     * Values removed or replaced by the applied operations are captured in the generated message's operations.
+     * @returns {SCIMMY.Messages.PatchOp} a new outbound PatchOp message, whose operations undo the changes made when this message was applied
+     * @example
+     * const message = new SCIMMY.Messages.PatchOp(request);
+     * const patched = await message.apply(resource);
+     * // Later, restore the original resource by applying the inverse message to the patched resource
+     * const original = await new SCIMMY.Messages.PatchOp(JSON.parse(JSON.stringify(message.inverse()))).apply(patched);
+     */
+    inverse() {
+        // Bail out if message has not been applied to a resource
+        if (!this.#source)
+            throw new TypeError("PatchOp expected message to be applied to a resource before calling 'inverse' method");
+        
+        return PatchOp.diff(this.#target, this.#source);
+    }
+    
+    /**
+     * Find the attributes whose values are different between two copies of a resource
+     * @param {Array<SCIMMY.Types.Attribute|SCIMMY.Types.SchemaDefinition>} attributes - the attributes, or schema extensions, to compare
+     * @param {Object} [original] - the object containing the original attribute values
+     * @param {Object} [current] - the object containing the current attribute values
+     * @param {String} [prefix] - the path of the object containing the attribute values, to prepend to attribute names in paths
+     * @returns {Array<Omit<SCIMMY.Messages.PatchOp~PatchOpChange, "index">>} the paths, original values, and current values of attributes that changed
+     * @private
+     */
+    static #delta(attributes, original, current, prefix = "") {
+        const changes = [];
+        
+        for (let attribute of attributes) {
+            // Namespaced attributes of schema extensions are identified by their fully qualified paths
+            if (attribute instanceof Types.SchemaDefinition) {
+                changes.push(...PatchOp.#delta(attribute.attributes, original?.[attribute.id], current?.[attribute.id], `${attribute.id}:`));
+                continue;
+            }
+            
+            const {name, type, subAttributes, config: {multiValued}} = attribute;
+            const [from, to] = [original?.[name], current?.[name]];
+            
+            // Skip attributes that haven't changed, and the schemas attribute which only changes along with extensions
+            if (name === "schemas" || !hasChanges(from, to)) continue;
+            // Changes to singular complex attributes are identified by sub-attribute...
+            else if (type === "complex" && !multiValued) changes.push(...PatchOp.#delta(subAttributes, from, to, `${prefix}${name}.`));
+            // ...while changes to other attributes include the whole value
+            else changes.push({path: `${prefix}${name}`, from, to});
+        }
+        
+        return changes;
+    }
+    
+    /**
+     * Find the top-level attributes, or schema extensions, whose values could be changed by an operation
+     * @param {String} [path] - the path of the operation, if any
+     * @param {*} [value] - the value of the operation, whose properties are used as paths when no path was supplied
+     * @returns {Array<SCIMMY.Types.Attribute|SCIMMY.Types.SchemaDefinition>} the attributes, or schema extensions, targeted by the operation
+     * @private
+     */
+    #touched(path, value) {
+        const paths = (path !== undefined ? [path] : (value !== null && typeof value === "object" && !Array.isArray(value) ? Object.keys(value) : []));
+        const extensions = this.#schema.attributes.filter((a) => a instanceof Types.SchemaDefinition);
+        const attributes = new Set();
+        
+        for (let path of paths) {
+            const [name = ""] = path.split(pathSeparator);
+            
+            // Attributes of schema extensions are compared along with the rest of the extension's attributes...
+            const extension = extensions.find(({id}) => name.toLowerCase().startsWith(id.toLowerCase()));
+            if (extension) attributes.add(extension);
+            // ...while core attributes are compared individually, ignoring invalid paths which are rejected by the operation itself
+            else try {
+                attributes.add(this.#schema.attribute(name.replace(multiValuedFilter, "$1")));
+            } catch {
+                // Nothing to compare
+            }
+        }
+        
+        return [...attributes];
+    }
+    
+    /**
+     * Copy the current values of the given attributes, or schema extensions, from the resource being patched
+     * @param {Array<SCIMMY.Types.Attribute|SCIMMY.Types.SchemaDefinition>} attributes - the attributes, or schema extensions, to copy values of
+     * @returns {Object} a plain copy of the attribute values, keyed by attribute name or schema extension ID
+     * @private
+     */
+    #values(attributes) {
+        return copyValue(Object.fromEntries(attributes
+            .map((attribute) => (attribute instanceof Types.SchemaDefinition ? attribute.id : attribute.name))
+            .map((key) => [key, this.#target[key]])));
+    }
+    
     /**
      * Dig in to an operation's path, making sure it is valid, and yields actual targets to patch
      * @param {Number} index - the operation's location in the list of operations, for use in error messages
@@ -256,7 +661,21 @@ export class PatchOp {
                 if (target !== undefined) try {
                     if (filter !== undefined) {
                         // If a filter is specified, apply it to the target and add results back to targets
-                        targets.push(...(new Types.Filter(filter.substring(1, filter.length - 1)).match(target[key])));
+                        const query = new Types.Filter(filter.substring(1, filter.length - 1));
+                        const matches = (target[key] !== undefined ? query.match(target[key]) : []);
+                        const [expression, ...rest] = query;
+                        
+                        // When adding to sub-attributes of values that don't exist, create a new value from the filter's equality comparisons
+                        if (!matches.length && op === "add" && paths.length > 0 && !rest.length) {
+                            const seed = seedValue(expression);
+                            
+                            if (seed !== undefined) {
+                                target[key] = [...(target[key] ?? []), seed];
+                                matches.push(target[key].at(-1));
+                            }
+                        }
+                        
+                        targets.push(...matches);
                     } else {
                         // Add the traversed value to targets, or back out if already arrived
                         targets.push(paths.length === 0 ? target : target[key] ?? (op === "add" ? ((target[key] = target[key] ?? {}) && target[key]) : undefined));
@@ -418,7 +837,11 @@ export class PatchOp {
         try {
             // Call remove, then call add!
             try {
-                if (path !== undefined) this.#remove(index, path);
+                // Singular simple attributes are overwritten by add, so only remove collections and complex values
+                if (path !== undefined) {
+                    const {complex, multiValued} = this.#resolve(index, path, "remove");
+                    if (complex || multiValued) this.#remove(index, path);
+                }
             } catch {
                 // Do nothing, as we're immediately adding a new value, which will enforce actual attribute validity
             }
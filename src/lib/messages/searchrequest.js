@@ -62,7 +62,7 @@ export class SearchRequest {
     /**
      * Prepare a new search request for transmission to a service provider
      * @param {Object} [params] - details of the search request to be sent to a service provider
-     * @param {String} [params.filter] - the filter to be applied on ingress/egress by implementing resource
+     * @param {String|SCIMMY.Types.Filter} [params.filter] - the filter to be applied on ingress/egress by implementing resource
      * @param {String[]} [params.excludedAttributes] - the string list of attributes or filters to exclude on egress
      * @param {String[]} [params.attributes] - the string list of attributes or filters to include on egress
      * @param {String} [params.sortBy] - the attribute retrieved resources should be sorted by
@@ -74,8 +74,8 @@ export class SearchRequest {
     prepare(params = {}) {
         const {filter, excludedAttributes = [], attributes = [], sortBy, sortOrder, startIndex, count} = params;
         
-        // Make sure filter is a non-empty string, if specified
-        if (filter !== undefined && (typeof filter !== "string" || !filter.trim().length))
+        // Make sure filter is a non-empty string or Filter instance, if specified
+        if (filter !== undefined && !(filter instanceof Types.Filter) && (typeof filter !== "string" || !filter.trim().length))
             throw new TypeError("Expected 'filter' parameter to be a non-empty string in 'prepare' method of SearchRequest");
         // Make sure excludedAttributes is an array of non-empty strings
         if (!Array.isArray(excludedAttributes) || !excludedAttributes.every((a) => (typeof a === "string" && !!a.trim().length)))
@@ -97,7 +97,7 @@ export class SearchRequest {
             throw new TypeError("Expected 'count' parameter to be a positive integer in 'prepare' method of SearchRequest");
         
         // Sanity checks have passed, assign values
-        if (!!filter) this.filter = filter;
+        if (!!filter) this.filter = (filter instanceof Types.Filter ? filter.expression : filter);
         if (excludedAttributes.length) this.excludedAttributes = [...excludedAttributes];
         if (attributes.length) this.attributes = [...attributes];
         if (sortBy !== undefined) this.sortBy = sortBy;
@@ -5,9 +5,10 @@ import {Group} from "./resources/group.js";
 import {Schema} from "./resources/schema.js";
 import {ResourceType} from "./resources/resourcetype.js";
 import {ServiceProviderConfig} from "./resources/spconfig.js";
+import {Me} from "./resources/me.js";
 
 // Export classes for direct consumption
-export {User, Group, Schema, ResourceType, ServiceProviderConfig};
+export {User, Group, Schema, ResourceType, ServiceProviderConfig, Me};
 
 /**
  * SCIMMY Resources Container Class
@@ -51,7 +52,7 @@ export {User, Group, Schema, ResourceType, ServiceProviderConfig};
  * ```
  * 
  * ### Extending Resource Types
- * With the exception of the `ResourceType`, `Schema`, and `ServiceProviderConfig` resources, resource type implementations
+ * With the exception of the `ResourceType`, `Schema`, `ServiceProviderConfig`, and `Me` resources, resource type implementations
  * can have schema extensions attached to them via the `{@link SCIMMY.Types.Resource.extend extend}` method inherited from
  * the `{@link SCIMMY.Types.Resource}` class. Schema extensions added to resource type implementations will automatically
  * be included in the `schemaExtensions` attribute when formatted by the `ResourceType` resource, and the extension's
@@ -85,6 +86,15 @@ export {User, Group, Schema, ResourceType, ServiceProviderConfig};
  *     SCIMMY.Resources.declared("User").extend(SCIMMY.Schemas.EnterpriseUser, true);
  *     ```
  * 
+ * ## Authenticated Subject
+ * The `{@link SCIMMY.Resources.Me}` resource handles the `/Me` alias for the resource representing the authenticated subject of a request.
+ * Like the `ResourceType`, `Schema`, and `ServiceProviderConfig` resources, it is not declared, and instead delegates to the declared
+ * resource type representing the subject, once a handler for resolving the subject has been set.
+ * ```
+ * // Resolve the authenticated subject's "User" resource from the context of a request
+ * SCIMMY.Resources.Me.resolver((resource, ctx) => ctx.user.id);
+ * ```
+ * 
  * ## Retrieving Declared Types
  * Declared resource type implementations can be retrieved via the `{@link SCIMMY.Resources.declared}` method.
  * *   All currently declared resource types can be retrieved by calling the method with no arguments.  
@@ -117,7 +127,7 @@ export default class Resources {
      * Store internal resources to prevent declaration
      * @private
      */
-    static #internals = [Schema, ResourceType, ServiceProviderConfig];
+    static #internals = [Schema, ResourceType, ServiceProviderConfig, Me];
     /**
      * Store declared resources for later retrieval 
      * @private 
@@ -128,6 +138,7 @@ export default class Resources {
     static Schema = Schema;
     static ResourceType = ResourceType;
     static ServiceProviderConfig = ServiceProviderConfig;
+    static Me = Me;
     static User = User;
     static Group = Group;
     
@@ -184,13 +195,17 @@ export default class Resources {
             if (typeof config.basepath === "string")
                 Resources.#declared[name].basepath(config.basepath);
             
-            // Register supplied ingress, egress, and degress methods
+            // Register supplied ingress, egress, degress, patcher, and unique methods
             if (typeof config.ingress === "function")
                 Resources.#declared[name].ingress(async (...r) => await config.ingress(...r))
             if (typeof config.egress === "function")
                 Resources.#declared[name].egress(async (...r) => await config.egress(...r))
             if (typeof config.degress === "function")
                 Resources.#declared[name].degress(async (...r) => await config.degress(...r))
+            if (typeof config.patcher === "function")
+                Resources.#declared[name].patcher(async (...r) => await config.patcher(...r))
+            if (typeof config.unique === "function")
+                Resources.#declared[name].unique(async (...r) => await config.unique(...r))
             
             // Register any supplied schema extensions
             if (Array.isArray(config.extensions)) {
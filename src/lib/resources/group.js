@@ -1,6 +1,7 @@
 import Types from "../types.js";
 import Messages from "../messages.js";
 import Schemas from "../schemas.js";
+import Config from "../config.js";
 
 /**
  * SCIM Group Resource
@@ -72,6 +73,36 @@ export class Group extends Types.Resource {
         return Group;
     }
     
+    /** @private */
+    static #patcher;
+    
+    /** @implements {SCIMMY.Types.Resource.patcher<typeof SCIMMY.Resources.Group, SCIMMY.Schemas.Group>} */
+    static patcher(handler) {
+        Group.#patcher = handler;
+        return Group;
+    }
+    
+    /** @private */
+    static #unique;
+    
+    /** @implements {SCIMMY.Types.Resource.unique<typeof SCIMMY.Resources.Group>} */
+    static unique(handler) {
+        Group.#unique = handler;
+        return Group;
+    }
+    
+    /**
+     * Make sure a resource returned by a handler has a version, deriving one from its content if ETags are supported
+     * @param {Object} target - the resource returned by the handler
+     * @returns {Object} the resource, including any derived version in its meta attribute
+     * @private
+     */
+    static #versioned(target) {
+        // Handlers that supply their own version, or unsupported ETags, mean there is nothing to derive
+        if (!Config.get().etag.supported || target?.meta?.version !== undefined) return target;
+        else return {...target, meta: {...(target.meta ?? {}), version: Schemas.Group.version(new Schemas.Group(target, "out"))}};
+    }
+    
     /**
      * Instantiate a new SCIM Group resource and parse any supplied parameters
      * @internal
@@ -94,11 +125,21 @@ export class Group extends Types.Resource {
             const source = await Group.#egress(this, ctx);
             const target = (this.id ? [source].flat().shift() : source);
             
-            // If not looking for a specific resource, make sure egress returned an array
+            // If not looking for a specific resource, make sure egress returned an array...
             if (!this.id && Array.isArray(target)) return new Messages.ListResponse(target
-                .map(u => new Schemas.Group(u, "out", Group.basepath(), this.attributes)), this.constraints);
+                .map(u => new Schemas.Group(Group.#versioned(u), "out", Group.basepath(), this.attributes)), this.constraints);
+            // ...or a list response containing the requested page of resources
+            else if (!this.id && target instanceof Messages.ListResponse) return new Messages.ListResponse(target.Resources
+                .map(u => new Schemas.Group(Group.#versioned(u), "out", Group.basepath(), this.attributes)),
+                {...this.constraints, startIndex: target.startIndex, totalResults: target.totalResults});
             // For specific resources, make sure egress returned an object
-            else if (target instanceof Object) return new Schemas.Group(target, "out", Group.basepath(), this.attributes);
+            else if (target instanceof Object) {
+                const resource = Group.#versioned(target);
+                
+                // Also make sure the resource meets any preconditions of the request
+                this.precondition(resource);
+                return new Schemas.Group(resource, "out", Group.basepath(), this.attributes);
+            }
             // Otherwise, egress has not been implemented correctly
             else throw new Types.Error(500, null, `Unexpected ${target === undefined ? "empty" : "invalid"} value returned by egress handler`);
         } catch (ex) {
@@ -118,16 +159,40 @@ export class Group extends Types.Resource {
      * await new SCIMMY.Resources.Group("1234").write({members: [{value: "5678"}]});
      */
     async write(instance, ctx) {
+        return await this.#write(instance, ctx);
+    }
+    
+    /**
+     * Consume a group with the ingress handler, including any changes made to it by PatchOp operations
+     * @param {Object} instance - the raw group instance for consumption by the ingress handler
+     * @param {*} [ctx] - any additional context information to pass to the ingress handler
+     * @param {SCIMMY.Messages.PatchOp~PatchOpChange[]} [changes] - changes made to attribute values by PatchOp operations, to pass to the ingress handler,
+     * only supplied for resources that were already read, and checked against any preconditions, before being patched
+     * @returns {SCIMMY.Schemas.Group} the consumed group instance
+     * @private
+     */
+    async #write(instance, ctx, changes) {
         if (instance === undefined)
             throw new Types.Error(400, "invalidSyntax", `Missing request body payload for ${!!this.id ? "PUT" : "POST"} operation`);
         if (Object(instance) !== instance || Array.isArray(instance))
             throw new Types.Error(400, "invalidSyntax", `Operation ${!!this.id ? "PUT" : "POST"} expected request body payload to be single complex value`);
         
         try {
-            const target = await Group.#ingress(this, new Schemas.Group(instance, "in"), ctx);
+            const source = new Schemas.Group(instance, "in");
+            
+            // Make sure the existing resource meets any preconditions of the request before replacing it, unless it was already read to be patched
+            if (!!this.id && !!this.preconditions && changes === undefined) await this.read(ctx);
+            
+            // Make sure immutable values of the existing resource are not changed, ignoring any readOnly values, before replacing it
+            const values = (!this.id ? source : new Schemas.Group(await this.mutability(source, Group.#egress, ctx), "in"));
+            
+            // Make sure values of unique attributes are unique before consuming them
+            if (!!Group.#unique) await this.uniqueness(values, Group.#unique, ctx);
+            
+            const target = await Group.#ingress(this, values, ctx, ...(changes !== undefined ? [changes] : []));
             
             // Make sure ingress returned an object
-            if (target instanceof Object) return new Schemas.Group(target, "out", Group.basepath(), this.attributes);
+            if (target instanceof Object) return new Schemas.Group(Group.#versioned(target), "out", Group.basepath(), this.attributes);
             // Otherwise, ingress has not been implemented correctly
             else throw new Types.Error(500, null, `Unexpected ${target === undefined ? "empty" : "invalid"} value returned by ingress handler`);
         } catch (ex) {
@@ -152,9 +217,36 @@ export class Group extends Types.Resource {
         if (Object(message) !== message || Array.isArray(message))
             throw new Types.Error(400, "invalidSyntax", "PatchOp request expected message body to be single complex value");
         
-        return await new Messages.PatchOp(message)
-            .apply(await this.read(ctx), async (instance) => await this.write(instance, ctx))
+        // Fall back to retrieving, patching, and rewriting the whole resource if there's no patcher handler
+        if (!Group.#patcher) return await new Messages.PatchOp(message)
+            // Pass any changes through to the ingress handler alongside the supplied context
+            .apply(await this.read(ctx), async (instance, changes) => await this.#write(instance, ctx, changes))
             .then(instance => !instance ? undefined : new Schemas.Group(instance, "out", Group.basepath(), this.attributes));
+        
+        try {
+            const patch = new Messages.PatchOp(message, Schemas.Group.definition);
+            
+            // Make sure the existing resource meets any preconditions of the request before patching it
+            if (!!this.preconditions) await this.read(ctx);
+            // Make sure the operations don't modify readOnly values, or change immutable values, of the existing resource
+            await this.mutability(patch, Group.#egress, ctx);
+            // Make sure values of unique attributes set by the operations are unique before applying them
+            if (!!Group.#unique) await this.uniqueness(patch, Group.#unique, ctx);
+            
+            const target = await Group.#patcher(this, patch, ctx);
+            
+            // Patcher handler may return nothing if the resource was not modified...
+            if (target === undefined) return undefined;
+            // ...otherwise, make sure it returned an object
+            else if (target instanceof Object) return new Schemas.Group(Group.#versioned(target), "out", Group.basepath(), this.attributes);
+            // Otherwise, patcher has not been implemented correctly
+            else throw new Types.Error(500, null, "Unexpected invalid value returned by patcher handler");
+        } catch (ex) {
+            if (ex instanceof Types.Error) throw ex;
+            else if (ex instanceof TypeError) throw new Types.Error(400, "invalidValue", ex.message);
+            // Patcher handlers signal missing resources with SCIM errors with status 404, so anything else is an unexpected failure
+            else throw new Types.Error(500, null, ex?.message ?? String(ex));
+        }
     }
     
     /** 
@@ -168,6 +260,9 @@ export class Group extends Types.Resource {
             throw new Types.Error(404, null, "DELETE operation must target a specific resource");
         
         try {
+            // Make sure the existing resource meets any preconditions of the request before disposing of it
+            if (!!this.preconditions) await this.read(ctx);
+            
             await Group.#degress(this, ctx);
         } catch (ex) {
             if (ex instanceof Types.Error) throw ex;
@@ -0,0 +1,140 @@
+import Types from "../types.js";
+import Resources from "../resources.js";
+
+/**
+ * SCIM Me Resource
+ * @alias SCIMMY.Resources.Me
+ * @summary
+ * *   Handles requests made to the `/Me` alias for the resource representing the authenticated subject, as described in [RFC7644§3.11](https://datatracker.ietf.org/doc/html/rfc7644#section-3.11).
+ * *   Resolves the authenticated subject from the context of a request using the handler set with `{@link SCIMMY.Resources.Me.resolver}`,
+ *     and delegates reading, writing, patching, and disposing of the subject's resource to the declared resource type it belongs to.
+ * @description
+ * Resources returned by the `Me` resource are the resources of the declared resource type representing the authenticated subject,
+ * meaning their `meta.location` attribute points to the subject's resource, and not to the `/Me` endpoint.
+ * If no resolver handler has been set, requests made to the `/Me` endpoint will fail with a SCIM error with status 501.
+ *
+ * @example
+ * // Resolve the authenticated subject from the context supplied to the dispatcher by your web framework...
+ * SCIMMY.Resources.Me.resolver((resource, ctx) => ctx.user.id);
+ *
+ * // ...or, if the subject is represented by a resource type other than "User", also specify the resource type's declared name
+ * SCIMMY.Resources.Me.resolver((resource, ctx) => ({id: ctx.client.id, resourceType: "Client"}));
+ */
+export class Me extends Types.Resource {
+    /** @implements {SCIMMY.Types.Resource.endpoint} */
+    static get endpoint() {
+        return "/Me";
+    }
+    
+    /** @private */
+    static #basepath;
+    /** @implements {SCIMMY.Types.Resource.basepath<typeof SCIMMY.Resources.Me>} */
+    static basepath(path) {
+        if (path === undefined) return Me.#basepath;
+        else Me.#basepath = (path.endsWith(Me.endpoint) ? path : `${path}${Me.endpoint}`);
+        
+        return Me;
+    }
+    
+    /**
+     * @overrides {SCIMMY.Types.Resource.extend}
+     * @throws {TypeError} SCIM 'Me' resource does not support extension
+     */
+    static extend() {
+        throw new TypeError("SCIM 'Me' resource does not support extension");
+    }
+    
+    /**
+     * Handler for resolving the authenticated subject of a request
+     * @callback SCIMMY.Resources.Me~ResolverHandler
+     * @param {SCIMMY.Resources.Me} resource - the resource resolving the authenticated subject
+     * @param {*} [ctx] - external context in which the handler has been called
+     * @returns {String|SCIMMY.Resources.Me~Subject|undefined|Promise<String|SCIMMY.Resources.Me~Subject|undefined>} the ID of the subject's "User" resource, details of the subject's resource, or nothing if the subject has no resource
+     */
+    
+    /**
+     * Details of the resource representing an authenticated subject
+     * @typedef {Object} SCIMMY.Resources.Me~Subject
+     * @property {String} id - the ID of the resource representing the authenticated subject
+     * @property {String} [resourceType="User"] - the declared name of the resource type the authenticated subject's resource belongs to
+     */
+    
+    /**
+     * Resolver handler method storage property
+     * @type {SCIMMY.Resources.Me~ResolverHandler}
+     * @private
+     */
+    static #resolver;
+    /**
+     * Sets the method to be called to resolve the authenticated subject of a request
+     * @param {SCIMMY.Resources.Me~ResolverHandler} handler - function to invoke to resolve the authenticated subject of a request
+     * @returns {typeof SCIMMY.Resources.Me} the Me resource class for chaining
+     */
+    static resolver(handler) {
+        Me.#resolver = handler;
+        return Me;
+    }
+    
+    /**
+     * Config the Me resource was instantiated with, passed through to the authenticated subject's resource
+     * @type {Object}
+     * @private
+     */
+    #config;
+    
+    /**
+     * Instantiate a new SCIM Me resource and parse any supplied parameters
+     * @internal
+     */
+    constructor(id, config) {
+        // Bail out if a specific resource is requested, as the Me resource always targets the authenticated subject
+        if (typeof id === "string")
+            throw new Types.Error(404, null, `Resource ${id} not found`);
+        
+        super(id, config);
+        this.#config = (config ?? id);
+    }
+    
+    /**
+     * Resolve the authenticated subject, and instantiate the resource type representing it
+     * @param {*} [ctx] - external context passed to the resolver handler
+     * @returns {SCIMMY.Types.Resource} an instance of the declared resource type targeting the authenticated subject's resource
+     * @private
+     */
+    async #resolve(ctx) {
+        if (!Me.#resolver)
+            throw new Types.Error(501, null, "Method 'resolver' not implemented by resource 'Me'");
+        
+        // Resolve the subject, and find the declared resource type representing it
+        const subject = await Me.#resolver(this, ctx);
+        const {id, resourceType = "User"} = (typeof subject === "string" ? {id: subject} : subject ?? {});
+        const TargetResource = Resources.declared(resourceType);
+        
+        if (typeof id !== "string" || !id.length)
+            throw new Types.Error(404, null, "No resource found for the authenticated subject");
+        if (!TargetResource)
+            throw new Types.Error(500, null, `Resource type '${resourceType}' of the authenticated subject has not been declared`);
+        
+        return new TargetResource(id, this.#config);
+    }
+    
+    /** @implements {SCIMMY.Types.Resource#read} */
+    async read(ctx) {
+        return await (await this.#resolve(ctx)).read(ctx);
+    }
+    
+    /** @implements {SCIMMY.Types.Resource#write} */
+    async write(instance, ctx) {
+        return await (await this.#resolve(ctx)).write(instance, ctx);
+    }
+    
+    /** @implements {SCIMMY.Types.Resource#patch} */
+    async patch(message, ctx) {
+        return await (await this.#resolve(ctx)).patch(message, ctx);
+    }
+    
+    /** @implements {SCIMMY.Types.Resource#dispose} */
+    async dispose(ctx) {
+        return await (await this.#resolve(ctx)).dispose(ctx);
+    }
+}
\ No newline at end of file
@@ -1,6 +1,7 @@
 import Types from "../types.js";
 import Messages from "../messages.js";
 import Schemas from "../schemas.js";
+import Config from "../config.js";
 
 /**
  * SCIM User Resource
@@ -9,6 +10,11 @@ import Schemas from "../schemas.js";
  * @summary
  * *   Handles read/write/patch/dispose operations for SCIM User resources with specified ingress/egress/degress methods.
  * *   Formats SCIM User resources for transmission/consumption using the `{@link SCIMMY.Schemas.User}` schema class.
+ * *   Hands cleartext passwords to a dedicated password handler, if set, instead of the ingress and patcher handlers.
+ * @description
+ * Passwords included when creating a new user are always accepted. However, requests to replace or patch an existing user that include
+ * a password are rejected with a SCIM error with status 400 and type "mutability", unless `changePassword` is supported in `{@link SCIMMY.Config}`.
+ * Since the `password` attribute is never returned, passwords are also never included in resources returned by a User resource instance.
  */
 export class User extends Types.Resource {
     /** @implements {SCIMMY.Types.Resource.endpoint} */
@@ -72,6 +78,103 @@ export class User extends Types.Resource {
         return User;
     }
     
+    /** @private */
+    static #patcher;
+    
+    /** @implements {SCIMMY.Types.Resource.patcher<typeof SCIMMY.Resources.User, SCIMMY.Schemas.User>} */
+    static patcher(handler) {
+        User.#patcher = handler;
+        return User;
+    }
+    
+    /** @private */
+    static #unique;
+    
+    /** @implements {SCIMMY.Types.Resource.unique<typeof SCIMMY.Resources.User>} */
+    static unique(handler) {
+        User.#unique = handler;
+        return User;
+    }
+    
+    /**
+     * Handler for changing the password of a user
+     * @callback SCIMMY.Resources.User~PasswordHandler
+     * @param {SCIMMY.Resources.User} resource - a resource instance targeting the user whose password is being set
+     * @param {String} password - the user's new cleartext password
+     * @param {*} [ctx] - external context in which the handler has been called
+     * @returns {void|Promise<void>}
+     * @example
+     * // Handle a request to set the password of a user
+     * async function password(resource, password, ctx) {
+     *     // Hash the password before storing it in your database, away from the user's other attributes
+     *     await CredentialController.set(resource.id, await hash(password), ctx);
+     * }
+     */
+    
+    /**
+     * Password handler method storage property
+     * @type {SCIMMY.Resources.User~PasswordHandler}
+     * @private
+     */
+    static #password;
+    /**
+     * Sets the method to be called to set the password of a user when creating, replacing, or patching the user.
+     * Once set, passwords are removed from instances passed to the ingress handler, and from operations passed to the patcher handler,
+     * and are instead passed to the password handler after the user has been successfully created, replaced, or patched.
+     * @param {SCIMMY.Resources.User~PasswordHandler} handler - function to invoke to set the password of a user
+     * @returns {typeof SCIMMY.Resources.User} the User resource class for chaining
+     */
+    static password(handler) {
+        User.#password = handler;
+        return User;
+    }
+    
+    /**
+     * Find any new password set by the operations of a PatchOp message, optionally removing it from the operations
+     * @param {SCIMMY.Messages.PatchOp} message - the PatchOp message, whose operations have been resolved against the User schema definition
+     * @param {Boolean} strip - whether to remove the password from the operations of the message
+     * @returns {String|undefined} the last password set by the operations of the message, if any
+     * @private
+     */
+    static #separate(message, strip) {
+        let password;
+        
+        message.Operations = message.Operations.flatMap((operation) => {
+            const {op, path, value} = operation;
+            const key = (path === undefined && Object(value) === value && !Array.isArray(value)
+                ? Object.keys(value).find(k => k.toLowerCase() === "password") : undefined);
+            
+            // Operations that directly set the password are removed entirely...
+            if (path === "password" && op !== "remove") {
+                password = value;
+                return (strip ? [] : [operation]);
+            }
+            // ...while operations that set the password amongst other attributes only have the password removed from their value
+            else if (key !== undefined) {
+                const {[key]: target, ...rest} = value;
+                
+                password = target;
+                return (!strip ? [operation] : !Object.keys(rest).length ? [] : [{...operation, value: rest}]);
+            } else {
+                return [operation];
+            }
+        });
+        
+        return password;
+    }
+    
+    /**
+     * Make sure a resource returned by a handler has a version, deriving one from its content if ETags are supported
+     * @param {Object} target - the resource returned by the handler
+     * @returns {Object} the resource, including any derived version in its meta attribute
+     * @private
+     */
+    static #versioned(target) {
+        // Handlers that supply their own version, or unsupported ETags, mean there is nothing to derive
+        if (!Config.get().etag.supported || target?.meta?.version !== undefined) return target;
+        else return {...target, meta: {...(target.meta ?? {}), version: Schemas.User.version(new Schemas.User(target, "out"))}};
+    }
+    
     /**
      * Instantiate a new SCIM User resource and parse any supplied parameters
      * @internal
@@ -94,11 +197,21 @@ export class User extends Types.Resource {
             const source = await User.#egress(this, ctx);
             const target = (this.id ? [source].flat().shift() : source);
             
-            // If not looking for a specific resource, make sure egress returned an array
+            // If not looking for a specific resource, make sure egress returned an array...
             if (!this.id && Array.isArray(target)) return new Messages.ListResponse(target
-                .map(u => new Schemas.User(u, "out", User.basepath(), this.attributes)), this.constraints);
+                .map(u => new Schemas.User(User.#versioned(u), "out", User.basepath(), this.attributes)), this.constraints);
+            // ...or a list response containing the requested page of resources
+            else if (!this.id && target instanceof Messages.ListResponse) return new Messages.ListResponse(target.Resources
+                .map(u => new Schemas.User(User.#versioned(u), "out", User.basepath(), this.attributes)),
+                {...this.constraints, startIndex: target.startIndex, totalResults: target.totalResults});
             // For specific resources, make sure egress returned an object
-            else if (target instanceof Object) return new Schemas.User(target, "out", User.basepath(), this.attributes);
+            else if (target instanceof Object) {
+                const resource = User.#versioned(target);
+                
+                // Also make sure the resource meets any preconditions of the request
+                this.precondition(resource);
+                return new Schemas.User(resource, "out", User.basepath(), this.attributes);
+            }
             // Otherwise, egress has not been implemented correctly
             else throw new Types.Error(500, null, `Unexpected ${target === undefined ? "empty" : "invalid"} value returned by egress handler`);
         } catch (ex) {
@@ -118,16 +231,49 @@ export class User extends Types.Resource {
      * await new SCIMMY.Resources.User("1234").write({userName: "someGuy"});
      */
     async write(instance, ctx) {
+        return await this.#write(instance, ctx);
+    }
+    
+    /**
+     * Consume a user with the ingress handler, including any changes made to it by PatchOp operations
+     * @param {Object} instance - the raw user instance for consumption by the ingress handler
+     * @param {*} [ctx] - any additional context information to pass to the ingress handler
+     * @param {SCIMMY.Messages.PatchOp~PatchOpChange[]} [changes] - changes made to attribute values by PatchOp operations, to pass to the ingress handler,
+     * only supplied for resources that were already read, and checked against any preconditions, before being patched
+     * @returns {SCIMMY.Schemas.User} the consumed user instance
+     * @private
+     */
+    async #write(instance, ctx, changes) {
         if (instance === undefined)
             throw new Types.Error(400, "invalidSyntax", `Missing request body payload for ${!!this.id ? "PUT" : "POST"} operation`);
         if (Object(instance) !== instance || Array.isArray(instance))
             throw new Types.Error(400, "invalidSyntax", `Operation ${!!this.id ? "PUT" : "POST"} expected request body payload to be single complex value`);
         
         try {
-            const target = await User.#ingress(this, new Schemas.User(instance, "in"), ctx);
+            const source = new Schemas.User(instance, "in");
+            const {password} = source;
+            
+            // Only allow passwords of existing users to be changed if password changes are supported
+            if (!!this.id && password !== undefined && !Config.get().changePassword.supported)
+                throw new Types.Error(400, "mutability", "Attribute 'password' can not be changed, as password changes are not supported");
+            // Keep the password away from the ingress handler if it will be handed to the password handler instead
+            if (password !== undefined && !!User.#password) source.password = undefined;
+            // Make sure the existing resource meets any preconditions of the request before replacing it, unless it was already read to be patched
+            if (!!this.id && !!this.preconditions && changes === undefined) await this.read(ctx);
+            
+            // Make sure immutable values of the existing resource are not changed, ignoring any readOnly values, before replacing it
+            const values = (!this.id ? source : new Schemas.User(await this.mutability(source, User.#egress, ctx), "in"));
+            
+            // Make sure values of unique attributes are unique before consuming them
+            if (!!User.#unique) await this.uniqueness(values, User.#unique, ctx);
             
-            // Make sure ingress returned an object
-            if (target instanceof Object) return new Schemas.User(target, "out", User.basepath(), this.attributes);
+            const target = await User.#ingress(this, values, ctx, ...(changes !== undefined ? [changes] : []));
+            
+            // Make sure ingress returned an object, and hand any password to the password handler once the user has been written
+            if (target instanceof Object) {
+                if (password !== undefined && !!User.#password) await User.#password(!!this.id ? this : new User(target.id), password, ctx);
+                return new Schemas.User(User.#versioned(target), "out", User.basepath(), this.attributes);
+            }
             // Otherwise, ingress has not been implemented correctly
             else throw new Types.Error(500, null, `Unexpected ${target === undefined ? "empty" : "invalid"} value returned by ingress handler`);
         } catch (ex) {
@@ -152,9 +298,47 @@ export class User extends Types.Resource {
         if (Object(message) !== message || Array.isArray(message))
             throw new Types.Error(400, "invalidSyntax", "PatchOp request expected message body to be single complex value");
         
-        return await new Messages.PatchOp(message)
-            .apply(await this.read(ctx), async (instance) => await this.write(instance, ctx))
+        // Fall back to retrieving, patching, and rewriting the whole resource if there's no patcher handler
+        if (!User.#patcher) return await new Messages.PatchOp(message)
+            // Pass any changes through to the ingress handler alongside the supplied context
+            .apply(await this.read(ctx), async (instance, changes) => await this.#write(instance, ctx, changes))
             .then(instance => !instance ? undefined : new Schemas.User(instance, "out", User.basepath(), this.attributes));
+        
+        try {
+            const patch = new Messages.PatchOp(message, Schemas.User.definition);
+            const password = User.#separate(patch, !!User.#password);
+            
+            // Only allow passwords to be changed if password changes are supported
+            if (password !== undefined && !Config.get().changePassword.supported)
+                throw new Types.Error(400, "mutability", "Attribute 'password' can not be changed, as password changes are not supported");
+            // Make sure the existing resource meets any preconditions of the request before patching it
+            if (!!this.preconditions) await this.read(ctx);
+            // Make sure the operations don't modify readOnly values, or change immutable values, of the existing resource
+            await this.mutability(patch, User.#egress, ctx);
+            // Make sure values of unique attributes set by the operations are unique before applying them
+            if (!!User.#unique) await this.uniqueness(patch, User.#unique, ctx);
+            
+            // Operations that only changed the password leave nothing for the patcher handler to do
+            const target = (!patch.Operations.length ? null : await User.#patcher(this, patch, ctx));
+            
+            // Hand any password to the password handler once the other operations have been applied
+            if (password !== undefined && !!User.#password) {
+                await User.#password(this, password, ctx);
+                if (target === null) return await this.read(ctx);
+            }
+            
+            // Patcher handler may return nothing if the resource was not modified...
+            if (target === undefined) return undefined;
+            // ...otherwise, make sure it returned an object
+            else if (target instanceof Object) return new Schemas.User(User.#versioned(target), "out", User.basepath(), this.attributes);
+            // Otherwise, patcher has not been implemented correctly
+            else throw new Types.Error(500, null, "Unexpected invalid value returned by patcher handler");
+        } catch (ex) {
+            if (ex instanceof Types.Error) throw ex;
+            else if (ex instanceof TypeError) throw new Types.Error(400, "invalidValue", ex.message);
+            // Patcher handlers signal missing resources with SCIM errors with status 404, so anything else is an unexpected failure
+            else throw new Types.Error(500, null, ex?.message ?? String(ex));
+        }
     }
     
     /**
@@ -168,6 +352,9 @@ export class User extends Types.Resource {
             throw new Types.Error(404, null, "DELETE operation must target a specific resource");
         
         try {
+            // Make sure the existing resource meets any preconditions of the request before disposing of it
+            if (!!this.preconditions) await this.read(ctx);
+            
             await User.#degress(this, ctx);
         } catch (ex) {
             if (ex instanceof Types.Error) throw ex;
@@ -0,0 +1,16 @@
+import {Memory} from "./stores/memory.js";
+
+// Export classes for direct consumption
+export {Memory};
+
+/**
+ * SCIMMY Stores Container Class
+ * @module scimmy/stores
+ * @namespace SCIMMY.Stores
+ * @description
+ * SCIMMY provides a singleton class, `SCIMMY.Stores`, that includes bundled resource stores, which can be attached to
+ * resource types to supply their ingress, egress, and degress handlers, so that resources can be handled without writing any handlers.
+ */
+export default class Stores {
+    static Memory = Memory;
+}
\ No newline at end of file
@@ -0,0 +1,253 @@
+import Types from "../types.js";
+import Messages from "../messages.js";
+
+/**
+ * Deeply copy a plain JSON value, so stored values can't be modified from outside the store
+ * @param {*} value - the value to copy
+ * @returns {*} a deep copy of the value
+ * @private
+ */
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Check whether an attribute is writeOnly, such as the password attribute of users, whose values should never be stored
+ * @param {SCIMMY.Types.Attribute} attribute - the attribute to check
+ * @returns {Boolean} whether the attribute's mutability characteristic is "writeOnly"
+ * @private
+ */
+const isWriteOnly = ({config: {mutable, direction}}) => (mutable === "writeOnly" || (mutable === true && direction === "in"));
+
+/**
+ * Remove values of writeOnly attributes, at any depth, from a value about to be stored
+ * @param {Array<SCIMMY.Types.Attribute|SCIMMY.Types.SchemaDefinition>} attributes - the attributes, or schema extensions, whose values should be checked
+ * @param {Object} target - the value about to be stored, or the value of a complex attribute within it
+ * @private
+ */
+const omitWriteOnly = (attributes, target) => {
+    for (let attribute of attributes) {
+        // Bail out if there are no values to remove
+        if (Object(target) !== target) return;
+        
+        // Schema extension values are nested under the extension's ID
+        if (attribute instanceof Types.SchemaDefinition) omitWriteOnly(attribute.attributes, target[attribute.id]);
+        else if (isWriteOnly(attribute)) delete target[attribute.name];
+        else if (Array.isArray(attribute.subAttributes)) for (let value of [target[attribute.name]].flat()) omitWriteOnly(attribute.subAttributes, value);
+    }
+};
+
+/**
+ * Carry values of never-returned attributes over from a stored resource to the value replacing it,
+ * since they are left out when the stored resource is retrieved, and so can't be written back by PATCH operations
+ * @param {Array<SCIMMY.Types.Attribute|SCIMMY.Types.SchemaDefinition>} attributes - the attributes, or schema extensions, whose values should be carried over
+ * @param {Object} target - the value replacing the stored resource, or the value of a singular complex attribute within it
+ * @param {Object} source - the stored resource being replaced, or the value of the same singular complex attribute within it
+ * @private
+ */
+const retainNeverReturned = (attributes, target, source) => {
+    for (let attribute of attributes) {
+        // Bail out if there are no values to carry over
+        if (Object(source) !== source) return;
+        
+        // Schema extension values are nested under the extension's ID, and are only added if any values were carried over
+        if (attribute instanceof Types.SchemaDefinition) {
+            const values = target[attribute.id] ?? {};
+            
+            retainNeverReturned(attribute.attributes, values, source[attribute.id]);
+            if (Object.keys(values).length) target[attribute.id] = values;
+        } else {
+            const {name, subAttributes, config: {returned, multiValued}} = attribute;
+            
+            if ([false, "never"].includes(returned) && target[name] === undefined && source[name] !== undefined) target[name] = copy(source[name]);
+            else if (!multiValued && Array.isArray(subAttributes) && Object(target[name]) === target[name]) retainNeverReturned(subAttributes, target[name], source[name]);
+        }
+    }
+};
+
+/**
+ * Collect the values of every attribute and sub-attribute from a set of values, flattening values of multi-valued attributes
+ * @param {Array<SCIMMY.Types.Attribute|SCIMMY.Types.SchemaDefinition>} attributes - the attributes, or schema extensions, to collect values of
+ * @param {Object[]} sources - the stored resources, or values of a complex attribute, to collect values from
+ * @param {String} [path] - the path to the complex attribute the values belong to, if any
+ * @returns {Array<Array>} the path to each attribute, the attribute, and all of its collected values
+ * @private
+ */
+const collect = (attributes, sources, path) => attributes.flatMap((attribute) => {
+    const name = (attribute instanceof Types.SchemaDefinition ? attribute.id : attribute.name);
+    const values = sources.flatMap((source) => [Object(source) === source ? source[name] : undefined].flat())
+        .filter((value) => value !== undefined && value !== null);
+    
+    // Attributes of schema extensions are collected as if they were declared by the schema itself...
+    if (attribute instanceof Types.SchemaDefinition) return collect(attribute.attributes, values, path);
+    // ...while sub-attributes are collected along with the attribute they belong to
+    else return [[!path ? name : `${path}.${name}`, attribute, values], ...collect(attribute.subAttributes ?? [], values, !path ? name : `${path}.${name}`)];
+});
+
+/**
+ * SCIMMY In-Memory Resource Store
+ * @alias SCIMMY.Stores.Memory
+ * @summary
+ * *   Storage adapter that stores resources in memory, and can be bound to any resource type with `{@link SCIMMY.Types.Resource.adapter}`.
+ * *   Generates resource IDs, stamps `meta.created` and `meta.lastModified` values, and enforces uniqueness of attributes and sub-attributes with a `uniqueness` characteristic of "server".
+ * *   Evaluates filters against stored resources using `{@link SCIMMY.Types.Filter#match}`, and sorts and paginates matching resources.
+ * @description
+ * The `Memory` store class is intended for prototypes and integration tests, where a complete SCIM service provider is needed,
+ * but storing resources anywhere other than memory is not. Stored resources are lost when the process exits.
+ * It also serves as the reference implementation of the `{@link SCIMMY.Types.Adapter}` contract.
+ * Since it does not implement the optional `applyPatch` method, PATCH operations are applied by SCIMMY to resources retrieved from the store, before being written back to it.
+ * Values of writeOnly attributes, such as passwords, are never stored. To keep passwords elsewhere, set a password handler with `{@link SCIMMY.Resources.User.password}`.
+ *
+ * @example
+ * // Create a store, and bind the User and Group resource types to it
+ * const store = new SCIMMY.Stores.Memory();
+ * SCIMMY.Resources.declare(SCIMMY.Resources.User.adapter(store)).declare(SCIMMY.Resources.Group.adapter(store));
+ *
+ * // Create, retrieve, and modify resources without writing any handlers
+ * const {id} = await new SCIMMY.Resources.User().write({userName: "AdeleV"});
+ * const users = await new SCIMMY.Resources.User({filter: 'userName sw "A"'}).read();
+ * @example
+ * // Alternatively, attach the store to the User and Group resource types, before declaring them as usual
+ * const store = new SCIMMY.Stores.Memory().attach(SCIMMY.Resources.User).attach(SCIMMY.Resources.Group);
+ * SCIMMY.Resources.declare(SCIMMY.Resources.User).declare(SCIMMY.Resources.Group);
+ */
+export class Memory extends Types.Adapter {
+    /**
+     * Resources stored for each resource type the store is bound to
+     * @type {Map<typeof SCIMMY.Types.Resource, Object[]>}
+     * @private
+     */
+    #resources = new Map();
+    
+    /**
+     * The most recently generated resource ID
+     * @type {Number}
+     * @private
+     */
+    #lastId = 0;
+    
+    /**
+     * Attach the store to a resource type, by binding the resource type to the store with `{@link SCIMMY.Types.Resource.adapter}`
+     * @param {typeof SCIMMY.Types.Resource} resource - the resource type class the store should handle resources for
+     * @returns {SCIMMY.Stores.Memory} this store instance for chaining
+     */
+    attach(resource) {
+        // Make sure the resource is actually a resource type
+        if (!(resource?.prototype instanceof Types.Resource))
+            throw new TypeError("Expected 'resource' parameter to be a Resource type class in 'attach' method of Memory store");
+        
+        resource.adapter(this);
+        
+        return this;
+    }
+    
+    /**
+     * Get the resources stored for a resource type, preparing storage for the resource type if necessary
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type to get stored resources for
+     * @returns {Object[]} resources stored for the resource type
+     * @private
+     */
+    #storage(type) {
+        if (!this.#resources.has(type)) this.#resources.set(type, []);
+        
+        return this.#resources.get(type);
+    }
+    
+    /**
+     * Find stored resources of a resource type that match a filter
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type the stored resources belong to
+     * @param {SCIMMY.Types.Filter} [filter] - the filter that stored resources must match, if any
+     * @returns {Object[]} stored resources that match the filter
+     * @private
+     */
+    #match(type, filter) {
+        return filter?.match(this.#storage(type), type.schema.definition) ?? this.#storage(type);
+    }
+    
+    /**
+     * Find a stored resource by ID, throwing a SCIM error if it doesn't exist
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type the stored resource belongs to
+     * @param {String} id - the ID of the stored resource to find
+     * @returns {Object} the stored resource
+     * @private
+     */
+    #find(type, id) {
+        const target = this.#storage(type).find(r => r.id === id);
+        
+        if (!target) throw new Types.Error(404, null, `Resource ${id} not found`);
+        else return target;
+    }
+    
+    /**
+     * Store a new resource, or replace an existing stored resource
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type the stored resource belongs to
+     * @param {Object|undefined} existing - the stored resource being replaced, if any
+     * @param {SCIMMY.Types.Schema} instance - the inbound schema instance to store
+     * @returns {Object} a copy of the stored resource
+     * @private
+     */
+    #store(type, existing, instance) {
+        const resources = this.#storage(type);
+        const {attributes} = type.schema.definition;
+        const value = copy({...instance, schemas: undefined, id: undefined, meta: undefined});
+        // Values of other stored resources, for comparison with values of attributes that should be unique
+        const others = new Map(collect(attributes, resources.filter(r => r !== existing)).map(([path, , values]) => [path, values]));
+        
+        // Never store values of writeOnly attributes, such as passwords, which would otherwise be stored in cleartext
+        omitWriteOnly(attributes, value);
+        // Keep values of never-returned attributes of the existing resource that weren't supplied by the replacement
+        if (!!existing) retainNeverReturned(attributes, value, existing);
+        
+        // Make sure no other stored resource has the same value for any attributes or sub-attributes that should be unique
+        for (let [path, {config: {caseExact, uniqueness}}, values] of collect(attributes, [value])) {
+            const fold = (v) => (typeof v === "string" ? (caseExact ? v : v.toLowerCase()) : JSON.stringify(v));
+            
+            if (uniqueness === "server" && values.length) {
+                const conflict = values.find((v) => others.get(path).some((o) => fold(o) === fold(v)));
+                
+                if (conflict !== undefined)
+                    throw new Types.Error(409, "uniqueness", `Value '${conflict}' of attribute '${path}' is not unique`);
+            }
+        }
+        
+        const now = new Date().toISOString();
+        const {id = String(++this.#lastId), meta: {created = now} = {}} = existing ?? {};
+        const stored = {id, ...value, meta: {created, lastModified: now}};
+        
+        // Replace the existing resource, or store the new one
+        if (!!existing) resources.splice(resources.indexOf(existing), 1, stored);
+        else resources.push(stored);
+        
+        return copy(stored);
+    }
+    
+    /** @implements {SCIMMY.Types.Adapter#find} */
+    async find(type, filter, constraints) {
+        return new Messages.ListResponse(copy(this.#match(type, filter)), constraints).Resources;
+    }
+    
+    /** @implements {SCIMMY.Types.Adapter#findById} */
+    async findById(type, id) {
+        return copy(this.#storage(type).find(r => r.id === id));
+    }
+    
+    /** @implements {SCIMMY.Types.Adapter#insert} */
+    async insert(type, instance) {
+        return this.#store(type, undefined, instance);
+    }
+    
+    /** @implements {SCIMMY.Types.Adapter#replace} */
+    async replace(type, id, instance) {
+        return this.#store(type, this.#find(type, id), instance);
+    }
+    
+    /** @implements {SCIMMY.Types.Adapter#delete} */
+    async delete(type, id) {
+        const resources = this.#storage(type);
+        
+        resources.splice(resources.indexOf(this.#find(type, id)), 1);
+    }
+    
+    /** @implements {SCIMMY.Types.Adapter#count} */
+    async count(type, filter) {
+        return this.#match(type, filter).length;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * SCIM Storage Adapter
+ * @alias SCIMMY.Types.Adapter
+ * @summary
+ * *   Extendable class representing a storage adapter, which resource types can be bound to instead of being given individual ingress, egress, degress, and patcher handlers.
+ * *   Once bound with `{@link SCIMMY.Types.Resource.adapter}`, requests to read, write, patch, or delete resources are consistently translated into calls to the adapter's methods.
+ * @description
+ * Adapters must implement the `find`, `findById`, `insert`, `replace`, `delete`, and `count` methods.
+ * The `applyPatch` method is optional, and when not implemented, SCIMMY instead retrieves resources with `findById`,
+ * applies PatchOp operations to them, and consumes the result with `replace`.
+ * Each method is called with the resource type class the request was made against, so the same adapter instance can be bound to more than one resource type.
+ * Adapter methods should throw a SCIM error with status 404 when a targeted resource does not exist.
+ *
+ * @example
+ * // Implement an adapter that translates requests into calls to some external controller for your database
+ * class DatabaseAdapter extends SCIMMY.Types.Adapter {
+ *     async find(type, filter, constraints, attributes, ctx) {
+ *         return await ResourceController.findMany(type.endpoint, filter, constraints, ctx);
+ *     }
+ *
+ *     async findById(type, id, ctx) {
+ *         return await ResourceController.findOne(type.endpoint, id, ctx);
+ *     }
+ *
+ *     // ...and so on, for the insert, replace, delete, and count methods
+ * }
+ *
+ * // Bind both the User and Group resource types to the same adapter instance
+ * const adapter = new DatabaseAdapter();
+ * SCIMMY.Resources.declare(SCIMMY.Resources.User.adapter(adapter)).declare(SCIMMY.Resources.Group.adapter(adapter));
+ */
+export class Adapter {
+    /**
+     * Retrieve a page of resources of a resource type that match a filter
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type class of the resources to retrieve
+     * @param {SCIMMY.Types.Filter|undefined} filter - the filter that retrieved resources must match, if any
+     * @param {SCIMMY.Messages.ListResponse~ListConstraints} constraints - sort and pagination constraints that should be applied to matching resources
+     * @param {SCIMMY.Types.Filter} [attributes] - attributes requested to be included in, or excluded from, the response, which SCIMMY will also apply
+     * @param {*} [ctx] - external context in which the adapter has been called
+     * @returns {Object[]} matching resources, sorted according to the constraints, starting at the constraint's 'startIndex', and no longer than its 'count'
+     * @abstract
+     */
+    async find(type, filter, constraints, attributes, ctx) {
+        throw new TypeError(`Method 'find' not implemented by adapter '${this.constructor.name}'`);
+    }
+    
+    /**
+     * Retrieve a specific resource of a resource type
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type class of the resource to retrieve
+     * @param {String} id - the ID of the resource to retrieve
+     * @param {*} [ctx] - external context in which the adapter has been called
+     * @returns {Object|undefined} the resource with the given ID, or nothing if it does not exist
+     * @abstract
+     */
+    async findById(type, id, ctx) {
+        throw new TypeError(`Method 'findById' not implemented by adapter '${this.constructor.name}'`);
+    }
+    
+    /**
+     * Store a new resource of a resource type
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type class of the resource to store
+     * @param {SCIMMY.Types.Schema} instance - an instance of the resource type's schema to store as a new resource
+     * @param {*} [ctx] - external context in which the adapter has been called
+     * @returns {Object} the stored resource, including its newly assigned ID
+     * @abstract
+     */
+    async insert(type, instance, ctx) {
+        throw new TypeError(`Method 'insert' not implemented by adapter '${this.constructor.name}'`);
+    }
+    
+    /**
+     * Replace an existing resource of a resource type
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type class of the resource to replace
+     * @param {String} id - the ID of the resource to replace
+     * @param {SCIMMY.Types.Schema} instance - an instance of the resource type's schema to replace the existing resource with
+     * @param {*} [ctx] - external context in which the adapter has been called
+     * @returns {Object} the replaced resource
+     * @abstract
+     */
+    async replace(type, id, instance, ctx) {
+        throw new TypeError(`Method 'replace' not implemented by adapter '${this.constructor.name}'`);
+    }
+    
+    /**
+     * Apply PatchOp operations directly to an existing resource of a resource type
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type class of the resource to patch
+     * @param {String} id - the ID of the resource to patch
+     * @param {SCIMMY.Messages.PatchOp} message - the PatchOp message, whose operations have been validated and resolved against the resource type's schema
+     * @param {*} [ctx] - external context in which the adapter has been called
+     * @returns {Object|undefined} the patched resource, or nothing if the resource was not modified
+     * @abstract
+     */
+    async applyPatch(type, id, message, ctx) {
+        throw new TypeError(`Method 'applyPatch' not implemented by adapter '${this.constructor.name}'`);
+    }
+    
+    /**
+     * Delete an existing resource of a resource type
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type class of the resource to delete
+     * @param {String} id - the ID of the resource to delete
+     * @param {*} [ctx] - external context in which the adapter has been called
+     * @returns {void}
+     * @abstract
+     */
+    async delete(type, id, ctx) {
+        throw new TypeError(`Method 'delete' not implemented by adapter '${this.constructor.name}'`);
+    }
+    
+    /**
+     * Count all resources of a resource type that match a filter
+     * @param {typeof SCIMMY.Types.Resource} type - the resource type class of the resources to count
+     * @param {SCIMMY.Types.Filter} [filter] - the filter that counted resources must match, if any
+     * @param {*} [ctx] - external context in which the adapter has been called
+     * @returns {Number} the total number of matching resources
+     * @abstract
+     */
+    async count(type, filter, ctx) {
+        throw new TypeError(`Method 'count' not implemented by adapter '${this.constructor.name}'`);
+    }
+}
\ No newline at end of file
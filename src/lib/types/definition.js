@@ -44,7 +44,7 @@ export class SchemaDefinition {
         
         // Add common attributes used by all schemas, then add the schema-specific attributes
         this.attributes = [
-            new Attribute("reference", "schemas", {shadow: true, multiValued: true, referenceTypes: ["uri"]}),
+            new Attribute("reference", "schemas", {shadow: true, returned: "always", multiValued: true, referenceTypes: ["uri"]}),
             new Attribute("string", "id", {shadow: true, direction: "out", returned: "always", required: true, mutable: false, caseExact: true, uniqueness: "global"}),
             new Attribute("string", "externalId", {shadow: true, caseExact: true}),
             new Attribute("complex", "meta", {shadow: true, required: true, mutable: false}, [
@@ -226,6 +226,7 @@ export class SchemaDefinition {
     
     /**
      * Coerce a given value by making sure it conforms to all schema attributes' characteristics
+     * Outbound values always include attributes that are always returned, and only include attributes returned on request when explicitly requested by the filter.
      * @param {Object} data - value to coerce and confirm conformity of properties to schema attributes' characteristics
      * @param {String} [direction="both"] - whether to check for inbound, outbound, or bidirectional attributes
      * @param {String} [basepath] - the URI representing the resource type's location
@@ -338,10 +339,34 @@ export class SchemaDefinition {
             }
         }
         
+        // Attributes only returned on request are removed from outbound values when no attributes were requested, as are sub-attributes
+        if (direction === "out" && filter === undefined) for (let attribute of this.attributes) {
+            if (attribute instanceof Attribute && attribute.config.returned === "request") delete target[attribute.name];
+            else if (attribute instanceof Attribute && target[attribute.name] !== undefined) target[attribute.name] = SchemaDefinition.#unrequested(attribute, target[attribute.name]);
+        }
+        
         // Go through and apply each filter expression individually to get coerced value
         return (filter ?? [filter]).reduce((target, filter) => SchemaDefinition.#filter(this, filter, target), target);
     }
     
+    /**
+     * Remove values of sub-attributes that are only returned on request from a coerced complex attribute value
+     * @param {SCIMMY.Types.Attribute} attribute - the attribute the value belongs to
+     * @param {Object|Object[]} value - the coerced value of the attribute
+     * @returns {Object|Object[]} the value without values of sub-attributes only returned on request, or the original value if there were none
+     * @private
+     */
+    static #unrequested(attribute, value) {
+        const {subAttributes = []} = attribute;
+        const requested = subAttributes.filter((a) => a.config.returned === "request").map((a) => a.name);
+        // Values of sub-attributes that are never returned are also left out, since the copied value can no longer filter them
+        const returned = (name) => !requested.includes(name) && ![false, "never"].includes(subAttributes.find((a) => a.name === name)?.config?.returned);
+        const omit = (value) => Object.fromEntries(Object.entries(value).filter(([name, v]) => v !== undefined && returned(name)));
+        
+        if (String(attribute.type) !== "complex" || !requested.length || value === null || typeof value !== "object") return value;
+        else return (Array.isArray(value) ? value.map(omit) : omit(value));
+    }
+    
     /**
      * Filter out desired or undesired attributes from a coerced schema value
      * @param {SCIMMY.Types.SchemaDefinition} definition - the schema definition requesting the filtering
@@ -364,6 +389,7 @@ export class SchemaDefinition {
             const target = {};
             const inclusions = [];
             const exclusions = [];
+            const assumed = [];
             
             for (let key in filter) try {
                 // Find the attribute or extension definition using the filter key
@@ -390,9 +416,12 @@ export class SchemaDefinition {
             if (!inclusions.length && isExcludedAttributesFilter(filter)) {
                 // ...go through all subAttributes, or extension attributes...
                 for (let attribute of (prefix ? definition.attribute(prefix).subAttributes : definition.attributes)) {
-                    // ...and assume they should be included, if they weren't explicitly excluded
+                    // ...and assume they should be included, if they weren't explicitly excluded or are only returned on request
                     const name = (attribute instanceof SchemaDefinition ? attribute.id : attribute.name);
-                    if (!exclusions.includes(name)) inclusions.push(name);
+                    if (!exclusions.includes(name) && attribute.config?.returned !== "request") {
+                        inclusions.push(name);
+                        assumed.push(name);
+                    }
                 }
             }
             // If there were explicit inclusions, go through all attributes...
@@ -411,6 +440,14 @@ export class SchemaDefinition {
                     if ((!exclusions.includes(key) && Object.keys(data[key]).length && !Array.isArray(filter[key])) || (key in filter && inclusions.includes(key)))
                         // ...include the extension data
                         target[key] = data[key];
+                    // Otherwise, make sure values of any extension attributes that are always returned are still included
+                    else {
+                        const always = attribute.attributes
+                            .filter(a => a instanceof Attribute && a.config.returned === "always" && data[key][a.name] !== undefined)
+                            .reduce((res, {name}) => Object.assign(res, {[name]: data[key][name]}), {});
+                        
+                        if (Object.keys(always).length) target[key] = always;
+                    }
                 } else {
                     // Get some relevant config values from the attribute
                     const {name, type, config: {returned, multiValued} = {}} = attribute;
@@ -433,7 +470,8 @@ export class SchemaDefinition {
                         }
                         // Otherwise, if there was a simple presence filter for the attribute, assign it
                         else if (inclusions.includes(name) && data[key] !== undefined) {
-                            target[key] = data[key];
+                            // Sub-attributes only returned on request are also removed when the attribute's inclusion was assumed
+                            target[key] = (assumed.includes(name) ? SchemaDefinition.#unrequested(attribute, data[key]) : data[key]);
                         }
                     }
                 }
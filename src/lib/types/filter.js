@@ -1,4 +1,5 @@
 import {SCIMError} from "./error.js";
+import {SchemaDefinition} from "./definition.js";
 
 /**
  * Collection of valid logical operator strings in a filter expression
@@ -18,9 +19,9 @@ const lexicon = [
     // White Space, Number Values
     /(\s+)/, /([-+]?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)(?![\w+-])/,
     // Boolean Values, Empty Values, String Values
-    /(false|true)+/, /(null)+/, /("(?:[^"]|\\.|\n)*")/,
+    /(false|true)+/, /(null)+/, /("(?:[^"\\]|\\.|\n)*")/,
     // Logical Groups, Complex Attribute Value Filters
-    /(\((?:.*?)\))/, /(\[(?:.*?)][.]?)/,
+    /(\((?:"(?:[^"\\]|\\.)*"|[^)"])*?\))/, /(\[(?:"(?:[^"\\]|\\.)*"|[^\]"])*?][.]?)/,
     // Logical Operators and Comparators
     new RegExp(`(${operators.join("|")})(?=[^a-zA-Z0-9]|$)`),
     new RegExp(`(${comparators.join("|")})(?=[^a-zA-Z0-9]|$)`),
@@ -30,6 +31,8 @@ const lexicon = [
 
 // Parsing Pattern Matcher
 const patterns = new RegExp(`^(?:${lexicon.map(({source}) => source).join("|")})`, "i");
+// Match valid attribute names and paths, which may include schema URN prefixes
+const attributePath = /^[-$\w][-$\w.:\/%]*$/;
 // Split a path by fullstops when they aren't in a filter group or decimal
 const pathSeparator = /(?<![^\w]\d)\.(?!\d[^\w]|[^[]*])/g;
 // Extract attributes and filter strings from path parts
@@ -37,6 +40,23 @@ const multiValuedFilter = /^(.+?)(\[(?:.*?)])?$/;
 // Match ISO 8601 formatted datetime stamps in strings
 const isoDate = /^(-?(?:[1-9][0-9]*)?[0-9]{4})-(1[0-2]|0[1-9])-(3[01]|0[1-9]|[12][0-9])(T(2[0-3]|[01][0-9]):([0-5][0-9]):([0-5][0-9])(\.[0-9]+)?(Z|[+-](?:2[0-3]|[01][0-9]):[0-5][0-9])?)?$/;
 
+// SQL dialects supported when compiling filters, and how they represent bound parameters
+const dialects = {postgres: (index) => `$${index}`, mysql: () => "?", sqlite: () => "?"};
+// Escape wildcard characters in values used for LIKE, GLOB, and regular expression pattern comparisons
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, "\\$&");
+const escapeGlob = (value) => String(value).replace(/[*?[]/g, "[$&]");
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+// Unescape quoted string values, as per the JSON string syntax, falling back to their raw contents if not valid JSON
+const unquote = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value.substring(1, value.length - 1);
+    }
+};
+// Check whether a value is a plain object, and not some other kind of object
+const isPlainObject = (value) => !!value && Object.getPrototypeOf(value).constructor === Object;
+
 /**
  * SCIM Filter Type
  * @alias SCIMMY.Types.Filter
@@ -51,6 +71,14 @@ const isoDate = /^(-?(?:[1-9][0-9]*)?[0-9]{4})-(1[0-2]|0[1-9])-(3[01]|0[1-9]|[12
  * 
  * ### Object Representation
  * When instantiated with a valid filter expression string, the expression is parsed into an array of objects representing the given expression.
+ * Malformed expression strings are rejected with a `{@link SCIMMY.Types.Error|SCIMError}` with `scimType` of "invalidFilter",
+ * whose message includes the character offset of the offending token, and what was expected instead.
+ * ```js
+ * // Throws SCIMError: Missing closing ')' token for '(' at offset 20 in filter
+ * new SCIMMY.Types.Filter('userName eq "a" and (emails.value co "x"');
+ * // Throws SCIMError: Unexpected token '"x"' at offset 6 in filter, expected logical operator 'and' or 'or'
+ * new SCIMMY.Types.Filter('id pr "x"');
+ * ```
  * 
  * > **Note:**  
  * > It is also possible to substitute the expression string with an existing or well-formed expression object or set of objects.
@@ -201,6 +229,101 @@ const isoDate = /^(-?(?:[1-9][0-9]*)?[0-9]{4})-(1[0-2]|0[1-9])-(3[01]|0[1-9]|[12
  * ]
  * ```
  * 
+ * ### Building Filters
+ * Instead of assembling filter expression strings by hand, filters can be built using the static `{@link SCIMMY.Types.Filter.where|where()}` method.
+ * It returns a method for each comparator, which produce filter instances that can be joined using the `{@link SCIMMY.Types.Filter#and|#and()}` and
+ * `{@link SCIMMY.Types.Filter#or|#or()}` methods, or negated using the `{@link SCIMMY.Types.Filter#not|#not()}` method.
+ * Complex attribute filters can be built using the `has` method, which expects a filter, or a function that receives the Filter class and returns a filter.
+ * Quotes and backslashes in string values are escaped in the resulting `expression` property, which can be sent to service providers as is.
+ * ```js
+ * const filter = SCIMMY.Types.Filter.where("userName").eq('Adele"s')
+ *     .and(SCIMMY.Types.Filter.where("emails").has((f) => f.where("type").eq("work").and(f.where("value").co("@example.com"))));
+ * 
+ * // filter.expression: 'userName eq "Adele\"s" and emails[type eq "work" and value co "@example.com"]'
+ * ```
+ * 
+ * ### Abstract Syntax Tree
+ * As the object representation of a filter can be awkward to traverse, filters can also be represented as an abstract syntax tree using the `{@link SCIMMY.Types.Filter#toAST|#toAST()}` method.
+ * Each node of the tree is either a `LogicalExpression`, `NotExpression`, `ValuePathExpression`, or `ComparisonExpression`,
+ * and can be visited using the static `{@link SCIMMY.Types.Filter.walk|walk()}` method, or the `{@link SCIMMY.Types.Filter#accept|#accept()}` method of a filter instance.
+ * Filters can also be instantiated from an abstract syntax tree using the static `{@link SCIMMY.Types.Filter.fromAST|fromAST()}` method.
+ * ```js
+ * // For the filter expression...
+ * 'userName sw "A" and not emails[type eq "work"]'
+ * // ...the abstract syntax tree is
+ * {type: "LogicalExpression", operator: "and", expressions: [
+ *     {type: "ComparisonExpression", attribute: "userName", comparator: "sw", value: "A"},
+ *     {type: "ValuePathExpression", attribute: "emails", expression: {
+ *         type: "NotExpression", expression: {type: "ComparisonExpression", attribute: "type", comparator: "eq", value: "work"}
+ *     }}
+ * ]}
+ * 
+ * // Visitors handle each type of node, and can visit the children of a node when needed
+ * const attributes = new SCIMMY.Types.Filter('userName sw "A" or emails[type eq "work"]').accept({
+ *     LogicalExpression: (node, visit) => node.expressions.flatMap(visit),
+ *     ValuePathExpression: (node, visit) => visit(node.expression).map((name) => `${node.attribute}.${name}`),
+ *     NotExpression: (node, visit) => visit(node.expression),
+ *     ComparisonExpression: (node) => [node.attribute]
+ * });
+ * 
+ * // attributes: ["userName", "emails.type"]
+ * ```
+ * 
+ * > **Note:**  
+ * > As with filter strings, negations of logical operations are applied to each of their expressions,
+ * > and negations of complex attribute filters are applied to the expression of the filter.
+ * 
+ * ### Matching Values
+ * The `{@link SCIMMY.Types.Filter#match|#match()}` method evaluates the filter against a set of values in memory, returning any values that match.
+ * By default, string comparisons are case-sensitive, and the types of attributes are inferred from their values.
+ * When a schema definition is supplied, comparisons instead follow the `type` and `caseExact` characteristics of each attribute,
+ * as per [RFC7644§3.4.2.2](https://datatracker.ietf.org/doc/html/rfc7644#section-3.4.2.2), and attributes of schema extensions can be addressed by their fully qualified URN.
+ * ```js
+ * // Matches users with a userName of "AdeleV", "adelev", or "ADELEV", as the attribute is not case-sensitive
+ * new SCIMMY.Types.Filter('userName eq "adelev"').match(users, SCIMMY.Schemas.User.definition);
+ * ```
+ * 
+ * Behind the scenes, the filter is compiled into a predicate function once for each schema definition, which is then reused for every value.
+ * The `{@link SCIMMY.Types.Filter#compile|#compile()}` method returns this predicate directly, for use anywhere a callback is expected.
+ * ```js
+ * // Compile the filter once, then evaluate it against values as they arrive
+ * const isActive = new SCIMMY.Types.Filter("active eq true").compile(SCIMMY.Schemas.User.definition);
+ * const activeUsers = users.filter(isActive);
+ * ```
+ * 
+ * ### Compiling to SQL
+ * Instead of matching values in memory, filters can be compiled into a parameterised SQL `WHERE` clause using the `{@link SCIMMY.Types.Filter#toSQL|#toSQL()}` method.
+ * Attributes are mapped to column expressions, and multi-valued attributes are mapped to a table that is queried with an `EXISTS` subquery.
+ * As when matching values, string comparisons are case-sensitive by default,
+ * and when a schema definition is supplied, its `caseExact` characteristics determine whether string comparisons are case-sensitive.
+ * ```js
+ * const {sql, values} = new SCIMMY.Types.Filter('userName sw "A" and emails[type eq "work" and value co "@example.com"]').toSQL({
+ *     userName: "users.user_name",
+ *     emails: {table: "emails", on: "emails.user_id = users.id", columns: {type: "emails.type", value: "emails.address"}}
+ * }, "postgres", SCIMMY.Schemas.User.definition);
+ * 
+ * // sql: "users.user_name ILIKE $1 AND EXISTS (SELECT 1 FROM emails WHERE emails.user_id = users.id AND LOWER(emails.type) = LOWER($2) AND emails.address ILIKE $3)"
+ * // values: ["A%", "work", "%@example.com%"]
+ * ```
+ * 
+ * ### Compiling to MongoDB
+ * Similarly, filters can be compiled into a MongoDB query document using the `{@link SCIMMY.Types.Filter#toMongo|#toMongo()}` method.
+ * Attribute names are used as document field paths, unless mapped to different fields.
+ * When a schema definition is supplied, complex attribute filters on multi-valued attributes are compiled to `$elemMatch` queries,
+ * and the `caseExact` characteristics of attributes determine whether string comparisons use case-insensitive regular expressions.
+ * Otherwise, string comparisons are case-sensitive, as they are when matching values.
+ * Ordering comparisons of strings that aren't case-sensitive compare lower-cased values with `$expr` conditions,
+ * which MongoDB does not allow within `$elemMatch` queries, so such comparisons on sub-attributes of multi-valued attributes remain case-sensitive.
+ * ```js
+ * const query = new SCIMMY.Types.Filter('userName sw "A" and emails[type eq "work" and primary eq true]')
+ *     .toMongo({userName: "username"}, SCIMMY.Schemas.User.definition);
+ * 
+ * // query: {$and: [
+ * //     {username: {$regex: "^A", $options: "i"}},
+ * //     {emails: {$elemMatch: {$and: [{type: {$regex: "^work$", $options: "i"}}, {primary: {$eq: true}}]}}}
+ * // ]}
+ * ```
+ * 
  * ### Other Implementations
  * It is not possible to replace internal use of the Filter class inside SCIMMY's {@link SCIMMY.Messages.PatchOp|PatchOp} and `{@link SCIMMY.Types.SchemaDefinition|SchemaDefinition}` implementations.
  * Replacing use in the `attributes` property of an instance of `{@link SCIMMY.Types.Resource}`, while technically possible, is not recommended,
@@ -247,6 +370,166 @@ export class Filter extends Array {
      */
     expression;
     
+    /**
+     * Predicate functions compiled from this filter, for each schema definition the filter has been compiled with
+     * @type {Map<SCIMMY.Types.SchemaDefinition|undefined, Function>}
+     * @private
+     */
+    #predicates = new Map();
+    
+    /**
+     * The abstract syntax tree this filter instance was instantiated from, if any
+     * @type {SCIMMY.Types.Filter~FilterNode|undefined}
+     * @private
+     */
+    #ast;
+    
+    /**
+     * The abstract syntax tree for the next filter instance to be instantiated from expression objects, set by fromAST
+     * @type {SCIMMY.Types.Filter~FilterNode|undefined}
+     * @private
+     */
+    static #origin;
+    
+    /**
+     * Visit each node of a filter abstract syntax tree, starting from the given node
+     * @param {SCIMMY.Types.Filter~FilterNode} node - the node of the abstract syntax tree to start visiting from
+     * @param {SCIMMY.Types.Filter~FilterVisitor} visitor - handler methods to call for each kind of node that is visited
+     * @returns {*} the value returned by the visitor's handler method for the given node, or a list of values returned for its children
+     */
+    static walk(node, visitor) {
+        /**
+         * Handler methods called when visiting nodes of a filter abstract syntax tree, named after the type of node they handle.
+         * Each method receives the node being visited, and a function that can be called to visit any of its children.
+         * When a visitor has no handler method for a type of node, its children are visited instead.
+         * @typedef {Object} SCIMMY.Types.Filter~FilterVisitor
+         * @property {Function} [LogicalExpression] - handler method for logical "and" and "or" expression nodes
+         * @property {Function} [NotExpression] - handler method for logical "not" expression nodes
+         * @property {Function} [ValuePathExpression] - handler method for complex attribute filter nodes
+         * @property {Function} [ComparisonExpression] - handler method for attribute comparison expression nodes
+         */
+        
+        // Make sure the visitor is an object
+        if (!visitor || typeof visitor !== "object")
+            throw new TypeError("Expected 'visitor' parameter to be an object in 'walk' method of Filter");
+        
+        const visit = (child) => Filter.walk(child, visitor);
+        const handler = visitor[Filter.#node(node, "walk").type];
+        
+        // Let the visitor handle the node if it can...
+        if (typeof handler === "function") return handler.call(visitor, node, visit);
+        // ...otherwise visit any children of the node
+        else switch (node.type) {
+            case "LogicalExpression":
+                return node.expressions.map(visit);
+            
+            case "NotExpression":
+            case "ValuePathExpression":
+                return [visit(node.expression)];
+            
+            default:
+                return [];
+        }
+    }
+    
+    /**
+     * Instantiate a new filter from an abstract syntax tree
+     * @param {SCIMMY.Types.Filter~FilterNode} node - the root node of the abstract syntax tree to build the filter from
+     * @returns {SCIMMY.Types.Filter} a new filter instance representing the abstract syntax tree
+     */
+    static fromAST(node) {
+        const expressions = Filter.#disjunction(node).map((branch) => Filter.#conjunction(branch));
+        
+        try {
+            // Let the constructor know which tree the expression objects came from
+            Filter.#origin = structuredClone(node);
+            return new Filter(expressions);
+        } finally {
+            Filter.#origin = undefined;
+        }
+    }
+    
+    /**
+     * Start building a new filter that compares the value of the given attribute
+     * @param {String} attribute - name of, or path to, the attribute to compare
+     * @returns {SCIMMY.Types.Filter~FilterCondition} comparison methods that each return a new filter instance
+     * @example
+     * // Produces the filter expression 'userName eq "Adele\"s" and emails[type eq "work" and value co "@example.com"]'
+     * SCIMMY.Types.Filter.where("userName").eq('Adele"s')
+     *     .and(SCIMMY.Types.Filter.where("emails").has((f) => f.where("type").eq("work").and(f.where("value").co("@example.com"))));
+     */
+    static where(attribute) {
+        /**
+         * Methods that compare the value of an attribute, returned by the static `where` method of the Filter class.
+         * Each method is named after the comparator it applies, and returns a new filter instance for the comparison.
+         * @typedef {Object} SCIMMY.Types.Filter~FilterCondition
+         * @property {SCIMMY.Types.Filter~FilterComparison} eq - match when the attribute's value is equal to the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} ne - match when the attribute's value is not equal to the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} co - match when the attribute's value contains the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} sw - match when the attribute's value starts with the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} ew - match when the attribute's value ends with the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} gt - match when the attribute's value is greater than the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} lt - match when the attribute's value is less than the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} ge - match when the attribute's value is greater than or equal to the given value
+         * @property {SCIMMY.Types.Filter~FilterComparison} le - match when the attribute's value is less than or equal to the given value
+         * @property {SCIMMY.Types.Filter~FilterPresence} pr - match when the attribute has a value
+         * @property {SCIMMY.Types.Filter~FilterPresence} np - match when the attribute does not have a value
+         * @property {SCIMMY.Types.Filter~FilterValuePath} has - match when any value of the complex attribute matches the given filter
+         */
+        /**
+         * Compare the value of an attribute with a given value
+         * @callback SCIMMY.Types.Filter~FilterComparison
+         * @param {String|Number|Boolean|Date|null} value - the value to compare the attribute's value with
+         * @returns {SCIMMY.Types.Filter} a new filter instance for the comparison
+         */
+        /**
+         * Check whether an attribute has a value
+         * @callback SCIMMY.Types.Filter~FilterPresence
+         * @returns {SCIMMY.Types.Filter} a new filter instance for the comparison
+         */
+        /**
+         * Filter the values of a complex attribute by their sub-attributes
+         * @callback SCIMMY.Types.Filter~FilterValuePath
+         * @param {SCIMMY.Types.Filter|Function} expression - filter whose attribute names are relative to the complex attribute,
+         * or a function that receives the Filter class and returns such a filter
+         * @returns {SCIMMY.Types.Filter} a new filter instance for the complex attribute filter
+         */
+        
+        // Make sure the attribute is a valid attribute name or path
+        if (typeof attribute !== "string" || !attributePath.test(attribute))
+            throw new TypeError("Expected 'attribute' parameter to be a valid attribute name or path in 'where' method of Filter");
+        
+        // Create a method that compares the attribute's value using the given comparator
+        const compare = (comparator) => (...args) => {
+            const [value] = args;
+            
+            // Presence comparators don't need a value...
+            if (["pr", "np"].includes(comparator)) {
+                if (args.length)
+                    throw new TypeError(`Unexpected 'value' parameter in '${comparator}' method of Filter condition`);
+            }
+            // ...but all other comparators must be given a value that can be represented in a filter expression
+            else if (!(value === null || ["string", "boolean"].includes(typeof value) || Number.isFinite(value) || (value instanceof Date && !isNaN(value)))) {
+                throw new TypeError(`Expected 'value' parameter to be a string, number, boolean, Date, or null in '${comparator}' method of Filter condition`);
+            }
+            
+            return Filter.fromAST({type: "ComparisonExpression", attribute, comparator, ...(args.length ? {value} : {})});
+        };
+        
+        return {
+            ...Object.fromEntries(comparators.map((comparator) => [comparator, compare(comparator)])),
+            has: (expression) => {
+                const filter = (typeof expression === "function" ? expression(Filter) : expression);
+                
+                // Make sure there is a filter to apply to values of the complex attribute
+                if (!(filter instanceof Filter))
+                    throw new TypeError("Expected 'expression' parameter to be a Filter instance, or a function that returns one, in 'has' method of Filter condition");
+                
+                return Filter.fromAST({type: "ValuePathExpression", attribute, expression: filter.toAST()});
+            }
+        };
+    }
+    
     /**
      * Instantiate and parse a new SCIM filter string or expression
      * @param {String|Object|Object[]} expression - the query string to parse, or an existing filter expression object or set of objects
@@ -270,8 +553,14 @@ export class Filter extends Array {
         // Otherwise, clone and trap validated expression objects
         else this.push(...Filter.#objectify(Filter.#validate(expression)));
         
-        // Save the original expression string, or stringify expression objects
-        this.expression = (isString ? expression : Filter.#stringify(this));
+        // Hold on to the abstract syntax tree the expression objects came from, if any
+        if (!isString && Filter.#origin) {
+            this.#ast = Filter.#origin;
+            Filter.#origin = undefined;
+        }
+        
+        // Save the original expression string, or represent the abstract syntax tree or expression objects as a string
+        this.expression = (isString ? expression : (this.#ast ? Filter.#render(this.#ast) : Filter.#stringify(this)));
         
         Object.freeze(this);
     }
@@ -279,96 +568,821 @@ export class Filter extends Array {
     /**
      * Compare and filter a given set of values against this filter instance
      * @param {Object[]} values - values to evaluate filters against
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - schema definition whose attribute types and case sensitivity should be used when comparing values
      * @returns {Object[]} subset of values that match any expressions of this filter instance
      */
-    match(values) {
+    match(values, definition) {
+        // Make sure the definition, if supplied, is a SchemaDefinition instance
+        if (definition !== undefined && !(definition instanceof SchemaDefinition))
+            throw new TypeError("Expected 'definition' parameter to be an instance of SchemaDefinition in 'match' method of Filter");
+        
         // Match against any of the filters in the set
-        return values.filter(value => 
-            this.some(f => Object.entries(f).every(([attr, expressions]) => {
-                const [,actual] = Object.entries(value).find(([key]) => key.toLowerCase() === attr.toLowerCase()) ?? [];
-                const isActualDate = (actual instanceof Date || (new Date(actual).toString() !== "Invalid Date" && String(actual).match(isoDate)));
+        return values.filter(this.compile(definition));
+    }
+    
+    /**
+     * Compile this filter instance into a predicate function that can be reused to evaluate values
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - schema definition whose attribute types and case sensitivity should be used when comparing values
+     * @returns {SCIMMY.Types.Filter~FilterPredicate} a function that returns whether a given value matches any expressions of this filter instance
+     */
+    compile(definition) {
+        /**
+         * Function that evaluates whether a value matches a filter, without inspecting the filter's expressions again
+         * @callback SCIMMY.Types.Filter~FilterPredicate
+         * @param {Object} value - the value to evaluate
+         * @returns {Boolean} whether the value matched any expressions of the filter
+         */
+        
+        // Make sure the definition, if supplied, is a SchemaDefinition instance
+        if (definition !== undefined && !(definition instanceof SchemaDefinition))
+            throw new TypeError("Expected 'definition' parameter to be an instance of SchemaDefinition in 'compile' method of Filter");
+        
+        // Only compile the filter once for each definition
+        if (!this.#predicates.has(definition))
+            this.#predicates.set(definition, Filter.#predicate(this, definition));
+        
+        return this.#predicates.get(definition);
+    }
+    
+    /**
+     * Represent this filter instance as an abstract syntax tree, which is easier to traverse than the filter's object representation
+     * @returns {SCIMMY.Types.Filter~FilterNode} the root node of the abstract syntax tree of this filter instance
+     */
+    toAST() {
+        /**
+         * Node of a filter abstract syntax tree
+         * @typedef {SCIMMY.Types.Filter.LogicalExpression|SCIMMY.Types.Filter.NotExpression|SCIMMY.Types.Filter.ValuePathExpression|SCIMMY.Types.Filter.ComparisonExpression} SCIMMY.Types.Filter~FilterNode
+         */
+        /**
+         * Logical "and" or "or" operation, which matches when all or any of its expressions match
+         * @typedef {Object} SCIMMY.Types.Filter~LogicalExpression
+         * @property {"LogicalExpression"} type - the type of node
+         * @property {"and"|"or"} operator - the logical operator applied to the expressions
+         * @property {SCIMMY.Types.Filter~FilterNode[]} expressions - the expressions joined by the logical operator
+         */
+        /**
+         * Logical "not" operation, which matches when its expression does not match
+         * @typedef {Object} SCIMMY.Types.Filter~NotExpression
+         * @property {"NotExpression"} type - the type of node
+         * @property {SCIMMY.Types.Filter~FilterNode} expression - the negated expression
+         */
+        /**
+         * Complex attribute filter, whose expression is evaluated against the sub-attributes of each value of the attribute
+         * @typedef {Object} SCIMMY.Types.Filter~ValuePathExpression
+         * @property {"ValuePathExpression"} type - the type of node
+         * @property {String} attribute - name of the complex attribute
+         * @property {SCIMMY.Types.Filter~FilterNode} expression - expression whose attribute names are relative to the complex attribute
+         */
+        /**
+         * Comparison of an attribute's value with an expected value
+         * @typedef {Object} SCIMMY.Types.Filter~ComparisonExpression
+         * @property {"ComparisonExpression"} type - the type of node
+         * @property {String} attribute - name of, or path to, the attribute being compared
+         * @property {SCIMMY.Types.Filter~ValidComparisonStrings} comparator - the comparison operator
+         * @property {String|Number|Boolean|Date|null} [value] - the expected value, omitted for the "pr" and "np" comparators
+         */
+        
+        return (this.#ast ? structuredClone(this.#ast) : Filter.#tree(this));
+    }
+    
+    /**
+     * Visit each node of this filter instance's abstract syntax tree
+     * @param {SCIMMY.Types.Filter~FilterVisitor} visitor - handler methods to call for each kind of node that is visited
+     * @returns {*} the value returned by the visitor's handler method for the root node, or a list of values returned for its children
+     */
+    accept(visitor) {
+        return Filter.walk(this.toAST(), visitor);
+    }
+    
+    /**
+     * Join this filter instance and the given filters with a logical "and" operation
+     * @param {SCIMMY.Types.Filter} filters - the filters that must also match
+     * @returns {SCIMMY.Types.Filter} a new filter instance that matches when this filter, and all given filters, match
+     */
+    and(...filters) {
+        return Filter.#join("and", [this, ...filters]);
+    }
+    
+    /**
+     * Join this filter instance and the given filters with a logical "or" operation
+     * @param {SCIMMY.Types.Filter} filters - the filters that may match instead
+     * @returns {SCIMMY.Types.Filter} a new filter instance that matches when this filter, or any given filter, matches
+     */
+    or(...filters) {
+        return Filter.#join("or", [this, ...filters]);
+    }
+    
+    /**
+     * Negate this filter instance with a logical "not" operation
+     * @returns {SCIMMY.Types.Filter} a new filter instance that matches when this filter does not
+     */
+    not() {
+        return Filter.fromAST({type: "NotExpression", expression: this.toAST()});
+    }
+    
+    /**
+     * Compile this filter instance into a parameterised SQL WHERE clause, for use when querying a relational database
+     * @param {SCIMMY.Types.Filter~SQLMapping} mapping - map of attribute names to the columns or tables that hold their values
+     * @param {String} [dialect="postgres"] - the SQL dialect to compile the filter for, one of "postgres", "mysql", or "sqlite"
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - schema definition used to determine the type and case sensitivity of attributes
+     * @returns {{sql: String, values: any[]}} the compiled WHERE clause, and the values to bind to its parameters
+     */
+    toSQL(mapping, dialect = "postgres", definition) {
+        /**
+         * Map of attribute names, or paths to sub-attributes of complex attributes, to column expressions or multi-valued attribute tables
+         * @typedef {Record<String, String|SCIMMY.Types.Filter~SQLTable>} SCIMMY.Types.Filter~SQLMapping
+         * @inner
+         */
+        /**
+         * Details of a table holding the values of a multi-valued attribute
+         * @typedef {Object} SCIMMY.Types.Filter~SQLTable
+         * @property {String} table - name of the table holding the values of the multi-valued attribute
+         * @property {String} on - condition that correlates rows of the table with the resource being filtered
+         * @property {Record<String, String>} columns - map of sub-attribute names to columns of the table, where "value" is used for direct comparisons
+         * @inner
+         */
+        
+        // Make sure the mapping is an object, and the dialect and definition are supported
+        if (!isPlainObject(mapping))
+            throw new TypeError("Expected 'mapping' parameter to be an object in 'toSQL' method of Filter");
+        if (!Object.keys(dialects).includes(dialect))
+            throw new TypeError(`Expected 'dialect' parameter to be one of '${Object.keys(dialects).join("', '")}' in 'toSQL' method of Filter`);
+        if (definition !== undefined && !(definition instanceof SchemaDefinition))
+            throw new TypeError("Expected 'definition' parameter to be an instance of SchemaDefinition in 'toSQL' method of Filter");
+        
+        const values = [];
+        const context = {dialect, definition, bind: (value) => dialects[dialect](values.push(value))};
+        // Compile every branch of the filter, joining each branch's clauses with "and"
+        const branches = this.map((branch) => Filter.#sqlClauses(branch, mapping, context));
+        // Then join the branches with "or", wrapping any compound branches in parentheses
+        const sql = branches.length === 1 ? branches[0].join(" AND ") :
+            branches.map((clauses) => clauses.length > 1 ? `(${clauses.join(" AND ")})` : clauses[0]).join(" OR ");
+        
+        return {sql, values};
+    }
+    
+    /**
+     * Compile this filter instance into a MongoDB query document, for use when querying a document database
+     * Complex attribute filters on multi-valued attributes use "$elemMatch" conditions, so that all of their conditions apply to the same value.
+     * Without a schema definition, any complex attribute filter with more than one condition is assumed to be on a multi-valued attribute.
+     * @param {Record<String, String>} [mapping] - map of attribute names, or paths to sub-attributes of complex attributes, to the document fields that hold their values
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - schema definition used to determine the type, plurality, and case sensitivity of attributes
+     * @returns {Object} the compiled query document
+     */
+    toMongo(mapping = {}, definition) {
+        // Make sure the mapping is an object, and the definition is supported
+        if (!isPlainObject(mapping))
+            throw new TypeError("Expected 'mapping' parameter to be an object in 'toMongo' method of Filter");
+        if (definition !== undefined && !(definition instanceof SchemaDefinition))
+            throw new TypeError("Expected 'definition' parameter to be an instance of SchemaDefinition in 'toMongo' method of Filter");
+        
+        // Compile every branch of the filter, joining each branch's conditions with "$and"
+        const branches = this.map((branch) => Filter.#mongoClauses(branch, mapping, definition))
+            .map((conditions) => (conditions.length === 1 ? conditions[0] : {$and: conditions}));
+        
+        // Then join the branches with "$or"
+        return (branches.length === 1 ? branches[0] : {$or: branches});
+    }
+    
+    /**
+     * Compile a set of filter expressions into a predicate function, resolving attributes and expected values ahead of time
+     * @param {Object[]} branches - the filter expression objects to compile
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - schema definition used to determine the type and case sensitivity of attributes
+     * @param {String} [parent] - the path to prepend to attribute names when finding them in the schema definition
+     * @returns {SCIMMY.Types.Filter~FilterPredicate} a function that returns whether a given value matches any of the branches
+     * @private
+     */
+    static #predicate(branches, definition, parent = "") {
+        // Find a value's property with a given name, preferring an exact match over a case-insensitive one
+        const lookup = (value, name, folded) => {
+            if (value[name] !== undefined) return value[name];
+            for (let key of Object.keys(value)) if (key.toLowerCase() === folded) return value[key];
+        };
+        
+        const tests = branches.map(f => Object.entries(f).map(([attr, expressions]) => {
+            const path = `${parent}${attr}`;
+            const attribute = Filter.#attribute(definition, path);
+            const folded = attr.toLowerCase();
+            // Work out where namespaced attributes are found, either in the value of their schema extension, or directly in the value for the core schema
+            const extension = (!parent && !!definition && folded.startsWith("urn:") ? [definition, ...definition.attributes]
+                .find(s => s instanceof SchemaDefinition && folded.startsWith(`${s.id.toLowerCase()}:`)) : undefined);
+            const [namespace, name] = (extension ? [extension.id, attr.substring(extension.id.length + 1)] : []);
+            const resolve = (value) => {
+                const actual = lookup(value, attr, folded);
                 
-                if (Array.isArray(actual)) {
-                    // Handle multivalued attributes by diving into them...
-                    return !!(Array.isArray(expressions) ? expressions : [expressions])
-                        // ...dealing with nested joins involving complex filter expressions
-                        .some(e => new Filter(Array.isArray(e) ? {[attr]: e} : e).match(actual).length);
-                } else if (!Array.isArray(expressions)) {
-                    // Handle complex attributes by diving into them
-                    return !!(new Filter([expressions]).match([actual]).length);
+                if (actual !== undefined || !extension) return actual;
+                else return lookup((extension === definition ? value : lookup(value, namespace, namespace.toLowerCase())) ?? {}, name, name.toLowerCase());
+            };
+            
+            // Go through the list of expressions for the attribute, compiling tests that the value must match all of
+            const checks = (Array.isArray(expressions) && expressions.every(e => Array.isArray(e) || isPlainObject(e)) ? expressions : [expressions]).map((expression) => {
+                // Handle complex attributes by diving into them, matching if any of a multi-valued attribute's values match
+                if (!Array.isArray(expression)) {
+                    const nested = Filter.#predicate([expression], definition, `${path}.`);
+                    return (actual) => (Array.isArray(actual) && actual.length ? actual : [actual]).some(a => nested(isPlainObject(a) ? a : {}));
                 } else {
-                    let result = null;
+                    // Check for negation and extract the comparator
+                    const negate = (expression[0].toLowerCase() === "not");
+                    const comparator = expression[+negate].toLowerCase();
+                    const target = (String(attribute?.type) === "complex" ? Filter.#attribute(definition, `${path}.value`) : attribute);
+                    const single = Filter.#comparator(expression, attribute, path);
+                    const multiple = (["pr", "np"].includes(comparator) ? null : Filter.#comparator(expression.slice(+negate), target, path));
                     
-                    // Go through the list of expressions for the attribute to see if the value matches
-                    for (let expression of (expressions.every(Array.isArray) ? expressions : [expressions])) {
-                        // Bail out if the value didn't match the last expression
-                        if (result === false) break;
-                        
-                        // Check for negation and extract the comparator and expected values
-                        const negate = (expression[0].toLowerCase() === "not");
-                        let [comparator, expected] = expression.slice(((+negate) - expression.length));
+                    return (actual) => {
+                        // Compare single values directly...
+                        if (!Array.isArray(actual)) return single(actual);
+                        // ...but handle multi-valued attributes by comparing against each value,
+                        // where presence is determined by whether there are any values, and the "value" sub-attribute of complex values is compared
+                        const result = (!multiple ? (comparator === "pr") === !!actual.length : actual.some(a => multiple(isPlainObject(a) ? a.value : a)));
                         
-                        // For equality tests, cast true and false strings to boolean values, maintaining EntraID support
-                        if (["eq", "ne"].includes(comparator.toLowerCase()) && typeof actual === "boolean" && typeof expected === "string")
-                            expected = (expected.toLowerCase() === "false" ? false : (expected.toLowerCase() === "true" ? true : expected));
+                        return (negate ? !result : result);
+                    };
+                }
+            });
+            
+            return (value) => {
+                const actual = resolve(value);
+                return checks.every((check) => check(actual));
+            };
+        }));
+        
+        return (value) => tests.some(branch => branch.every(test => test(value)));
+    }
+    
+    /**
+     * Compile a single comparison expression into a function that compares actual values against it
+     * @param {Array} expression - the comparison expression, including any negation, comparator, and expected value
+     * @param {SCIMMY.Types.Attribute} [attribute] - the attribute being compared, if known
+     * @param {String} path - the name of the attribute being compared, for thrown errors
+     * @returns {Function} a function that returns whether a given value satisfies the comparison expression
+     * @private
+     */
+    static #comparator(expression, attribute, path) {
+        const {negate, comparator, type, caseExact, ...operand} = Filter.#operand(expression, attribute, path);
+        // Fold the case of strings that aren't case-sensitive
+        const fold = (v) => (!caseExact && typeof v === "string" ? v.toLowerCase() : v);
+        // Compare dateTime attributes as dates, and values that look like dates when ordering them
+        const isDate = (actual) => (actual instanceof Date || (new Date(actual).toString() !== "Invalid Date" && !!String(actual).match(isoDate)));
+        const isTemporal = (type === "dateTime" ? () => !["co", "sw", "ew"].includes(comparator) : (!attribute && ["gt", "lt", "ge", "le"].includes(comparator) ? isDate : () => false));
+        // Prepare the expected value for comparison
+        const cast = (actual, expected) => (["eq", "ne"].includes(comparator) && typeof actual === "boolean" && typeof expected === "string" ?
+            (expected.toLowerCase() === "false" ? false : (expected.toLowerCase() === "true" ? true : expected)) : expected);
+        const expected = {value: operand.value, folded: fold(operand.value), pattern: fold(String(operand.value)), time: new Date(operand.value).getTime()};
+        let compare;
+        
+        switch (comparator) {
+            default:
+                compare = () => false;
+                break;
+            
+            case "eq":
+                compare = (expected.value === null ? (actual) => actual === undefined || actual === null : (a, e) => a === e);
+                break;
+            
+            case "ne":
+                compare = (expected.value === null ? (actual) => actual !== undefined && actual !== null : (a, e) => a !== e);
+                break;
+            
+            case "co":
+                compare = (actual) => (actual !== undefined && actual !== null && String(fold(actual)).includes(expected.pattern));
+                break;
+            
+            case "sw":
+                compare = (actual) => (actual !== undefined && actual !== null && String(fold(actual)).startsWith(expected.pattern));
+                break;
+            
+            case "ew":
+                compare = (actual) => (actual !== undefined && actual !== null && String(fold(actual)).endsWith(expected.pattern));
+                break;
+            
+            case "gt":
+                compare = (a, e, temporal) => (temporal ? a > e : (typeof a === typeof e && a > e));
+                break;
+            
+            case "lt":
+                compare = (a, e, temporal) => (temporal ? a < e : (typeof a === typeof e && a < e));
+                break;
+            
+            case "ge":
+                compare = (a, e, temporal) => (temporal ? a >= e : (typeof a === typeof e && a >= e));
+                break;
+            
+            case "le":
+                compare = (a, e, temporal) => (temporal ? a <= e : (typeof a === typeof e && a <= e));
+                break;
+            
+            case "pr":
+                compare = (actual) => actual !== undefined;
+                break;
+            
+            case "np":
+                compare = (actual) => actual === undefined;
+                break;
+        }
+        
+        return (actual) => {
+            const temporal = (actual !== undefined && actual !== null && isTemporal(actual));
+            // Compare timestamps for temporal values, and folded values for everything else
+            const a = (temporal ? new Date(actual).getTime() : fold(actual));
+            const e = (temporal ? expected.time : (typeof actual === "boolean" ? cast(actual, expected.value) : expected.folded));
+            const result = compare(a, e, temporal);
+            
+            return (negate ? !result : result);
+        };
+    }
+    
+    /**
+     * Compile the expressions of a filter branch into a list of SQL clauses
+     * @param {Object} expression - the filter expression object to compile
+     * @param {SCIMMY.Types.Filter~SQLMapping|Record<String, String>} mapping - map of attribute names to columns or multi-valued attribute tables
+     * @param {Object} context - details of the SQL dialect, schema definition, and parameter binding for the filter being compiled
+     * @param {String} [prefix] - the path to prepend to attribute names when finding them in the mapping
+     * @param {String} [parent] - the path to prepend to attribute names when finding them in the schema definition
+     * @returns {String[]} the compiled SQL clauses of the expression
+     * @private
+     */
+    static #sqlClauses(expression, mapping, context, prefix = "", parent = "") {
+        const clauses = [];
+        
+        for (let [attr, expr] of Object.entries(expression)) {
+            const name = `${prefix}${attr}`;
+            const path = `${parent}${attr}`;
+            const [, target] = Object.entries(mapping).find(([key]) => key.toLowerCase() === name.toLowerCase()) ?? [];
+            // Separate joined expressions for the attribute, so they can be compiled individually
+            const expressions = (Array.isArray(expr) && expr.every(e => Array.isArray(e) || isPlainObject(e)) ? expr : [expr]);
+            
+            for (let e of expressions) {
+                // Handle multi-valued attributes stored in their own table
+                if (isPlainObject(target)) {
+                    const {table, on, columns = {}} = target;
+                    const subquery = (conditions) => `EXISTS (SELECT 1 FROM ${table} WHERE ${[on, ...conditions].join(" AND ")})`;
+                    
+                    // Compile complex attribute filters as conditions of the subquery...
+                    if (!Array.isArray(e)) clauses.push(subquery(Filter.#sqlClauses(e, columns, context, "", `${path}.`)));
+                    // ...and direct comparisons against the "value" column of the table
+                    else {
+                        const negate = (e[0].toLowerCase() === "not");
+                        const [comparator, ...expected] = e.slice(+negate);
+                        const [, column] = Object.entries(columns).find(([key]) => key.toLowerCase() === "value") ?? [];
                         
-                        switch (comparator.toLowerCase()) {
-                            default:
-                                result = false;
-                                break;
-                            
-                            case "eq":
-                                result = (actual === (expected ?? undefined));
-                                break;
-                            
-                            case "ne":
-                                result = (actual !== (expected ?? undefined));
-                                break;
-                            
-                            case "co":
-                                result = String(actual).includes(expected);
-                                break;
-                            
-                            case "sw":
-                                result = String(actual).startsWith(expected);
-                                break;
-                            
-                            case "ew":
-                                result = String(actual).endsWith(expected);
-                                break;
-                            
-                            case "gt":
-                                result = (isActualDate ? (new Date(actual) > new Date(expected)) : (typeof actual === typeof expected && actual > expected));
-                                break;
-                            
-                            case "lt":
-                                result = (isActualDate ? (new Date(actual) < new Date(expected)) : (typeof actual === typeof expected && actual < expected));
-                                break;
-                            
-                            case "ge":
-                                result = (isActualDate ? (new Date(actual) >= new Date(expected)) : (typeof actual === typeof expected && actual >= expected));
-                                break;
-                            
-                            case "le":
-                                result = (isActualDate ? (new Date(actual) <= new Date(expected)) : (typeof actual === typeof expected && actual <= expected));
-                                break;
+                        // Presence tests only need to check whether any rows exist
+                        if (["pr", "np"].includes(comparator.toLowerCase())) {
+                            clauses.push(`${negate === (comparator.toLowerCase() === "pr") ? "NOT " : ""}${subquery([])}`);
+                        } else {
+                            const attribute = Filter.#attribute(context.definition, path);
+                            const target = (String(attribute?.type) === "complex" ? Filter.#attribute(context.definition, `${path}.value`) : attribute);
                             
-                            case "pr":
-                                result = actual !== undefined;
-                                break;
+                            // Make sure there is actually a column to compare values against
+                            if (column === undefined)
+                                throw new SCIMError(400, "invalidFilter", `Attribute '${path}' in filter is not mapped to a column for direct comparison`);
                             
-                            case "np":
-                                result = actual === undefined;
-                                break;
+                            clauses.push(`${negate ? "NOT " : ""}${subquery([Filter.#sqlComparison(column, [comparator, ...expected], target, path, context)])}`);
                         }
-                        
-                        result = (negate ? !result : result);
                     }
+                }
+                // Handle complex attributes, whose sub-attributes are mapped individually
+                else if (!Array.isArray(e)) {
+                    clauses.push(...Filter.#sqlClauses(e, mapping, context, `${name}.`, `${path}.`));
+                }
+                // Handle comparisons against mapped columns
+                else if (typeof target === "string") {
+                    clauses.push(Filter.#sqlComparison(target, e, Filter.#attribute(context.definition, path), path, context));
+                }
+                // Otherwise, there's nothing to compare against
+                else throw new SCIMError(400, "invalidFilter", `Attribute '${path}' in filter is not mapped to a column`);
+            }
+        }
+        
+        return clauses;
+    }
+    
+    /**
+     * Compile a single comparison expression into a SQL clause
+     * @param {String} column - the column expression to compare values of
+     * @param {Array} expression - the comparison expression, including any negation, comparator, and expected value
+     * @param {SCIMMY.Types.Attribute} [attribute] - the attribute being compared, if known
+     * @param {String} path - the name of the attribute being compared, for thrown errors
+     * @param {Object} context - details of the SQL dialect and parameter binding for the filter being compiled
+     * @returns {String} the compiled SQL clause
+     * @private
+     */
+    static #sqlComparison(column, expression, attribute, path, {dialect, bind}) {
+        const {negate, comparator, caseExact, ...operand} = Filter.#operand(expression, attribute, path);
+        // SQLite has no boolean or date types, so store them as integers and ISO 8601 strings
+        const value = (dialect !== "sqlite" ? operand.value : (typeof operand.value === "boolean" ? +operand.value : (operand.value instanceof Date ? operand.value.toISOString() : operand.value)));
+        const fold = (v) => (caseExact ? v : `LOWER(${v})`);
+        // MySQL compares strings case-insensitively under default collations, so compare case-exact strings as binary values
+        const subject = (dialect === "mysql" && caseExact && typeof value === "string" ? `CAST(${column} AS BINARY)` : fold(column));
+        // Compare values with either the LIKE or GLOB operators when matching patterns
+        const pattern = (prefix, suffix) => {
+            if (dialect === "postgres") return `${column} ${caseExact ? "LIKE" : "ILIKE"} ${bind(`${prefix}${escapeLike(value)}${suffix}`)}`;
+            else if (dialect === "mysql") return `${subject} LIKE ${fold(bind(`${prefix}${escapeLike(value)}${suffix}`))}`;
+            else if (caseExact) return `${column} GLOB ${bind(`${prefix.replace("%", "*")}${escapeGlob(value)}${suffix.replace("%", "*")}`)}`;
+            else return `${fold(column)} LIKE ${fold(bind(`${prefix}${escapeLike(value)}${suffix}`))} ESCAPE '\\'`;
+        };
+        
+        let clause;
+        
+        switch (comparator) {
+            case "eq":
+                clause = (value === null ? `${column} IS NULL` : `${subject} = ${fold(bind(value))}`);
+                break;
+            
+            case "ne":
+                clause = (value === null ? `${column} IS NOT NULL` : `(${column} IS NULL OR ${subject} <> ${fold(bind(value))})`);
+                break;
+            
+            case "co":
+                clause = pattern("%", "%");
+                break;
+            
+            case "sw":
+                clause = pattern("", "%");
+                break;
+            
+            case "ew":
+                clause = pattern("%", "");
+                break;
+            
+            case "gt":
+                clause = `${subject} > ${fold(bind(value))}`;
+                break;
+            
+            case "lt":
+                clause = `${subject} < ${fold(bind(value))}`;
+                break;
+            
+            case "ge":
+                clause = `${subject} >= ${fold(bind(value))}`;
+                break;
+            
+            case "le":
+                clause = `${subject} <= ${fold(bind(value))}`;
+                break;
+            
+            case "pr":
+                clause = `${column} IS NOT NULL`;
+                break;
+            
+            case "np":
+                clause = `${column} IS NULL`;
+                break;
+            
+            default:
+                throw new SCIMError(400, "invalidFilter", `Unknown comparator '${comparator}' for attribute '${path}' in filter`);
+        }
+        
+        // Treat unknown results as not matching, so that negated comparisons include missing values
+        return (negate ? `(${clause}) IS NOT TRUE` : clause);
+    }
+    
+    /**
+     * Compile the expressions of a filter branch into a list of MongoDB query conditions
+     * @param {Object} expression - the filter expression object to compile
+     * @param {Record<String, String>} mapping - map of attribute names to document fields
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - schema definition used to determine the type, plurality, and case sensitivity of attributes
+     * @param {String} [parent] - the path to prepend to attribute names when finding them in the mapping or schema definition
+     * @param {String} [prefix] - the field path to prepend to attribute names that aren't in the mapping
+     * @param {String} [scope] - the field path of any enclosing "$elemMatch" condition, which mapped field paths are relative to
+     * @returns {Object[]} the compiled query conditions of the expression
+     * @private
+     */
+    static #mongoClauses(expression, mapping, definition, parent = "", prefix = "", scope = "") {
+        const clauses = [];
+        // Find the document field for an attribute, relative to any enclosing "$elemMatch" condition
+        const locate = (path, fallback) => {
+            const [, field] = Object.entries(mapping).find(([key]) => key.toLowerCase() === path.toLowerCase()) ?? [];
+            return (field === undefined ? fallback : (scope && field.startsWith(`${scope}.`) ? field.substring(scope.length + 1) : field));
+        };
+        
+        for (let [attr, expr] of Object.entries(expression)) {
+            const path = `${parent}${attr}`;
+            const field = locate(path, `${prefix}${attr}`);
+            const attribute = Filter.#attribute(definition, path);
+            // Separate joined expressions for the attribute, so they can be compiled individually
+            const expressions = (Array.isArray(expr) && expr.every(e => Array.isArray(e) || isPlainObject(e)) ? expr : [expr]);
+            
+            for (let e of expressions) {
+                const conditions = (!Array.isArray(e) ? Object.values(e) : []);
+                // Without a definition, complex attribute filters with more than one condition are assumed to be for multi-valued attributes
+                const grouped = (attribute === undefined && (conditions.length > 1 || conditions.some((c) => !Array.isArray(c) || Array.isArray(c[0]))));
+                
+                // Handle complex attribute filters on multi-valued attributes, so all conditions apply to the same value...
+                if (!Array.isArray(e) && (attribute?.config?.multiValued || grouped)) {
+                    const conditions = Filter.#mongoClauses(e, mapping, definition, `${path}.`, "", [scope, field].filter(v => v).join("."));
+                    clauses.push({[field]: {$elemMatch: (conditions.length === 1 ? conditions[0] : {$and: conditions})}});
+                }
+                // ...and any other complex attributes, whose sub-attributes can be compared directly
+                else if (!Array.isArray(e)) {
+                    clauses.push(...Filter.#mongoClauses(e, mapping, definition, `${path}.`, `${field}.`, scope));
+                }
+                // Compare the "value" sub-attribute of complex attributes, unless testing for presence
+                else if (String(attribute?.type) === "complex" && !["pr", "np"].includes(e[+(e[0].toLowerCase() === "not")].toLowerCase())) {
+                    const target = Filter.#attribute(definition, `${path}.value`);
+                    clauses.push(Filter.#mongoComparison(locate(`${path}.value`, `${field}.value`), e, target, path, scope));
+                }
+                // Otherwise, compare the attribute's own value
+                else {
+                    clauses.push(Filter.#mongoComparison(field, e, attribute, path, scope));
+                }
+            }
+        }
+        
+        return clauses;
+    }
+    
+    /**
+     * Compile a single comparison expression into a MongoDB query condition
+     * @param {String} field - the document field to compare values of
+     * @param {Array} expression - the comparison expression, including any negation, comparator, and expected value
+     * @param {SCIMMY.Types.Attribute} [attribute] - the attribute being compared, if known
+     * @param {String} path - the name of the attribute being compared, for thrown errors
+     * @param {String} [scope] - the field path of any enclosing "$elemMatch" condition, where aggregation expressions can't be used
+     * @returns {Object} the compiled query condition
+     * @private
+     */
+    static #mongoComparison(field, expression, attribute, path, scope = "") {
+        const {negate, comparator, caseExact, type, ...operand} = Filter.#operand(expression, attribute, path);
+        // Compare dateTime attributes as dates, as that is how they are typically stored
+        const value = (type === "dateTime" && typeof operand.value === "string" && isoDate.test(operand.value) ? new Date(operand.value) : operand.value);
+        // Compare strings using regular expressions when matching patterns or ignoring case
+        const pattern = (prefix, suffix) => ({$regex: `${prefix}${escapeRegExp(value)}${suffix}`, ...(caseExact ? {} : {$options: "i"})});
+        let condition;
+        
+        switch (comparator) {
+            case "eq":
+                condition = (value === null || caseExact ? {$eq: value} : pattern("^", "$"));
+                break;
+            
+            case "ne":
+                condition = (value === null || caseExact ? {$ne: value} : {$not: pattern("^", "$")});
+                break;
+            
+            case "co":
+                condition = pattern("", "");
+                break;
+            
+            case "sw":
+                condition = pattern("^", "");
+                break;
+            
+            case "ew":
+                condition = pattern("", "$");
+                break;
+            
+            case "gt":
+                condition = {$gt: value};
+                break;
+            
+            case "lt":
+                condition = {$lt: value};
+                break;
+            
+            case "ge":
+                condition = {$gte: value};
+                break;
+            
+            case "le":
+                condition = {$lte: value};
+                break;
+            
+            case "pr":
+                condition = {$exists: true, $nin: [null, "", []]};
+                break;
+            
+            case "np":
+                condition = {$in: [null, "", []]};
+                break;
+            
+            default:
+                throw new SCIMError(400, "invalidFilter", `Unknown comparator '${comparator}' for attribute '${path}' in filter`);
+        }
+        
+        // Regular expressions can't order values, so order strings that aren't case-sensitive by comparing their lower-cased values
+        const clause = (!caseExact && !scope && ["gt", "lt", "ge", "le"].includes(comparator) ? {
+            [field]: {$type: "string"}, $expr: {[Object.keys(condition).pop()]: [{$toLower: `$${field}`}, value.toLowerCase()]}
+        } : {[field]: condition});
+        
+        // Use "$nor" for negation, so that negated comparisons include missing values
+        return (negate ? {$nor: [clause]} : clause);
+    }
+    
+    /**
+     * Extract the negation, comparator, and expected value of a comparison expression, checking they are valid for the attribute
+     * @param {Array} expression - the comparison expression, including any negation, comparator, and expected value
+     * @param {SCIMMY.Types.Attribute} [attribute] - the attribute being compared, if known
+     * @param {String} path - the name of the attribute being compared, for thrown errors
+     * @returns {{negate: Boolean, comparator: String, value: any, type: String, caseExact: Boolean}} details of the comparison
+     * @private
+     */
+    static #operand(expression, attribute, path) {
+        // Check for negation and extract the comparator and expected values
+        const negate = (expression[0].toLowerCase() === "not");
+        const [comparator, expected] = expression.slice(((+negate) - expression.length)).map((v, i) => (i ? v : v.toLowerCase()));
+        const type = (attribute ? String(attribute.type) : typeof expected);
+        let value = expected;
+        
+        // Cast true and false strings to boolean values for boolean attributes, maintaining EntraID support
+        if (type === "boolean" && typeof value === "string")
+            value = (value.toLowerCase() === "false" ? false : (value.toLowerCase() === "true" ? true : value));
+        // Make sure ordering comparators aren't used with boolean or binary values
+        if (["gt", "lt", "ge", "le"].includes(comparator) && (["boolean", "binary"].includes(type) || typeof value === "boolean"))
+            throw new SCIMError(400, "invalidFilter", `Comparator '${comparator}' is not supported for ${type} attribute '${path}' in filter`);
+        
+        // Without a schema definition, string comparisons are case-sensitive, otherwise they are case-insensitive unless otherwise specified
+        const caseExact = (!attribute || typeof value !== "string" || type === "binary" || !!attribute.config?.caseExact || !["string", "reference"].includes(type));
+        
+        return {negate, comparator, value, type, caseExact};
+    }
+    
+    /**
+     * Find an attribute in a schema definition, without throwing if it isn't declared
+     * @param {SCIMMY.Types.SchemaDefinition} [definition] - the schema definition to find the attribute in
+     * @param {String} path - the name of the attribute to find
+     * @returns {SCIMMY.Types.Attribute|undefined} the attribute, if it was found
+     * @private
+     */
+    static #attribute(definition, path) {
+        try {
+            return definition?.attribute(path);
+        } catch {
+            return undefined;
+        }
+    }
+    
+    /**
+     * Make sure a node of a filter abstract syntax tree is valid
+     * @param {SCIMMY.Types.Filter~FilterNode} node - the node to validate
+     * @param {String} method - name of the method the node was supplied to, for thrown errors
+     * @returns {SCIMMY.Types.Filter~FilterNode} the validated node
+     * @private
+     */
+    static #node(node, method) {
+        const suffix = `in '${method}' method of Filter`;
+        
+        if (!isPlainObject(node))
+            throw new TypeError(`Expected filter AST node to be an object ${suffix}`);
+        
+        switch (node.type) {
+            case "LogicalExpression":
+                if (!["and", "or"].includes(node.operator))
+                    throw new TypeError(`Expected 'operator' property of LogicalExpression node to be 'and' or 'or' ${suffix}`);
+                if (!Array.isArray(node.expressions) || !node.expressions.length)
+                    throw new TypeError(`Expected 'expressions' property of LogicalExpression node to be a non-empty array ${suffix}`);
+                break;
+            
+            case "NotExpression":
+                break;
+            
+            case "ValuePathExpression":
+            case "ComparisonExpression":
+                if (typeof node.attribute !== "string" || !node.attribute.length)
+                    throw new TypeError(`Expected 'attribute' property of ${node.type} node to be a non-empty string ${suffix}`);
+                if (node.type === "ComparisonExpression" && !comparators.includes(node.comparator))
+                    throw new TypeError(`Expected 'comparator' property of ComparisonExpression node to be one of '${comparators.join("', '")}' ${suffix}`);
+                break;
+            
+            default:
+                throw new TypeError(`Unexpected filter AST node type '${node.type}' ${suffix}`);
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Build an abstract syntax tree from the object representation of a filter
+     * @param {Object[]} branches - the filter expression objects to build the tree from
+     * @returns {SCIMMY.Types.Filter~FilterNode} the root node of the abstract syntax tree
+     * @private
+     */
+    static #tree(branches) {
+        // Wrap multiple expressions in a logical operation, or return a single expression as is
+        const join = (operator, expressions) => (expressions.length === 1 ? expressions[0] : {type: "LogicalExpression", operator, expressions});
+        
+        return join("or", branches.map((branch) => join("and", Object.entries(branch).flatMap(([attribute, expr]) =>
+            // Separate joined expressions for the attribute, so each becomes its own node
+            (Array.isArray(expr) && expr.every(e => Array.isArray(e) || isPlainObject(e)) ? expr : [expr]).map((e) => {
+                // Complex attribute filters become value paths...
+                if (!Array.isArray(e)) return {type: "ValuePathExpression", attribute, expression: Filter.#tree([e])};
+                // ...and everything else is a comparison, which may be negated
+                else {
+                    const negate = (e[0].toLowerCase() === "not");
+                    const [comparator, ...value] = e.slice(+negate);
+                    const node = {type: "ComparisonExpression", attribute, comparator: comparator.toLowerCase(), ...(value.length ? {value: value[0]} : {})};
                     
-                    return result;
+                    return (negate ? {type: "NotExpression", expression: node} : node);
                 }
-            }))
-        );
+            })
+        ))));
+    }
+    
+    /**
+     * Convert a node of a filter abstract syntax tree into a list of branches, each containing comparisons that must all match
+     * @param {SCIMMY.Types.Filter~FilterNode} node - the node to convert
+     * @param {Boolean} [negate=false] - whether the node is negated by an enclosing logical "not" operation
+     * @returns {Array<Object[]>} the branches of comparisons represented by the node
+     * @private
+     */
+    static #disjunction(node, negate = false) {
+        switch (Filter.#node(node, "fromAST").type) {
+            case "NotExpression":
+                return Filter.#disjunction(node.expression, !negate);
+            
+            case "LogicalExpression": {
+                const branches = node.expressions.map((e) => Filter.#disjunction(e, negate));
+                
+                // Logical "or" operations, and negated "and" operations, combine the branches of their expressions...
+                if ((node.operator === "or") !== negate) return branches.flat(1);
+                // ...while logical "and" operations, and negated "or" operations, cross them
+                else return branches.reduce((results, branch) => results.flatMap((r) => branch.map((b) => [...r, ...b])), [[]]);
+            }
+            
+            case "ValuePathExpression":
+                // Negations are applied to the expressions of complex attribute filters, as with filter strings
+                return Filter.#disjunction(node.expression, negate).map((branch) => [{attribute: node.attribute, value: Filter.#conjunction(branch)}]);
+            
+            case "ComparisonExpression":
+                return [[{attribute: node.attribute, value: [...(negate ? ["not"] : []), node.comparator, ...("value" in node ? [node.value] : [])]}]];
+        }
+    }
+    
+    /**
+     * Convert a list of comparisons that must all match into a filter expression object
+     * @param {Object[]} branch - the list of comparisons to convert
+     * @returns {Object} the filter expression object representing the comparisons
+     * @private
+     */
+    static #conjunction(branch) {
+        // Separate lists of joined expressions, so they can be merged
+        const separate = (v) => (Array.isArray(v) && v.every(e => Array.isArray(e) || isPlainObject(e)) ? v : [v]);
+        // Deeply merge expressions for the same attributes, as with logical "and" operations in filter strings
+        const merge = (target, source) => {
+            for (let [key, value] of Object.entries(source)) {
+                if (target[key] === undefined) target[key] = value;
+                else if (isPlainObject(target[key]) && isPlainObject(value)) merge(target[key], value);
+                else target[key] = [...separate(target[key]), ...separate(value)];
+            }
+            
+            return target;
+        };
+        
+        return branch.reduce((result, {attribute, value}) => merge(result,
+            attribute.split(pathSeparator).filter(p => p).reduceRight((value, key) => ({[key]: value}), value)
+        ), {});
+    }
+    
+    /**
+     * Join a list of filters with a logical operation
+     * @param {"and"|"or"} operator - the logical operator to join the filters with
+     * @param {SCIMMY.Types.Filter[]} filters - the filters to join, starting with the filter the operation was called on
+     * @returns {SCIMMY.Types.Filter} a new filter instance representing the logical operation
+     * @private
+     */
+    static #join(operator, filters) {
+        // Make sure there is something to join with, and that it can be represented as an abstract syntax tree
+        if (filters.length < 2 || !filters.every((filter) => filter instanceof Filter))
+            throw new TypeError(`Expected 'filters' parameter to be one or more Filter instances in '${operator}' method of Filter`);
+        
+        return Filter.fromAST({type: "LogicalExpression", operator, expressions: filters.map((filter) => filter.toAST())});
+    }
+    
+    /**
+     * Turn a node of a filter abstract syntax tree into a filter expression string, with values escaped where necessary
+     * Logical "not" operations are applied to each comparison they enclose, as with the object representation of a filter,
+     * so that the resulting expression string parses back to the same filter.
+     * @param {SCIMMY.Types.Filter~FilterNode} node - the node to represent as a string
+     * @param {String} [operator] - the logical operator joining the node with its siblings, if any
+     * @param {Boolean} [negate=false] - whether the node is negated by an enclosing logical "not" operation
+     * @returns {String} the filter expression string representing the node
+     * @private
+     */
+    static #render(node, operator, negate = false) {
+        switch (node.type) {
+            case "LogicalExpression": {
+                // Negated "and" operations become "or" operations of negated expressions, and vice versa
+                const joiner = (negate ? (node.operator === "and" ? "or" : "and") : node.operator);
+                const expression = node.expressions.map((e) => Filter.#render(e, joiner, negate)).join(` ${joiner} `);
+                
+                // Logical "or" operations take lower precedence, so must be grouped when joined by logical "and" operations
+                return (operator === "and" && joiner === "or" ? `(${expression})` : expression);
+            }
+            
+            case "NotExpression":
+                return Filter.#render(node.expression, operator, !negate);
+            
+            case "ValuePathExpression":
+                // Single comparisons and complex attribute filters of sub-attributes can be represented as attribute paths
+                if (["ComparisonExpression", "ValuePathExpression"].includes(node.expression.type))
+                    return Filter.#render({...node.expression, attribute: `${node.attribute}.${node.expression.attribute}`}, operator, negate);
+                // Negations are applied to the expressions of complex attribute filters
+                else return `${node.attribute}[${Filter.#render(node.expression, undefined, negate)}]`;
+            
+            case "ComparisonExpression": {
+                const value = (node.value instanceof Date ? node.value.toISOString() : node.value);
+                
+                return [...(negate ? ["not"] : []), node.attribute, node.comparator, ...("value" in node ? [typeof value === "string" ? JSON.stringify(value) : String(value)] : [])].join(" ");
+            }
+        }
     }
     
     /**
@@ -467,7 +1481,7 @@ export class Filter extends Array {
                                 const negate = (parts[0].toLowerCase() === "not" ? parts.shift() : undefined);
                                 const [comparator, expected] = parts;
                                 const maybeValue = expected instanceof Date ? expected.toISOString() : expected;
-                                const value = (typeof maybeValue === "string" ? `"${maybeValue}"` : (maybeValue !== undefined ? `${maybeValue}` : maybeValue))
+                                const value = (typeof maybeValue === "string" ? JSON.stringify(maybeValue) : (maybeValue !== undefined ? `${maybeValue}` : maybeValue))
                                 
                                 // Add the stringified expression to the results
                                 expressions.push([negate, `${prefix}${attr}`, comparator, value].filter(v => !!v).join(" "));
@@ -487,43 +1501,67 @@ export class Filter extends Array {
     }
     
     /**
-     * Extract a list of tokens representing the supplied expression
+     * Extract a list of tokens representing the supplied expression, and check they are in a valid order
      * @param {String} query - the expression to generate the token list for
-     * @returns {Object[]} a set of token objects representing the expression, with details on the token kinds
+     * @param {Number} [offset=0] - the offset of the expression in the filter it came from, used to describe where any syntax errors are
+     * @param {Object} [opening] - the token that opened the group or complex attribute filter the expression came from, if any
+     * @param {String} opening.value - the character that opened the group or complex attribute filter
+     * @param {Number} opening.offset - the offset of the opening character in the filter
+     * @param {Boolean} [opening.unclosed] - whether the group or complex attribute filter was never closed
+     * @returns {Object[]} a set of token objects representing the expression, with details on the token kinds and their offsets
+     * @throws {SCIMMY.Types.Error} an invalidFilter error with the offset of the offending token, and the token that was expected instead
      * @private
      */
-    static #tokenise(query = "") {
+    static #tokenise(query = "", offset = 0, opening) {
+        const source = query;
         const tokens = [];
-        let token;
+        const closers = {"(": ")", "[": "]"};
+        let token, position = offset;
         
         // Cycle through the query and tokenise it until it can't be tokenised anymore
         while (token = patterns.exec(query)) {
             // Extract the different matches from the token
             const [literal, space, number, boolean, empty, string, grouping, complex, operator, comparator, maybeWord] = token;
+            // Keep track of where each token starts, and what it looked like in the filter
+            const details = {offset: position, literal};
             let word = maybeWord;
             
             // If the token isn't whitespace, handle it!
             if (!space) {
                 // Handle number, string, boolean, and null values
-                if (number !== undefined) tokens.push({type: "Number", value: Number(number)});
-                if (string !== undefined) tokens.push({type: "Value", value: `"${String(string.substring(1, string.length-1))}"`});
-                if (boolean !== undefined) tokens.push({type: "Boolean", value: boolean === "true"});
-                if (empty !== undefined) tokens.push({type: "Empty", value: "null"});
+                if (number !== undefined) tokens.push({type: "Number", value: Number(number), ...details});
+                if (string !== undefined) tokens.push({type: "Value", value: `"${String(string.substring(1, string.length-1))}"`, ...details});
+                if (boolean !== undefined) tokens.push({type: "Boolean", value: boolean === "true", ...details});
+                if (empty !== undefined) tokens.push({type: "Empty", value: "null", ...details});
                 
                 // Handle logical operators and comparators
-                if (operator !== undefined) tokens.push({type: "Operator", value: operator});
-                if (comparator !== undefined) tokens.push({type: "Comparator", value: comparator});
+                if (operator !== undefined) tokens.push({type: "Operator", value: operator, ...details});
+                if (comparator !== undefined) tokens.push({type: "Comparator", value: comparator, ...details});
                 
-                // Handle grouped filters
-                if (grouping !== undefined) tokens.push({type: "Group", value: grouping.substring(1, grouping.length - 1)});
+                // Handle grouped filters, once the syntax of the group has been checked
+                if (grouping !== undefined) {
+                    Filter.#tokenise(grouping.substring(1, grouping.length - 1), position + 1, {value: "(", offset: position});
+                    tokens.push({type: "Group", value: grouping.substring(1, grouping.length - 1), ...details});
+                }
                 
-                // Treat complex attribute filters as words
-                if (complex !== undefined) word = tokens.pop()?.value + complex;
+                // Treat complex attribute filters as words, when they follow an attribute name...
+                if (complex !== undefined) {
+                    const previous = tokens[tokens.length-1];
+                    
+                    // ...which may be a keyword, as long as the filter immediately follows it
+                    if (previous?.type === "Word" || (["Operator", "Comparator"].includes(previous?.type) && previous.offset + previous.literal.length === position)) {
+                        Filter.#tokenise(complex.substring(1, complex.lastIndexOf("]")), position + 1, {value: "[", offset: position});
+                        word = tokens.pop().value + complex;
+                        Object.assign(details, {offset: previous.offset, literal: source.substring(previous.offset - offset, position - offset + literal.length)});
+                    }
+                    // Otherwise, the opening bracket is out of place
+                    else tokens.push({type: "Punctuator", value: "[", offset: position, literal: "["});
+                }
                 
                 // Handle attribute names (words), and unescaped string values
                 if (word !== undefined) {
                     // Start by assuming the token actually is a word
-                    let current = {type: "Word", value: word};
+                    let current = {type: "Word", value: word, ...details};
                     
                     // If there was a previous token, make sure it was accurate
                     if (tokens.length) {
@@ -531,37 +1569,96 @@ export class Filter extends Array {
                         
                         // Compound words when last token was a word ending with "."
                         if (previous.type === "Word" && previous.value.endsWith("."))
-                            current.value = tokens.pop().value + word;
+                            current = {type: "Word", value: tokens.pop().value + word, offset: previous.offset, literal: previous.literal + literal};
                         // If the previous token was a comparator...
                         else if (previous.type === "Comparator")
                             // ...this one is almost certainly an unescaped string
-                            current = {type: "Value", value: `"${String(word)}"`};
-                        // If a word does not follow a logical operator...
-                        else if (previous.type !== "Operator")
-                            // It is invalid, so skip all further traversal
-                            break;
+                            current = {type: "Value", value: `"${String(word)}"`, ...details};
                     }
                     
-                    // If all looks good, store the token
+                    // Store the token, and check it is in the right place later
                     tokens.push(current);
                 }
             }
             
             // Move on to the next token in the query
             query = query.substring(token.index + literal.length);
+            position += token.index + literal.length;
         }
         
-        // If there are still tokens left in the query, something went wrong
+        // Track what kind of token should come next, and the token that led to that expectation
+        let expecting = "path", subject;
+        // Describe the token that was found, and what should have been found instead
+        const expected = () => ({
+            path: "attribute path, 'not' operator, or opening '('",
+            negated: "attribute path or opening '('",
+            comparator: `comparator after attribute path '${subject?.value}'`,
+            value: `comparison value after comparator '${subject?.value}'`
+        }[expecting] ?? (opening ? `logical operator or closing '${closers[opening.value]}'` : "logical operator 'and' or 'or'"));
+        const unexpected = ({literal, offset}) => {
+            throw new SCIMError(400, "invalidFilter", `Unexpected token '${literal}' at offset ${offset} in filter, expected ${expected()}`);
+        };
+        
+        // Make sure every token is in a place where it is allowed
+        for (let [index, token] of tokens.entries()) {
+            const {type, value} = token;
+            const logical = (type === "Operator" ? value.toLowerCase() : undefined);
+            // Operators and comparators can also be attribute names, as long as they are followed by a comparator
+            const keyword = ["Operator", "Comparator"].includes(type) && tokens[index+1]?.type === "Comparator";
+            
+            switch (expecting) {
+                case "path":
+                case "negated":
+                    if (expecting === "path" && logical === "not") expecting = "negated";
+                    else if (type === "Group") expecting = "operator";
+                    // Complex attribute filters can stand alone, or be followed by a comparator
+                    else if (type === "Word" || keyword) [expecting, subject] = [(value.endsWith("]") ? "filtered" : "comparator"), token];
+                    else unexpected(token);
+                    break;
+                
+                case "filtered":
+                case "comparator":
+                    if (type === "Comparator") [expecting, subject] = [(["pr", "np"].includes(value.toLowerCase()) ? "operator" : "value"), token];
+                    else if (expecting === "filtered" && ["and", "or"].includes(logical)) expecting = "path";
+                    else unexpected(token);
+                    break;
+                
+                case "value":
+                    if (["Value", "Number", "Boolean", "Empty"].includes(type)) expecting = "operator";
+                    else unexpected(token);
+                    break;
+                
+                default:
+                    if (["and", "or"].includes(logical)) expecting = "path";
+                    else unexpected(token);
+            }
+        }
+        
+        // If there are still characters left in the query, something went wrong
         if (query.length > 0) {
-            // The syntax of the query must be invalid
-            let reason = `Unexpected token '${query}' in filter`;
+            const [literal] = query.match(/^(?:[()[\]]|[^\s()[\]]+)/);
+            const complete = ["operator", "filtered"].includes(expecting);
             
-            // Or a group is opened but not closed
-            if (query.startsWith("(")) reason = `Missing closing ')' token in filter '${query}'`;
-            if (query.startsWith("[")) reason = `Missing closing ']' token in filter '${query}'`;
+            // Strings that aren't terminated are never valid
+            if (query.startsWith("\""))
+                throw new SCIMError(400, "invalidFilter", `Missing closing '"' token for string value at offset ${position} in filter`);
+            // Groups and complex attribute filters that were opened in the right place, but never closed, are checked on their own
+            if ((literal === "(" && ["path", "negated"].includes(expecting)) || (literal === "[" && ["comparator", "filtered"].includes(expecting)))
+                Filter.#tokenise(query.substring(1), position + 1, {value: literal, offset: position, unclosed: true});
+            // Closing tokens at the top level were never opened
+            if (complete && !opening && [")", "]"].includes(literal))
+                throw new SCIMError(400, "invalidFilter", `Unexpected token '${literal}' at offset ${position} in filter, with no matching opening '${literal === ")" ? "(" : "["}'`);
             
-            // Throw the error to break the cycle
-            throw new SCIMError(400, "invalidFilter", reason);
+            unexpected({literal, offset: position});
+        }
+        // Otherwise, make sure the query didn't end too soon...
+        else if (!["operator", "filtered"].includes(expecting)) {
+            if (opening && !opening.unclosed) unexpected({literal: closers[opening.value], offset: position});
+            else throw new SCIMError(400, "invalidFilter", `Unexpected end of filter at offset ${position}, expected ${expected()}`);
+        }
+        // ...and that any group or complex attribute filter it came from was closed
+        else if (opening?.unclosed) {
+            throw new SCIMError(400, "invalidFilter", `Missing closing '${closers[opening.value]}' token for '${opening.value}' at offset ${opening.offset} in filter`);
         }
         
         return tokens;
@@ -632,7 +1729,7 @@ export class Filter extends Array {
                     // Otherwise, we've reached our destination
                     else {
                         // Unwrap string and null values, and store the translated expression
-                        value = (value === "null" ? null : (String(value).match(/^["].*["]$/) ? value.substring(1, value.length - 1) : value));
+                        value = (value === "null" ? null : (String(value).match(/^["].*["]$/s) ? unquote(value) : value));
                         const expression = [negative, comparator.toLowerCase(), value].filter(v => v !== undefined);
                         
                         // Either store the single expression, or convert to array if attribute already has an expression defined
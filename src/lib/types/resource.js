@@ -1,6 +1,43 @@
 import {SCIMError} from "./error.js";
 import {SchemaDefinition} from "./definition.js";
 import {Filter} from "./filter.js";
+import {Adapter} from "./adapter.js";
+import {ListResponse} from "../messages/listresponse.js";
+
+/**
+ * Find the key of an attribute's value in an object, regardless of the casing of the key
+ * @param {Object} source - the object that may contain the attribute's value
+ * @param {String} name - the name of the attribute to find the key for
+ * @returns {String|undefined} the key of the attribute's value in the object, if any
+ * @private
+ */
+const keyOf = (source, name) => (Object(source) === source
+    ? Object.keys(source).find((key) => key.toLowerCase() === name.toLowerCase()) : undefined);
+
+/**
+ * Find the value of an attribute in an object, regardless of the casing of its key
+ * @param {Object} source - the object that may contain the attribute's value
+ * @param {String} name - the name of the attribute to find the value of
+ * @returns {*} the value of the attribute in the object, if any
+ * @private
+ */
+const valueOf = (source, name) => (keyOf(source, name) !== undefined ? source[keyOf(source, name)] : undefined);
+
+// Find value filters in paths, ignoring any closing brackets in quoted values
+const filters = /\[(?:[^\]"]|"(?:[^"\\]|\\.)*")*]/g;
+
+/**
+ * Copy the values of a schema instance into plain objects, including values of attributes that are never returned
+ * @param {*} value - the value to copy
+ * @returns {*} a plain copy of the value, without any attributes that are not set
+ * @private
+ */
+const plainCopy = (value) => (
+    Array.isArray(value) ? value.map(plainCopy) :
+    (value !== null && typeof value === "object" && !(value instanceof Date)) ? Object.fromEntries(
+        Object.entries(value).filter(([, v]) => v !== undefined).map(([k, v]) => [k, plainCopy(v)])
+    ) : value
+);
 
 /**
  * Automatically assigned attributes not required in handler return values
@@ -78,6 +115,7 @@ export class Resource {
      * @param {R} resource - the resource performing the ingress
      * @param {S} instance - an instance of the resource type that conforms to the resource's schema
      * @param {*} [ctx] - external context in which the handler has been called
+     * @param {SCIMMY.Messages.PatchOp~PatchOpChange[]} [changes] - changes made to attribute values by each operation, when consuming a resource patched without a patcher handler
      * @returns {V|Promise<V>} an object to be used to create a new schema instance, whose properties conform to the resource type's schema
      * @example
      * // Handle a request to create a new resource, or update an existing resource
@@ -124,14 +162,17 @@ export class Resource {
     }
     
     /**
-     * Handler for egress of a resource
+     * Handler for egress of a resource.
+     * The `meta.version` property of returned objects is used as the version of the resource, when it is defined.
+     * Otherwise, if ETags are supported in `{@link SCIMMY.Config}`, a version is derived from the content of the resource.
      * @template {SCIMMY.Types.Resource<S>} R - type of resource instance performing egress
      * @template {SCIMMY.Types.Schema} S - type of schema instance that will be passed to handler
      * @template {Record<String, *>} [V=Omit<Awaited<S>, Resource.ShadowAttributes>] - shape of return value
      * @callback SCIMMY.Types.Resource~EgressHandler
      * @param {R} resource - the resource performing the egress
      * @param {*} [ctx] - external context in which the handler has been called
-     * @returns {V|Array<V>|Promise<V|Array<V>>} an object, or array of objects, to be used to create a new schema instances, whose properties conform to the resource type's schema
+     * @returns {V|Array<V>|SCIMMY.Messages.ListResponse|Promise<V|Array<V>|SCIMMY.Messages.ListResponse>} an object, or array of objects, to be used to create a new schema instances, whose properties conform to the resource type's schema,
+     * or a ListResponse message containing only the requested page of objects, along with the total number of matching resources
      * @example
      * // Handle a request to retrieve a specific resource, or a list of resources
      * async function egress(resource, ctx) {
@@ -217,6 +258,143 @@ export class Resource {
         throw new TypeError(`Method 'degress' not implemented by resource '${this.name}'`);
     }
     
+    /**
+     * Handler for patching a resource without retrieving and rewriting the whole resource
+     * @template {SCIMMY.Types.Resource<S>} R - type of resource instance performing the patch
+     * @template {SCIMMY.Types.Schema} S - type of schema instance that will be patched
+     * @template {Record<String, *>} [V=Omit<Awaited<S>, Resource.ShadowAttributes>] - shape of return value
+     * @callback SCIMMY.Types.Resource~PatcherHandler
+     * @param {R} resource - the resource performing the patch
+     * @param {SCIMMY.Messages.PatchOp} message - the PatchOp message, whose operations have been validated and resolved against the resource's schema
+     * @param {*} [ctx] - external context in which the handler has been called
+     * @returns {V|void|Promise<V|void>} an object to be used to create a new schema instance, whose properties conform to the resource type's schema, or nothing if the resource was not modified
+     * @example
+     * // Handle a request to patch a specific resource
+     * async function patcher(resource, message, ctx) {
+     *     try {
+     *         // Translate each operation into a targeted statement for your database...
+     *         for (let {op, path, value} of message.Operations) {
+     *             await ResourceController.patch(resource.id, op, path, value, ctx);
+     *         }
+     *         
+     *         // ...then retrieve the patched resource
+     *         return await ResourceController.findOne(resource.id, ctx);
+     *     } catch (ex) {
+     *         switch (ex.message) {
+     *             // Be sure to throw a SCIM 404 error if the specific resource wasn't found...
+     *             case "Not Found":
+     *                 throw new SCIMMY.Types.Error(404, null, `Resource ${resource.id} not found`);
+     *             // ...and also rethrow any other exceptions as SCIM 500 errors
+     *             default:
+     *                 throw new SCIMMY.Types.Error(500, null, ex.message);
+     *         }
+     *     }
+     * }
+     */
+    
+    /**
+     * Patcher handler method storage property
+     * @type {SCIMMY.Types.Resource~PatcherHandler}
+     * @private
+     * @abstract
+     */
+    static #patcher;
+    /**
+     * Sets the method to be called to apply patch operations to a resource on patch.
+     * When no patcher handler is set, the resource is instead retrieved with the egress handler, patched, and consumed by the ingress handler.
+     * Otherwise, operations that target readOnly attributes, or change values of immutable attributes, are rejected before the patcher handler is called.
+     * @template {typeof SCIMMY.Types.Resource<any>} R
+     * @template {SCIMMY.Types.Schema} S
+     * @typeParam {S} [V=S]
+     * @param {SCIMMY.Types.Resource~PatcherHandler<InstanceType<R>, V>} handler - function to invoke to apply patch operations to a resource on patch
+     * @returns {R} this resource type class for chaining
+     * @abstract
+     */
+    static patcher(handler) {
+        throw new TypeError(`Method 'patcher' not implemented by resource '${this.name}'`);
+    }
+    
+    /**
+     * Handler for checking the uniqueness of attribute values.
+     * Values of attributes that are not case-exact are folded to lower case before being passed to the handler,
+     * and should be compared against similarly folded values of existing resources.
+     * @template {SCIMMY.Types.Resource<any>} [R=SCIMMY.Types.Resource<any>] - type of resource instance performing the check
+     * @callback SCIMMY.Types.Resource~UniqueHandler
+     * @param {SCIMMY.Types.Attribute} attribute - the attribute, with a uniqueness characteristic of "server" or "global", whose value is being checked
+     * @param {*} value - the value of the attribute, folded to lower case if the attribute is not case-exact
+     * @param {R} resource - the resource performing the check, whose ID, if any, is that of the resource the value belongs to
+     * @param {*} [ctx] - external context in which the handler has been called
+     * @returns {Boolean|Promise<Boolean>} whether the value is unique amongst existing resources, within the scope of the attribute's uniqueness characteristic
+     * @example
+     * // Handle a request to check the uniqueness of an attribute's value
+     * async function unique(attribute, value, resource, ctx) {
+     *     // Make sure no other resource in your database has the same value, ignoring the resource the value belongs to
+     *     return !(await ResourceController.exists({[attribute.name]: value, id: {not: resource.id}}, attribute.config.caseExact, ctx));
+     * }
+     */
+    
+    /**
+     * Unique handler method storage property
+     * @type {SCIMMY.Types.Resource~UniqueHandler}
+     * @private
+     * @abstract
+     */
+    static #unique;
+    /**
+     * Sets the method to be called to check the uniqueness of values of attributes with a uniqueness characteristic of "server" or "global".
+     * When set, values are checked before a resource is consumed by the ingress or patcher handlers,
+     * and any value that is not unique causes the request to be rejected with a SCIM error with status 409 and type "uniqueness".
+     * @template {typeof SCIMMY.Types.Resource<any>} R
+     * @param {SCIMMY.Types.Resource~UniqueHandler<InstanceType<R>>} handler - function to invoke to check the uniqueness of attribute values
+     * @returns {R} this resource type class for chaining
+     * @abstract
+     */
+    static unique(handler) {
+        throw new TypeError(`Method 'unique' not implemented by resource '${this.name}'`);
+    }
+    
+    /**
+     * Binds this resource type to a storage adapter, by setting the resource type's handlers to translate requests into calls to the adapter.
+     * The patcher handler is only set if the adapter implements the optional `applyPatch` method.
+     * @template {typeof SCIMMY.Types.Resource<any>} R
+     * @param {SCIMMY.Types.Adapter} adapter - the storage adapter the resource type should retrieve and store resources with
+     * @returns {R} this resource type class for chaining
+     */
+    static adapter(adapter) {
+        if (!(adapter instanceof Adapter))
+            throw new TypeError(`Expected 'adapter' parameter to be an instance of Adapter in 'adapter' method of resource '${this.name}'`);
+        
+        this.ingress(async (resource, instance, ctx) => (!!resource.id
+            ? await adapter.replace(this, resource.id, instance, ctx)
+            : await adapter.insert(this, instance, ctx)));
+        this.egress(async (resource, ctx) => {
+            // Retrieve the specific resource, if one was requested...
+            if (!!resource.id) {
+                const target = await adapter.findById(this, resource.id, ctx);
+                
+                if (target === undefined || target === null) throw new SCIMError(404, null, `Resource ${resource.id} not found`);
+                else return target;
+            }
+            
+            // ...otherwise, retrieve the requested page of matching resources, and the total number of matching resources
+            const {startIndex = 1} = resource.constraints ?? {};
+            const [resources, total] = await Promise.all([
+                adapter.find(this, resource.filter, resource.constraints ?? {}, resource.attributes, ctx),
+                adapter.count(this, resource.filter, ctx)
+            ]);
+            
+            // Wrap the page in a list response, so the total and starting index of matching resources are preserved
+            return new ListResponse(resources, {startIndex, itemsPerPage: resources.length, totalResults: total});
+        });
+        this.degress(async (resource, ctx) => await adapter.delete(this, resource.id, ctx));
+        
+        // Only hand patch operations to the adapter if it can apply them directly
+        if (adapter.applyPatch !== Adapter.prototype.applyPatch)
+            this.patcher(async (resource, message, ctx) => await adapter.applyPatch(this, resource.id, message, ctx));
+        
+        return this;
+    }
+    
     /**
      * Describe this resource type implementation
      * @returns {SCIMMY.Types.Resource~ResourceDescription} object describing the resource type implementation 
@@ -258,6 +436,8 @@ export class Resource {
      * @param {String} [config.sortOrder] - the direction retrieved resources should be sorted in
      * @param {Number} [config.startIndex] - offset index that retrieved resources should start from
      * @param {Number} [config.count] - maximum number of retrieved resources that should be returned in one operation
+     * @param {String} [config.ifMatch] - the value of an If-Match header, listing entity tags the targeted resource's version must match
+     * @param {String} [config.ifNoneMatch] - the value of an If-None-Match header, listing entity tags the targeted resource's version must not match
      */
     /**
      * Instantiate a new SCIM resource and parse any supplied parameters
@@ -270,6 +450,8 @@ export class Resource {
      * @param {String} [config.sortOrder] - the direction retrieved resources should be sorted in
      * @param {Number} [config.startIndex] - offset index that retrieved resources should start from
      * @param {Number} [config.count] - maximum number of retrieved resources that should be returned in one operation
+     * @param {String} [config.ifMatch] - the value of an If-Match header, listing entity tags the targeted resource's version must match
+     * @param {String} [config.ifNoneMatch] - the value of an If-None-Match header, listing entity tags the targeted resource's version must not match
      * @property {String} [id] - ID of the resource instance being targeted
      * @property {SCIMMY.Types.Filter} [filter] - filter parsed from the supplied config
      * @property {SCIMMY.Types.Filter} [attributes] - attributes or excluded attributes parsed from the supplied config
@@ -278,6 +460,9 @@ export class Resource {
      * @property {String} [constraints.sortOrder] - the direction retrieved resources should be sorted in
      * @property {Number} [constraints.startIndex] - offset index that retrieved resources should start from
      * @property {Number} [constraints.count] - maximum number of retrieved resources that should be returned in one operation
+     * @property {Object} [preconditions] - entity tags parsed from the supplied config, used to make requests conditional
+     * @property {String[]} [preconditions.ifMatch] - entity tags, or "*", the targeted resource's version must match
+     * @property {String[]} [preconditions.ifNoneMatch] - entity tags, or "*", the targeted resource's version must not match
      */
     constructor(id, config) {
         // Unwrap params from arguments
@@ -294,7 +479,7 @@ export class Resource {
         if (typeof id === "string") {
             // Store the ID and create a filter to match the ID 
             this.id = id;
-            this.filter = new Filter(`id eq "${this.id}"`);
+            this.filter = Filter.where("id").eq(this.id);
         }
         // Parse the filter if it exists, and wasn't set by ID above
         else if ("filter" in params) {
@@ -336,6 +521,208 @@ export class Resource {
                 ...(!Number.isNaN(Number(count)) && Number.isInteger(count) ? {count: Math.max(count, 0)} : {})
             };
         }
+        
+        // Handle conditional request parameters
+        if (["ifMatch", "ifNoneMatch"].some(k => k in params)) {
+            this.preconditions = {};
+            
+            for (let key of ["ifMatch", "ifNoneMatch"].filter(k => k in params)) {
+                // Bail out if the precondition isn't a non-empty string
+                if (typeof params[key] !== "string" || !params[key].trim().length)
+                    throw new SCIMError(400, "invalidSyntax", `Expected ${key} to be a comma-separated list of entity tags`);
+                
+                // Split the list into individual entity tags, without splitting on commas within quoted tags
+                this.preconditions[key] = params[key].match(/(?:W\/)?"[^"]*"|[^\s,]+/g);
+            }
+        }
+    }
+    
+    /**
+     * Make sure any preconditions parsed from the supplied config are met by the current state of the targeted resource.
+     * Entity tags are compared using weak comparison, as described in [RFC7232§2.3.2](https://datatracker.ietf.org/doc/html/rfc7232#section-2.3.2).
+     * @param {Object} [instance] - the current state of the targeted resource, or undefined if it does not exist
+     * @param {Object} [instance.meta] - metadata of the targeted resource
+     * @param {String} [instance.meta.version] - the current version of the targeted resource
+     * @returns {void} nothing if all preconditions were met, otherwise a SCIM error with status 412 is thrown
+     */
+    precondition(instance) {
+        const {ifMatch, ifNoneMatch} = this.preconditions ?? {};
+        const exists = instance !== undefined && instance !== null;
+        // Weak comparison ignores the weakness indicator, and quotes are optional for versions supplied by handlers
+        const opaque = (tag) => String(tag).trim().replace(/^W\//, "").replace(/^"(.*)"$/, "$1");
+        const version = (exists && instance.meta?.version !== undefined ? opaque(instance.meta.version) : undefined);
+        const matches = (tags) => tags.includes("*") ? exists : (version !== undefined && tags.some(t => opaque(t) === version));
+        
+        // Make sure the current version matches one of the supplied entity tags...
+        if (!!ifMatch && !matches(ifMatch))
+            throw new SCIMError(412, null, `Version of resource ${this.id} does not match any entity tags in If-Match precondition`);
+        // ...and that it doesn't match any that it shouldn't
+        if (!!ifNoneMatch && matches(ifNoneMatch))
+            throw new SCIMError(412, null, `Version of resource ${this.id} matches an entity tag in If-None-Match precondition`);
+    }
+    
+    /**
+     * Make sure values of attributes with a uniqueness characteristic of "server" or "global" are unique, according to a unique handler.
+     * Only attributes declared directly by the resource type's schema definition, or by its schema extensions, are checked.
+     * When given a PatchOp message, only values set by its "add" and "replace" operations are checked.
+     * @param {Object|SCIMMY.Messages.PatchOp} instance - the values being written to the resource, with schema extension values nested under, or prefixed by, their extension's ID
+     * @param {SCIMMY.Types.Resource~UniqueHandler} handler - the unique handler to check the uniqueness of each value with
+     * @param {*} [ctx] - external context to pass to the unique handler
+     * @returns {void} nothing if all values were unique, otherwise a SCIM error with status 409 is thrown
+     */
+    async uniqueness(instance, handler, ctx) {
+        const {definition} = this.constructor.schema;
+        // Gather the values of all attributes declared by the schema definition and its extensions
+        const gather = (source) => definition.attributes.flatMap((attribute) => (!(attribute instanceof SchemaDefinition)
+            ? [[attribute, valueOf(source, attribute.name)]]
+            : attribute.attributes.map((a) => [a, valueOf(valueOf(source, attribute.id), a.name) ?? valueOf(source, `${attribute.id}:${a.name}`)])));
+        // Resolve paths of PatchOp operations against the schema definition, ignoring any filters and invalid paths
+        const resolve = (path) => {
+            try {
+                return definition.attribute(path.replace(filters, ""));
+            } catch {
+                return undefined;
+            }
+        };
+        // Collect values set by operations of PatchOp messages, as if they had been written directly
+        const values = (!Array.isArray(instance?.Operations) ? gather(instance) : instance.Operations
+            .filter(({op}) => String(op).toLowerCase() !== "remove")
+            .flatMap(({path, value}) => (path === undefined ? Object.entries(Object(value)) : [[path, value]]))
+            .flatMap(([path, value]) => {
+                const target = resolve(path);
+                const extension = definition.attributes.find((e) => e instanceof SchemaDefinition && e.attributes.includes(target));
+                
+                // Values of the schema definition, or of its schema extensions, are gathered as if written directly...
+                if (target === definition) return gather(value);
+                else if (target instanceof SchemaDefinition) return gather({[target.id]: value});
+                // ...as are values of attributes declared directly by the schema definition or its extensions, but not their sub-attributes
+                else if (extension) return gather({[extension.id]: {[target.name]: value}});
+                else if (definition.attributes.includes(target)) return gather({[target.name]: value});
+                else return [];
+            }));
+        
+        for (let [attribute, value] of values) {
+            const {caseExact, uniqueness} = attribute.config;
+            
+            // Skip attributes that don't need to be unique, or have no value to check
+            if (!["server", "global"].includes(uniqueness) || value === undefined || value === null) continue;
+            
+            // Check every value of multi-valued attributes, folding values to lower case when the attribute is not case-exact
+            for (let target of [value].flat()) {
+                if (!(await handler(attribute, (typeof target === "string" && !caseExact ? target.toLowerCase() : target), this, ctx)))
+                    throw new SCIMError(409, "uniqueness", `Value '${target}' of attribute '${attribute.name}' is not unique`);
+            }
+        }
+    }
+    
+    /**
+     * Make sure values written to an existing resource do not change the values of its immutable attributes, as described in
+     * [RFC7644§3.5.1](https://datatracker.ietf.org/doc/html/rfc7644#section-3.5.1), and ignore any values of its readOnly attributes.
+     * When given a PatchOp message, operations that target readOnly attributes, or that change values of immutable attributes that are already set,
+     * are instead rejected, as described in [RFC7644§3.5.2](https://datatracker.ietf.org/doc/html/rfc7644#section-3.5.2).
+     * The current representation of the resource is only retrieved with the egress handler when values of immutable attributes are being written.
+     * Only attributes declared directly by the resource type's schema definition, by its schema extensions, or by singular complex attributes, are checked.
+     * @param {SCIMMY.Types.Schema|SCIMMY.Messages.PatchOp} instance - the values being written to the existing resource, or a PatchOp message whose operations will be applied to it
+     * @param {SCIMMY.Types.Resource~EgressHandler<this, S>} handler - the egress handler to retrieve the current representation of the resource with
+     * @param {*} [ctx] - external context to pass to the egress handler
+     * @returns {Object|SCIMMY.Messages.PatchOp} the values being written to the resource, without values of readOnly attributes, or the unchanged PatchOp message,
+     * if no immutable values were changed, otherwise a SCIM error with status 400 and type "mutability" is thrown
+     */
+    async mutability(instance, handler, ctx) {
+        const {definition} = this.constructor.schema;
+        const patch = Array.isArray(instance?.Operations);
+        // Copy values directly, since serialising the instance would also drop values of attributes that are never returned
+        const values = (patch ? instance : plainCopy(instance));
+        const immutables = [];
+        // Describe the PatchOp operation, if any, that is writing a value
+        const describe = (operation) => (!operation ? "" : ` for '${operation.op}' op of operation ${operation.index} in PatchOp request body`);
+        // Remove values of readOnly attributes, or reject operations that write them, and collect the paths to values of immutable attributes
+        const visit = (attributes, target, path = [], operation) => {
+            for (let attribute of attributes) {
+                // Schema extension values are nested under the extension's ID
+                if (attribute instanceof SchemaDefinition) {
+                    visit(attribute.attributes, valueOf(target, attribute.id), [...path, attribute.id], operation);
+                    continue;
+                }
+                
+                const {name, subAttributes, config: {shadow, mutable, multiValued}} = attribute;
+                const key = keyOf(target, name);
+                
+                // Skip attributes without values, and shadow attributes, which are handled by the schema itself unless they are being patched
+                if (key === undefined || target[key] === undefined || (shadow && !operation)) continue;
+                else if ([false, "readOnly"].includes(mutable) && !!operation)
+                    throw new SCIMError(400, "mutability", `Attribute '${name}' is readOnly and can not be modified${describe(operation)}`);
+                else if ([false, "readOnly"].includes(mutable)) delete target[key];
+                else if (mutable === "immutable") immutables.push([attribute, [...path, name], target[key], operation, true]);
+                else if (!multiValued && Array.isArray(subAttributes)) visit(subAttributes, target[key], [...path, name], operation);
+            }
+        };
+        // Resolve paths of PatchOp operations into the schema, or schema extension, and the attributes along the path, ignoring any filters
+        const resolve = (path) => {
+            const name = path.replace(filters, "");
+            const scope = definition.attributes.find((e) => e instanceof SchemaDefinition && name.toLowerCase().startsWith(e.id.toLowerCase())) ?? definition;
+            const attributes = [];
+            
+            // Attributes along the path are separated by fullstops, once any schema or schema extension ID has been removed
+            for (let part of (name.toLowerCase().startsWith(scope.id.toLowerCase()) ? name.substring(scope.id.length + 1) : name).split(".").filter(p => p)) {
+                const source = (!attributes.length ? scope.attributes : attributes.at(-1).subAttributes ?? []);
+                const attribute = source.find((a) => !(a instanceof SchemaDefinition) && a.name.toLowerCase() === part.toLowerCase());
+                
+                if (!attribute) return {};
+                else attributes.push(attribute);
+            }
+            
+            return {scope, attributes, filtered: name !== path};
+        };
+        
+        // Check the attributes targeted by each PatchOp operation, either by its path, or by the keys of its value
+        if (patch) for (let [index, {op, path, value}] of values.Operations.entries()) {
+            const operation = {op, index: index + 1};
+            const removing = String(op).toLowerCase() === "remove";
+            
+            for (let [target, source] of (path !== undefined ? [[path, value]] : Object.entries(Object(value)))) {
+                const {scope, attributes, filtered} = resolve(target);
+                
+                // Invalid paths are rejected when the operation is applied, so there is nothing to check
+                if (scope === undefined) continue;
+                
+                const keys = [...(scope !== definition ? [scope.id] : []), ...attributes.map(({name}) => name)];
+                const readOnly = attributes.find(({config: {mutable}}) => [false, "readOnly"].includes(mutable));
+                // Values of sub-attributes of multi-valued attributes are not checked for immutability
+                const singular = attributes.slice(0, attributes.findIndex(({config: {multiValued}}) => multiValued) + 1 || undefined);
+                const immutable = singular.findIndex(({config: {mutable}}) => mutable === "immutable");
+                
+                // Operations can never target readOnly attributes or their sub-attributes...
+                if (readOnly)
+                    throw new SCIMError(400, "mutability", `Attribute '${readOnly.name}' is readOnly and can not be modified${describe(operation)}`);
+                // ...and values of immutable attributes can only be compared directly when the operation adds or replaces the whole value
+                else if (immutable >= 0) immutables.push([singular[immutable], keys.slice(0, keys.length - attributes.length + immutable + 1), source, operation,
+                    immutable === attributes.length - 1 && !filtered && !removing]);
+                // Otherwise, check any values of the sub-attributes, or schema extension attributes, being written by the operation
+                else if (!removing)
+                    visit(!attributes.length ? scope.attributes : attributes.at(-1).subAttributes ?? [], source, keys, operation);
+            }
+        }
+        // Otherwise, check all values being written
+        else visit(definition.attributes, values);
+        
+        // Only retrieve the current representation of the resource if there are immutable values to compare it with
+        if (immutables.length) {
+            const existing = [await handler(this, ctx)].flat().shift();
+            
+            for (let [attribute, path, value, operation, comparable] of immutables) {
+                const {name, config: {caseExact}} = attribute;
+                const current = path.reduce((source, key) => valueOf(source, key), existing);
+                // Compare values as JSON, folding strings to lower case when the attribute is not case-exact
+                const compare = (v) => JSON.stringify(attribute.coerce(v), (k, v) => (typeof v === "string" && !caseExact ? v.toLowerCase() : v));
+                
+                // Values that are already set must not be changed
+                if (current !== undefined && current !== null && (!comparable || compare(current) !== compare(value)))
+                    throw new SCIMError(400, "mutability", `Attribute '${name}' already defined and is not mutable${describe(operation)}`);
+            }
+        }
+        
+        return values;
     }
     
     /**
@@ -364,13 +751,14 @@ export class Resource {
     
     /**
      * Retrieves resources via egress method, and applies specified patch operations.
-     * Emits patched resources for consumption with resource's ingress method.
+     * Emits patched resources for consumption with resource's ingress method, or hands operations to resource's patcher method, if set.
+     * When consumed by the ingress method, the handler is also passed a list of the changes made to attribute values by each operation.
      * @template [T=*] - external context object passed to ingress handler
      * @param {Object} message - the PatchOp message to apply to the received resource
      * @param {typeof SCIMMY.Messages.PatchOp.id[]} message.schemas - list exclusively containing SCIM PatchOp message schema ID
      * @param {SCIMMY.Messages.PatchOp~PatchOpOperation[]} message.Operations - PatchOp operations to be applied
-     * @param {T} [ctx] - any additional context information to pass to the ingress/egress handlers
-     * @returns {S} the resource type instance after patching and consumption by ingress method
+     * @param {T} [ctx] - any additional context information to pass to the ingress/egress or patcher handlers
+     * @returns {S} the resource type instance after patching and consumption by ingress or patcher method
      * @abstract
      */
     async patch(message, ctx) {
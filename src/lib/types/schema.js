@@ -24,6 +24,15 @@ const defineToJSONProperty = (target, definition, resource) => Object.defineProp
  */
 const hasActualValues = (target) => (Object.values(target).some((v) => typeof v === "object" ? hasActualValues(v) : v !== undefined));
 
+/**
+ * Serialise a value as JSON with object keys in a consistent order, so equivalent values are always serialised the same way
+ * @param {*} value - the plain JSON value to serialise
+ * @returns {String} the canonical JSON serialisation of the value
+ * @private
+ */
+const canonicalise = (value) => (Array.isArray(value) ? `[${value.map(canonicalise).join(",")}]`
+    : (Object(value) === value ? `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalise(value[k])}`).join(",")}}` : JSON.stringify(value)));
+
 /**
  * Create property descriptor definitions for an attribute
  * @param {SCIMMY.Types.Attribute} attribute - the attribute to create the property descriptors for
@@ -129,6 +138,28 @@ export class Schema {
         this.definition.extend((extension.prototype instanceof Schema ? extension.definition : extension), required);
     }
     
+    /**
+     * Derive a weak entity tag from the content of a schema instance, for use as the version of the resource it represents.
+     * The entity tag only changes when the value of an attribute returned by the instance changes,
+     * and does not depend on the order the attributes were specified in, or the location of the resource.
+     * @param {SCIMMY.Types.Schema} instance - the schema instance to derive the entity tag from
+     * @returns {String} a weak entity tag derived from the content of the schema instance
+     */
+    static version(instance) {
+        if (!(instance instanceof this))
+            throw new TypeError("Expected 'instance' parameter to be an instance of the schema in 'version' method of Schema");
+        
+        // Get the returned values of the instance, without any metadata that doesn't reflect its content
+        const {meta: {location, version, ...meta} = {}, ...content} = JSON.parse(JSON.stringify(instance));
+        const bytes = new TextEncoder().encode(canonicalise({...content, meta}));
+        // Hash the canonical serialisation using 64-bit FNV-1a
+        let hash = 0xcbf29ce484222325n;
+        
+        for (let byte of bytes) hash = BigInt.asUintN(64, (hash ^ BigInt(byte)) * 0x100000001b3n);
+        
+        return `W/"${hash.toString(16).padStart(16, "0")}"`;
+    }
+    
     /**
      * Remove an attribute, schema extension, or subAttribute from the schema's definition
      * @param {SCIMMY.Types.Schema|String|SCIMMY.Types.Attribute|Array<String>|Array<SCIMMY.Types.Attribute>} attributes - the child attributes to remove from the schema definition
@@ -3,9 +3,12 @@ import Messages from "./lib/messages.js";
 import Schemas from "./lib/schemas.js";
 import Resources from "./lib/resources.js";
 import Config from "./lib/config.js";
+import Dispatcher from "./lib/dispatcher.js";
+import Client from "./lib/client.js";
+import Stores from "./lib/stores.js";
 
 // Export classes for direct consumption
-export {Config, Types, Messages, Schemas, Resources};
+export {Config, Types, Messages, Schemas, Resources, Dispatcher, Client, Stores};
 
 /**
  * SCIMMY Container Class
@@ -25,6 +28,12 @@ export {Config, Types, Messages, Schemas, Resources};
  * *    `{@link SCIMMY.Resources}`
  *      *   Container store for declaring and retrieving resource types implemented by a service provider.
  *      *   Also provides access to bundled resource type implementations of [SCIM Core Resource Types](https://datatracker.ietf.org/doc/html/rfc7643#section-4).
+ * *    `{@link SCIMMY.Dispatcher}`
+ *      *   Framework-agnostic handler for dispatching HTTP requests to SCIM protocol endpoints of declared resource types.
+ * *    `{@link SCIMMY.Client}`
+ *      *   Client for discovering and consuming resources from the SCIM protocol endpoints of remote service providers.
+ * *    `{@link SCIMMY.Stores}`
+ *      *   Bundled resource stores which supply the handlers of resource types, such as an in-memory store for prototypes and tests.
  */
 export default class SCIMMY {
     static Config = Config;
@@ -32,4 +41,7 @@ export default class SCIMMY {
     static Messages = Messages;
     static Schemas = Schemas;
     static Resources = Resources;
+    static Dispatcher = Dispatcher;
+    static Client = Client;
+    static Stores = Stores;
 }
\ No newline at end of file
@@ -3,7 +3,9 @@ import sinon from "sinon";
 import {Schema} from "#@/lib/types/schema.js";
 import {Resource} from "#@/lib/types/resource.js";
 import {SCIMError} from "#@/lib/types/error.js";
+import Config from "#@/lib/config.js";
 import {ListResponse} from "#@/lib/messages/listresponse.js";
+import {PatchOp} from "#@/lib/messages/patchop.js";
 import {createSchemaClass} from "./schemas.js";
 
 /**
@@ -60,6 +62,14 @@ export default class ResourcesHooks {
                 
                 if (index < 0) throw new Error("Not found");
                 else egress.splice(index, 1);
+            },
+            patcher: async (res) => {
+                const {id} = res ?? {};
+                const {egress} = await fixtures;
+                const target = egress.find(f => f.id === id);
+                
+                if (!target) throw new SCIMError(404, null, `Resource ${id} not found`);
+                else return target;
             }
         });
     }
@@ -91,7 +101,7 @@ export default class ResourcesHooks {
                 assert.ok(Object.getOwnPropertyNames(TargetResource).includes("schema"),
                     "Static member 'schema' was not implemented");
             });
-        
+            
             it("should be an instance of Schema", () => {
                 assert.ok(TargetResource.schema.prototype instanceof Schema,
                     "Static member 'schema' was not a Schema");
@@ -313,6 +323,82 @@ export default class ResourcesHooks {
         }
     });
     
+    patcher = (supported = false) => (() => {
+        const TargetResource = this.#target;
+        
+        if (!supported) {
+            it("should not be implemented", () => {
+                assert.throws(() => TargetResource.patcher(),
+                    {name: "TypeError", message: `Method 'patcher' not implemented by resource '${TargetResource.name}'`},
+                    "Static method 'patcher' unexpectedly implemented by resource");
+            });
+        } else {
+            const sandbox = this.#sandbox;
+            
+            it("should be implemented", () => {
+                assert.ok(Object.getOwnPropertyNames(TargetResource).includes("patcher"),
+                    "Static method 'patcher' was not implemented");
+                assert.ok(typeof TargetResource.patcher === "function",
+                    "Static method 'patcher' was not a function");
+            });
+            
+            it("should set private patcher handler", async () => {
+                const spy = sandbox.spy(TargetResource, "patcher");
+                const error = new Error("Handler Stubbed");
+                const handler = sandbox.stub().throws(error);
+                const message = {
+                    schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                    Operations: [{op: "remove", path: "externalId"}]
+                };
+                
+                try {
+                    TargetResource.patcher(handler);
+                } catch {
+                    assert.fail("Static method 'patcher' failed while setting handler");
+                } finally {
+                    assert.ok(spy.calledWith(sinon.match.same(handler)),
+                        "Static method 'patcher' was not called with handler method");
+                    spy.restore();
+                }
+                
+                try {
+                    assert.ok(await new TargetResource("Error").patch(message).then(() => false, () => handler.threw(error)),
+                        "Static method 'patcher' did not correctly set patcher handler");
+                } finally {
+                    TargetResource.patcher();
+                }
+            });
+        }
+    });
+    
+    unique = (supported = false) => (() => {
+        const TargetResource = this.#target;
+        
+        if (!supported) {
+            it("should not be implemented", () => {
+                assert.throws(() => TargetResource.unique(),
+                    {name: "TypeError", message: `Method 'unique' not implemented by resource '${TargetResource.name}'`},
+                    "Static method 'unique' unexpectedly implemented by resource");
+            });
+        } else {
+            it("should be implemented", () => {
+                assert.ok(Object.getOwnPropertyNames(TargetResource).includes("unique"),
+                    "Static method 'unique' was not implemented");
+                assert.ok(typeof TargetResource.unique === "function",
+                    "Static method 'unique' was not a function");
+            });
+            
+            it("should return the resource type class for chaining", () => {
+                try {
+                    assert.strictEqual(TargetResource.unique(() => true), TargetResource,
+                        "Static method 'unique' did not return the resource type class for chaining");
+                } finally {
+                    TargetResource.unique();
+                }
+            });
+        }
+    });
+    
     construct = (filterable = true) => (() => {
         const TargetResource = this.#target;
         
@@ -448,6 +534,17 @@ export default class ResourcesHooks {
                     "Instance method 'read' did not expect requested resource to exist");
             });
             
+            (skip ? it.skip : it)("should include attributes that are always returned regardless of requested attributes", async () => {
+                const {egress: [expected]} = await fixtures;
+                const single = await new TargetResource(expected.id, {excludedAttributes: "id"}).read();
+                const list = await new TargetResource({attributes: "meta"}).read();
+                
+                assert.strictEqual(single.id, expected.id,
+                    "Instance method 'read' did not include 'id' attribute of requested resource instance when excluded");
+                assert.ok(list.Resources.every(r => r.id !== undefined && Array.isArray(r.schemas)),
+                    "Instance method 'read' did not include 'id' and 'schemas' attributes of listed resource instances when not requested");
+            });
+            
             if (callsEgress) {
                 (skip ? it.skip : it)("should throw exception for invalid values returned by handler", async () => {
                     for (let value of [true, false, "invalid", null]) {
@@ -522,6 +619,19 @@ export default class ResourcesHooks {
                         "Instance method 'read' did not offset results in ListResponse to honour 'startIndex'");
                 });
                 
+                (skip ? it.skip : it)("should use 'startIndex' and 'totalResults' of ListResponse returned by handler", async () => {
+                    const {egress} = await fixtures;
+                    
+                    handler.callsFake(() => new ListResponse(egress, {startIndex: 2, totalResults: 100}));
+                    
+                    const actual = await new TargetResource({startIndex: 2}).read();
+                    
+                    assert.deepStrictEqual([actual.startIndex, actual.totalResults], [2, 100],
+                        "Instance method 'read' did not use 'startIndex' and 'totalResults' of ListResponse returned by egress handler");
+                    assert.deepStrictEqual(actual.Resources.map(({id}) => id), egress.map(({id}) => id),
+                        "Instance method 'read' offset resources in ListResponse returned by egress handler");
+                });
+                
                 (skip ? it.skip : it)("should rethrow SCIMErrors thrown by handler", async () => {
                     handler.throws(() => new SCIMError(500, "invalidVers", "Failing as requested"));
                     
@@ -537,6 +647,57 @@ export default class ResourcesHooks {
                         {name: "SCIMError", status: 400, scimType: "invalidValue", message: "Failing as requested"},
                         "Instance method 'read' did not rethrow TypeError as SCIMError");
                 });
+                
+                (skip ? it.skip : it)("should include version returned by egress handler in the requested resource instance", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    
+                    handler.callsFake(() => ({...fixture, meta: {version: 'W/"1"'}}));
+                    
+                    assert.strictEqual((await new TargetResource(fixture.id).read()).meta?.version, 'W/"1"',
+                        "Instance method 'read' did not include version returned by egress handler in resource instance");
+                });
+                
+                (skip ? it.skip : it)("should derive version of resource instances from their content when ETags are supported", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    const expected = TargetResource.schema.version(new TargetResource.schema(fixture, "out"));
+                    
+                    try {
+                        Config.set("etag", true);
+                        
+                        const single = await new TargetResource(fixture.id).read();
+                        const list = await new TargetResource().read();
+                        
+                        assert.strictEqual(single.meta?.version, expected,
+                            "Instance method 'read' did not derive version of requested resource instance from its content");
+                        assert.ok(list.Resources.every(r => r.meta?.version === TargetResource.schema.version(r)),
+                            "Instance method 'read' did not derive version of listed resource instances from their content");
+                        await assert.rejects(() => new TargetResource(fixture.id, {ifNoneMatch: expected}).read(),
+                            {name: "SCIMError", status: 412, scimType: null},
+                            "Instance method 'read' did not compare preconditions against derived version of requested resource instance");
+                    } finally {
+                        Config.set("etag", false);
+                    }
+                    
+                    assert.strictEqual((await new TargetResource(fixture.id).read()).meta?.version, undefined,
+                        "Instance method 'read' unexpectedly derived version of resource instance when ETags were not supported");
+                });
+                
+                (skip ? it.skip : it)("should expect the requested resource instance to meet any preconditions", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    
+                    handler.callsFake(() => ({...fixture, meta: {version: 'W/"1"'}}));
+                    
+                    await assert.rejects(() => new TargetResource(fixture.id, {ifMatch: 'W/"2"'}).read(),
+                        {name: "SCIMError", status: 412, scimType: null,
+                            message: `Version of resource ${fixture.id} does not match any entity tags in If-Match precondition`},
+                        "Instance method 'read' did not reject resource instance that did not meet 'ifMatch' precondition");
+                    await assert.rejects(() => new TargetResource(fixture.id, {ifNoneMatch: 'W/"1"'}).read(),
+                        {name: "SCIMError", status: 412, scimType: null,
+                            message: `Version of resource ${fixture.id} matches an entity tag in If-None-Match precondition`},
+                        "Instance method 'read' did not reject resource instance that did not meet 'ifNoneMatch' precondition");
+                    await assert.doesNotReject(() => new TargetResource(fixture.id, {ifMatch: 'W/"1"', ifNoneMatch: 'W/"2"'}).read(),
+                        "Instance method 'read' unexpectedly rejected resource instance that met preconditions");
+                });
             }
         } else {
             (skip ? it.skip : it)("should return the requested resource without sugar-coating", async () => {
@@ -683,6 +844,43 @@ export default class ResourcesHooks {
                     "Instance method 'write' did not call ingress handler with supplied context");
             });
             
+            (skip ? it.skip : it)("should derive version of resources returned by ingress handler when ETags are supported", async () => {
+                const {egress: [fixture]} = await fixtures;
+                
+                try {
+                    Config.set("etag", true);
+                    
+                    const actual = await new TargetResource(fixture.id).write({...fixture});
+                    
+                    assert.strictEqual(actual.meta?.version, TargetResource.schema.version(actual),
+                        "Instance method 'write' did not derive version of resource returned by ingress handler");
+                } finally {
+                    Config.set("etag", false);
+                }
+            });
+            
+            (skip ? it.skip : it)("should expect existing resources to meet any preconditions before calling ingress handler", async () => {
+                const {egress: [fixture]} = await fixtures;
+                const egress = this.#handlers.egress;
+                
+                egress.reset();
+                egress.callsFake(() => ({...fixture, meta: {version: 'W/"1"'}}));
+                TargetResource.egress(egress);
+                
+                await assert.rejects(() => new TargetResource(fixture.id, {ifMatch: 'W/"2"'}).write({...fixture}),
+                    {name: "SCIMError", status: 412, scimType: null,
+                        message: `Version of resource ${fixture.id} does not match any entity tags in If-Match precondition`},
+                    "Instance method 'write' did not reject existing resource that did not meet preconditions");
+                assert.ok(handler.notCalled,
+                    "Instance method 'write' unexpectedly called ingress handler when preconditions were not met");
+                
+                await new TargetResource(fixture.id, {ifMatch: 'W/"1"'}).write({...fixture});
+                egress.reset();
+                
+                assert.ok(handler.calledOnce,
+                    "Instance method 'write' did not call ingress handler when preconditions were met");
+            });
+            
             (skip ? it.skip : it)("should rethrow SCIMErrors thrown by handler", async () => {
                 const {ingress: source} = await fixtures;
                 
@@ -869,6 +1067,33 @@ export default class ResourcesHooks {
                 });
             }
             
+            (skip ? it.skip : it)("should pass changes made by operations to ingress handler", async () => {
+                const {egress: [fixture]} = await fixtures;
+                const [, target] = Object.keys(fixture);
+                const context = {};
+                
+                for (let [ctx, value] of [[context, "Changes"], [undefined, "More Changes"]]) {
+                    const from = fixture[target];
+                    
+                    handlers.ingress.resetHistory();
+                    
+                    await new TargetResource(fixture.id).patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: target, value}]
+                    }, ctx);
+                    
+                    const [, , actual, changes] = handlers.ingress.firstCall.args;
+                    
+                    assert.strictEqual(actual, ctx,
+                        "Instance method 'patch' did not pass supplied context to ingress handler unchanged");
+                    assert.deepStrictEqual(changes, [{path: target, from, to: value, index: 1}],
+                        "Instance method 'patch' did not pass changes made by operations to ingress handler");
+                }
+                
+                assert.ok(!("changes" in context),
+                    "Instance method 'patch' unexpectedly modified supplied context");
+            });
+            
             (skip ? it.skip : it)("should call egress handler before ingress handler", async () => {
                 const {egress: [fixture]} = await fixtures;
                 const [, target] = Object.keys(fixture);
@@ -923,6 +1148,202 @@ export default class ResourcesHooks {
                         `Instance method 'patch' did not rethrow ${method} handler TypeError as SCIMError`);
                 }
             });
+            
+            (skip ? it.skip : it)("should expect resources to meet any preconditions before calling ingress handler", async () => {
+                const {egress: [fixture]} = await fixtures;
+                const [, target] = Object.keys(fixture);
+                const message = {
+                    schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                    Operations: [{op: "add", path: target, value: "Test"}]
+                };
+                
+                handlers.egress.callsFake(() => ({...fixture, meta: {version: 'W/"1"'}}));
+                
+                await assert.rejects(() => new TargetResource(fixture.id, {ifMatch: 'W/"2"'}).patch(message),
+                    {name: "SCIMError", status: 412, scimType: null,
+                        message: `Version of resource ${fixture.id} does not match any entity tags in If-Match precondition`},
+                    "Instance method 'patch' did not reject resource that did not meet preconditions");
+                assert.ok(handlers.ingress.notCalled,
+                    "Instance method 'patch' unexpectedly called ingress handler when preconditions were not met");
+                
+                await new TargetResource(fixture.id, {ifMatch: 'W/"1"'}).patch(message);
+                
+                assert.ok(handlers.ingress.calledOnce,
+                    "Instance method 'patch' did not call ingress handler when preconditions were met");
+            });
+            
+            (skip ? it.skip : it)("should only call egress handler once to check preconditions before calling ingress handler", async () => {
+                const {egress: [fixture]} = await fixtures;
+                const [, target] = Object.keys(fixture);
+                
+                handlers.egress.callsFake(() => ({...fixture, meta: {version: 'W/"1"'}}));
+                
+                await new TargetResource(fixture.id, {ifMatch: 'W/"1"'}).patch({
+                    schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                    Operations: [{op: "add", path: target, value: "Test"}]
+                });
+                
+                assert.ok(handlers.egress.calledOnce,
+                    "Instance method 'patch' did not call egress handler exactly once when checking preconditions");
+            });
+            
+            context("when a patcher handler is set", () => {
+                afterEach(() => {handlers.patcher.reset(); TargetResource.patcher()});
+                beforeEach(function () {
+                    if (skip) this.skip();
+                    
+                    handlers.patcher.callThrough();
+                    TargetResource.patcher(handlers.patcher);
+                });
+                
+                it("should call patcher handler instead of ingress and egress handlers", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    const [, target] = Object.keys(fixture);
+                    
+                    await new TargetResource(fixture.id).patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: target, value: "Test"}]
+                    });
+                    
+                    assert.ok(handlers.patcher.calledOnce,
+                        "Instance method 'patch' did not call patcher handler exactly once");
+                    assert.ok(handlers.ingress.notCalled && handlers.egress.notCalled,
+                        "Instance method 'patch' unexpectedly called ingress or egress handlers");
+                });
+                
+                it("should call patcher handler with originating resource, resolved PatchOp message, and supplied context", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    const [, target] = Object.keys(fixture);
+                    const resource = new TargetResource(fixture.id);
+                    const context = {};
+                    
+                    await resource.patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "Add", path: target.toUpperCase(), value: "Test"}]
+                    }, context);
+                    
+                    assert.ok(handlers.patcher.calledWith(sinon.match.same(resource), sinon.match.instanceOf(PatchOp), sinon.match.same(context)),
+                        "Instance method 'patch' did not call patcher handler with expected arguments");
+                    assert.deepStrictEqual(handlers.patcher.firstCall.args[1].Operations, [{op: "add", path: target, value: "Test"}],
+                        "Instance method 'patch' did not call patcher handler with operations resolved against resource's schema");
+                });
+                
+                it("should return the full resource returned by patcher handler", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    const [, target] = Object.keys(fixture);
+                    const actual = await new TargetResource(fixture.id).patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: target, value: "Test"}]
+                    });
+                    
+                    assert.ok(actual instanceof TargetResource.schema,
+                        "Instance method 'patch' did not return an instance of resource's schema");
+                    assert.deepStrictEqual(JSON.parse(JSON.stringify({...actual, schemas: undefined, meta: undefined})), fixture,
+                        "Instance method 'patch' did not return the full resource returned by patcher handler");
+                });
+                
+                it("should return nothing when patcher handler returns nothing", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    const [, target] = Object.keys(fixture);
+                    
+                    handlers.patcher.reset();
+                    handlers.patcher.resolves(undefined);
+                    
+                    assert.strictEqual(await new TargetResource(fixture.id).patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: target, value: "Test"}]
+                    }), undefined, "Instance method 'patch' did not return nothing when patcher handler returned nothing");
+                });
+                
+                it("should rethrow exception for invalid values returned by patcher handler", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    const [, target] = Object.keys(fixture);
+                    
+                    handlers.patcher.reset();
+                    handlers.patcher.resolves("a string");
+                    
+                    await assert.rejects(() => new TargetResource(fixture.id).patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: target, value: "Test"}]
+                    }), {name: "SCIMError", status: 500, scimType: null, message: "Unexpected invalid value returned by patcher handler"},
+                    "Instance method 'patch' did not rethrow exception for invalid values returned by patcher handler");
+                });
+                
+                it("should rethrow SCIMErrors thrown by patcher handler", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    
+                    await assert.rejects(() => new TargetResource("10").patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: Object.keys(fixture)[1], value: "Test"}]
+                    }), {name: "SCIMError", status: 404, scimType: null, message: /10 not found/},
+                    "Instance method 'patch' did not rethrow SCIMError thrown by patcher handler");
+                });
+                
+                it("should rethrow unexpected exceptions thrown by patcher handler as SCIMErrors with status 500", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    
+                    handlers.patcher.reset();
+                    handlers.patcher.rejects(new Error("Database unavailable"));
+                    
+                    await assert.rejects(() => new TargetResource(fixture.id).patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: Object.keys(fixture)[1], value: "Test"}]
+                    }), {name: "SCIMError", status: 500, scimType: null, message: "Database unavailable"},
+                    "Instance method 'patch' did not rethrow unexpected exception thrown by patcher handler as SCIMError with status 500");
+                });
+                
+                it("should not call patcher handler when operations target undeclared attributes", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    
+                    await assert.rejects(() => new TargetResource(fixture.id).patch({
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: "test", value: "Test"}]
+                    }), {name: "SCIMError", status: 400, scimType: "invalidPath",
+                        message: "Invalid path 'test' for 'add' op of operation 1 in PatchOp request body"},
+                    "Instance method 'patch' did not reject operations targeting undeclared attributes");
+                    assert.ok(handlers.patcher.notCalled,
+                        "Instance method 'patch' unexpectedly called patcher handler for invalid operations");
+                });
+                
+                it("should not call patcher handler when operations target readOnly attributes", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    
+                    for (let [path, value] of [["id", "2"], ["meta.created", "2024-01-01T00:00:00.000Z"]]) {
+                        await assert.rejects(() => new TargetResource(fixture.id).patch({
+                            schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                            Operations: [{op: "replace", path, value}]
+                        }), {name: "SCIMError", status: 400, scimType: "mutability",
+                            message: `Attribute '${path.split(".").shift()}' is readOnly and can not be modified for 'replace' op of operation 1 in PatchOp request body`},
+                        `Instance method 'patch' did not reject operation targeting readOnly attribute '${path}'`);
+                    }
+                    
+                    assert.ok(handlers.patcher.notCalled,
+                        "Instance method 'patch' unexpectedly called patcher handler for operations targeting readOnly attributes");
+                });
+                
+                it("should expect resources to meet any preconditions before calling patcher handler", async () => {
+                    const {egress: [fixture]} = await fixtures;
+                    const [, target] = Object.keys(fixture);
+                    const message = {
+                        schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"],
+                        Operations: [{op: "add", path: target, value: "Test"}]
+                    };
+                    
+                    handlers.egress.callsFake(() => ({...fixture, meta: {version: 'W/"1"'}}));
+                    
+                    await assert.rejects(() => new TargetResource(fixture.id, {ifNoneMatch: 'W/"1"'}).patch(message),
+                        {name: "SCIMError", status: 412, scimType: null,
+                            message: `Version of resource ${fixture.id} matches an entity tag in If-None-Match precondition`},
+                        "Instance method 'patch' did not reject resource that did not meet preconditions");
+                    assert.ok(handlers.patcher.notCalled,
+                        "Instance method 'patch' unexpectedly called patcher handler when preconditions were not met");
+                    
+                    await new TargetResource(fixture.id, {ifMatch: 'W/"1"'}).patch(message);
+                    
+                    assert.ok(handlers.patcher.calledOnce,
+                        "Instance method 'patch' did not call patcher handler when preconditions were met");
+                });
+            });
         }
     });
     
@@ -1009,6 +1430,29 @@ export default class ResourcesHooks {
                     "Instance method 'dispose' did not call degress handler with supplied context");
             });
             
+            (skip ? it.skip : it)("should expect resources to meet any preconditions before calling degress handler", async () => {
+                const {egress: [fixture]} = await fixtures;
+                const egress = this.#handlers.egress;
+                
+                handler.returnsArg(0);
+                egress.reset();
+                egress.callsFake(() => ({...fixture, id: "placeholder", meta: {version: 'W/"1"'}}));
+                TargetResource.egress(egress);
+                
+                await assert.rejects(() => new TargetResource("placeholder", {ifMatch: 'W/"2"'}).dispose(),
+                    {name: "SCIMError", status: 412, scimType: null,
+                        message: "Version of resource placeholder does not match any entity tags in If-Match precondition"},
+                    "Instance method 'dispose' did not reject resource that did not meet preconditions");
+                assert.ok(handler.notCalled,
+                    "Instance method 'dispose' unexpectedly called degress handler when preconditions were not met");
+                
+                await new TargetResource("placeholder", {ifMatch: 'W/"1"'}).dispose();
+                egress.reset();
+                
+                assert.ok(handler.calledOnce,
+                    "Instance method 'dispose' did not call degress handler when preconditions were met");
+            });
+            
             (skip ? it.skip : it)("should rethrow SCIMErrors thrown by handler", async () => {
                 handler.throws(() => new SCIMError(500, "invalidVers", "Failing as requested"));
                 
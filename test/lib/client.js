@@ -0,0 +1,416 @@
+import {promises as fs} from "fs";
+import path from "path";
+import url from "url";
+import assert from "assert";
+import sinon from "sinon";
+import * as Schemas from "#@/lib/schemas.js";
+import Client from "#@/lib/client.js";
+import {SchemaDefinition} from "#@/lib/types/definition.js";
+import {Schema} from "#@/lib/types/schema.js";
+import {ListResponse} from "#@/lib/messages/listresponse.js";
+import {BulkResponse} from "#@/lib/messages/bulkresponse.js";
+import {PatchOp} from "#@/lib/messages/patchop.js";
+
+// Load data to use in tests from adjacent JSON file
+const basepath = path.relative(process.cwd(), path.dirname(url.fileURLToPath(import.meta.url)));
+const fixtures = fs.readFile(path.join(basepath, "./client.json"), "utf8").then((f) => JSON.parse(f));
+// Default parameter values to use in tests
+const params = {url: "https://example.com/scim", list: "urn:ietf:params:scim:api:messages:2.0:ListResponse", error: "urn:ietf:params:scim:api:messages:2.0:Error"};
+
+/**
+ * Local stand-in for a remote service provider, which serves responses from fixtures
+ * @param {String} target - the URL the request was sent to
+ * @param {Object} [init] - the method and body of the request
+ * @returns {Promise<Response>} the response of the stand-in service provider
+ */
+async function server(target, {method = "GET", body} = {}) {
+    const {ServiceProviderConfig, ResourceTypes, Schemas, ...resources} = await fixtures;
+    const [endpoint, id] = new URL(target).pathname.replace("/scim/", "").split("/");
+    const data = (!!body ? JSON.parse(body) : undefined);
+    const list = (Resources) => ({schemas: [params.list], totalResults: Resources.length, startIndex: 1, itemsPerPage: Resources.length, Resources});
+    const respond = (status, body) => new Response(body !== undefined ? JSON.stringify(body) : null, {status});
+    const notFound = () => respond(404, {schemas: [params.error], status: "404", detail: `Resource ${id} not found`});
+    
+    if (endpoint === "ServiceProviderConfig") return respond(200, ServiceProviderConfig);
+    if (endpoint === "ResourceTypes") return respond(200, list(ResourceTypes));
+    if (endpoint === "Schemas") return respond(200, list(Schemas));
+    if (endpoint === ".search") return respond(200, list(Object.values(resources).flat()));
+    if (endpoint === "Bulk") return respond(200, {
+        schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkResponse"],
+        Operations: data.Operations.map(({method, bulkId}) => ({method, bulkId, location: `${params.url}/Users/3`, status: "201"}))
+    });
+    if (!(endpoint in resources)) return respond(404, {schemas: [params.error], status: "404", detail: `Endpoint ${endpoint} not found`});
+    if (id === ".search") return respond(200, list(resources[endpoint]));
+    
+    const source = resources[endpoint].find((r) => r.id === id);
+    const meta = {resourceType: endpoint.slice(0, -1), location: `${params.url}/${endpoint}/${id ?? "3"}`};
+    
+    switch (method) {
+        case "GET":
+            return (!id ? respond(200, list(resources[endpoint])) : !source ? notFound() : respond(200, source));
+        case "POST":
+            return respond(201, {...data, id: "3", meta});
+        case "PUT":
+            return (!source ? notFound() : respond(200, {...data, id, meta}));
+        case "PATCH":
+            return (!source ? notFound() : id === "2" ? respond(204) : respond(200, source));
+        case "DELETE":
+            return (!source ? notFound() : respond(204));
+    }
+}
+
+describe("SCIMMY.Client", () => {
+    const sandbox = sinon.createSandbox();
+    const fetch = sandbox.spy(server);
+    
+    after(() => sandbox.restore());
+    before(() => sandbox.stub(Schemas.default, "declare"));
+    afterEach(() => {
+        fetch.resetHistory();
+        Schemas.default.declare.resetHistory();
+    });
+    
+    describe("@constructor", () => {
+        it("should expect 'basepath' argument to be a non-empty string", () => {
+            for (let value of [undefined, "", 5, {}]) {
+                assert.throws(() => new Client(value),
+                    {name: "TypeError", message: "Expected 'basepath' parameter to be a non-empty string in Client constructor"},
+                    "Client instantiated without a valid 'basepath' parameter");
+            }
+        });
+        
+        it("should expect 'fetch' option to be a function", () => {
+            assert.throws(() => new Client(params.url, {fetch: "fetch"}),
+                {name: "TypeError", message: "Expected 'fetch' option to be a function in Client constructor"},
+                "Client instantiated with invalid 'fetch' option");
+        });
+        
+        it("should expect 'headers' option to be an object", () => {
+            for (let value of ["Authorization", []]) {
+                assert.throws(() => new Client(params.url, {fetch, headers: value}),
+                    {name: "TypeError", message: "Expected 'headers' option to be an object in Client constructor"},
+                    "Client instantiated with invalid 'headers' option");
+            }
+        });
+    });
+    
+    describe("#discover()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).discover === "function",
+                "Instance method 'discover' was not implemented");
+        });
+        
+        it("should retrieve configuration, resource types, and schemas from the service provider", async () => {
+            const client = await new Client(`${params.url}/`, {fetch}).discover();
+            const urls = fetch.getCalls().map(({args: [url]}) => url);
+            
+            for (let endpoint of ["ServiceProviderConfig", "ResourceTypes", "Schemas"]) {
+                assert.ok(urls.includes(`${params.url}/${endpoint}`),
+                    `Instance method 'discover' did not retrieve '/${endpoint}' endpoint`);
+            }
+            
+            assert.ok(client.config instanceof Schemas.ServiceProviderConfig,
+                "Instance method 'discover' did not store discovered service provider configuration");
+            assert.deepStrictEqual(client.resourceTypes.map(({name}) => name), ["User", "Widget"],
+                "Instance method 'discover' did not store discovered resource types");
+            assert.ok(client.resourceTypes.every((r) => r instanceof Schemas.ResourceType),
+                "Instance method 'discover' did not store discovered resource types as ResourceType instances");
+            assert.ok(client.schemas.every((s) => s instanceof SchemaDefinition),
+                "Instance method 'discover' did not store discovered schemas as SchemaDefinition instances");
+        });
+        
+        it("should include supplied headers in requests", async () => {
+            await new Client(params.url, {fetch, headers: {Authorization: "Bearer test"}}).discover();
+            
+            assert.ok(fetch.getCalls().every(({args: [, {headers}]}) => headers.Authorization === "Bearer test"),
+                "Instance method 'discover' did not include supplied headers in requests");
+        });
+        
+        it("should declare discovered schema definitions", async () => {
+            await new Client(params.url, {fetch}).discover();
+            const declared = Schemas.default.declare.getCalls().map(({args: [definition]}) => definition.id);
+            
+            for (let id of ["urn:ietf:params:scim:schemas:Test:Widget", "urn:ietf:params:scim:schemas:extension:Test:Gadget"]) {
+                assert.ok(declared.includes(id),
+                    `Instance method 'discover' did not declare discovered schema definition '${id}'`);
+            }
+        });
+        
+        it("should translate discovered attribute characteristics", async () => {
+            const {schemas: [, widget]} = await new Client(params.url, {fetch}).discover();
+            const expected = {
+                id: undefined, serial: {mutable: "immutable", uniqueness: "global"},
+                secret: {mutable: "writeOnly", returned: false}, data: {returned: "request", caseExact: true},
+                name: {mutable: true, returned: true, required: true}, "parts.type": {canonicalValues: ["bolt", "nut"]},
+                "parts.$ref": {mutable: false, referenceTypes: ["Widget"]}
+            };
+            
+            for (let [name, config] of Object.entries(expected)) {
+                const attribute = widget.attribute(name);
+                
+                if (!config) assert.ok(attribute.config.shadow,
+                    `Instance method 'discover' did not skip common attribute '${name}'`);
+                else for (let [key, value] of Object.entries(config)) {
+                    assert.deepStrictEqual(attribute.config[key], value,
+                        `Instance method 'discover' did not translate '${key}' characteristic of attribute '${name}'`);
+                }
+            }
+        });
+        
+        it("should rethrow errors and allow discovery to be retried", async () => {
+            const failing = sandbox.stub().callsFake(async () => new Response("Unavailable", {status: 503}));
+            const client = new Client(params.url, {fetch: failing});
+            
+            await assert.rejects(() => client.discover(),
+                {name: "SCIMError", status: 503, message: "Unexpected status code 503 in response to GET request to /ServiceProviderConfig"},
+                "Instance method 'discover' did not rethrow unexpected response status as SCIMError");
+            
+            failing.callsFake(server);
+            await assert.doesNotReject(() => client.discover(),
+                "Instance method 'discover' could not be retried after failure");
+        });
+    });
+    
+    describe("#list()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).list === "function",
+                "Instance method 'list' was not implemented");
+        });
+        
+        it("should discover resource types if not already discovered", async () => {
+            await new Client(params.url, {fetch}).list("User");
+            
+            assert.ok(fetch.getCalls().some(({args: [url]}) => url === `${params.url}/ResourceTypes`),
+                "Instance method 'list' did not discover resource types");
+        });
+        
+        it("should expect 'resourceType' argument to be the name of a discovered resource type", async () => {
+            const client = new Client(params.url, {fetch});
+            
+            await assert.rejects(() => client.list(),
+                {name: "TypeError", message: "Expected 'resourceType' parameter to be a non-empty string in 'list' method of Client"},
+                "Instance method 'list' did not expect 'resourceType' parameter to be a non-empty string");
+            await assert.rejects(() => client.list("Group"),
+                {name: "TypeError", message: "Resource type 'Group' was not discovered at service provider in 'list' method of Client"},
+                "Instance method 'list' did not expect 'resourceType' parameter to be a discovered resource type");
+        });
+        
+        it("should expect 'params' argument to contain valid query parameters", async () => {
+            await assert.rejects(() => new Client(params.url, {fetch}).list("User", {count: "1"}),
+                {name: "TypeError", message: "Expected 'count' parameter to be a positive integer in 'list' method of Client"},
+                "Instance method 'list' did not validate query parameters");
+        });
+        
+        it("should send query parameters with the request", async () => {
+            await new Client(params.url, {fetch}).list("User", {filter: "userName pr", excludedAttributes: ["name", "emails"], count: 10});
+            
+            assert.ok(fetch.calledWith(`${params.url}/Users?filter=userName+pr&excludedAttributes=name%2Cemails&count=10`),
+                "Instance method 'list' did not send query parameters with the request");
+        });
+        
+        it("should return a ListResponse containing instances of the resource type's schema", async () => {
+            const result = await new Client(params.url, {fetch}).list("User");
+            
+            assert.ok(result instanceof ListResponse,
+                "Instance method 'list' did not return a ListResponse instance");
+            assert.ok(result.Resources.length === 2 && result.Resources.every((r) => r instanceof Schemas.User),
+                "Instance method 'list' did not return instances of bundled User schema");
+        });
+        
+        it("should return plain objects when only some attributes were requested", async () => {
+            const {Resources: [resource]} = await new Client(params.url, {fetch}).list("User", {attributes: ["userName"]});
+            
+            assert.ok(!(resource instanceof Schema),
+                "Instance method 'list' unexpectedly coerced partial resources into schema instances");
+        });
+    });
+    
+    describe("#get()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).get === "function",
+                "Instance method 'get' was not implemented");
+        });
+        
+        it("should expect 'id' argument to be a non-empty string", async () => {
+            await assert.rejects(() => new Client(params.url, {fetch}).get("User"),
+                {name: "TypeError", message: "Expected 'id' parameter to be a non-empty string in 'get' method of Client"},
+                "Instance method 'get' did not expect 'id' parameter to be a non-empty string");
+        });
+        
+        it("should return an instance of the resource type's schema", async () => {
+            const {Users: [expected]} = await fixtures;
+            const actual = await new Client(params.url, {fetch}).get("User", "1");
+            
+            assert.ok(actual instanceof Schemas.User,
+                "Instance method 'get' did not return an instance of bundled User schema");
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected,
+                "Instance method 'get' did not return the retrieved resource");
+        });
+        
+        it("should return instances of created schema classes for resource types with extensions", async () => {
+            const actual = await new Client(params.url, {fetch}).get("Widget", "1");
+            
+            assert.ok(actual instanceof Schema && actual.constructor.name === "Widget",
+                "Instance method 'get' did not return an instance of created Widget schema class");
+            assert.strictEqual(actual["urn:ietf:params:scim:schemas:extension:Test:Gadget"]?.colour, "Red",
+                "Instance method 'get' did not include schema extension values in returned instance");
+        });
+        
+        it("should rethrow SCIM error responses as SCIMErrors", async () => {
+            await assert.rejects(() => new Client(params.url, {fetch}).get("User", "10"),
+                {name: "SCIMError", message: "Resource 10 not found"},
+                "Instance method 'get' did not rethrow SCIM error response as SCIMError");
+        });
+    });
+    
+    describe("#create()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).create === "function",
+                "Instance method 'create' was not implemented");
+        });
+        
+        it("should validate data against the resource type's schema before sending", async () => {
+            await assert.rejects(() => new Client(params.url, {fetch}).create("User", {displayName: "Test"}),
+                {name: "TypeError", message: "Required attribute 'userName' is missing"},
+                "Instance method 'create' did not validate data before sending");
+        });
+        
+        it("should send a POST request and return the created resource", async () => {
+            const actual = await new Client(params.url, {fetch}).create("User", {userName: "Test"});
+            const [, {method, body, headers}] = fetch.lastCall.args;
+            
+            assert.strictEqual(method, "POST",
+                "Instance method 'create' did not send a POST request");
+            assert.strictEqual(headers["Content-Type"], "application/scim+json",
+                "Instance method 'create' did not send request body with SCIM content type");
+            assert.deepStrictEqual(JSON.parse(body), {schemas: [Schemas.User.id], userName: "Test", meta: {resourceType: "User"}},
+                "Instance method 'create' did not send coerced data as request body");
+            assert.ok(actual instanceof Schemas.User && actual.id === "3",
+                "Instance method 'create' did not return the created resource");
+        });
+        
+        it("should send values of attributes that are never returned in request body", async () => {
+            await new Client(params.url, {fetch}).create("User", {userName: "Test", password: "Secret"});
+            const [, {body}] = fetch.lastCall.args;
+            
+            assert.strictEqual(JSON.parse(body).password, "Secret",
+                "Instance method 'create' did not send never returned 'password' attribute in request body");
+        });
+    });
+    
+    describe("#replace()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).replace === "function",
+                "Instance method 'replace' was not implemented");
+        });
+        
+        it("should send a PUT request and return the replaced resource", async () => {
+            const actual = await new Client(params.url, {fetch}).replace("User", "1", {userName: "Test"});
+            const [url, {method}] = fetch.lastCall.args;
+            
+            assert.strictEqual(`${method} ${url}`, `PUT ${params.url}/Users/1`,
+                "Instance method 'replace' did not send a PUT request to the resource");
+            assert.ok(actual instanceof Schemas.User && actual.userName === "Test",
+                "Instance method 'replace' did not return the replaced resource");
+        });
+        
+        it("should send values of attributes that are never returned in request body", async () => {
+            await new Client(params.url, {fetch}).replace("User", "1", {userName: "Test", password: "Secret"});
+            const [, {body}] = fetch.lastCall.args;
+            
+            assert.strictEqual(JSON.parse(body).password, "Secret",
+                "Instance method 'replace' did not send never returned 'password' attribute in request body");
+        });
+    });
+    
+    describe("#patch()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).patch === "function",
+                "Instance method 'patch' was not implemented");
+        });
+        
+        it("should send a PATCH request with a PatchOp message", async () => {
+            const operations = [{op: "replace", path: "displayName", value: "Test"}];
+            const actual = await new Client(params.url, {fetch}).patch("User", "1", operations);
+            const [, {method, body}] = fetch.lastCall.args;
+            
+            assert.strictEqual(method, "PATCH",
+                "Instance method 'patch' did not send a PATCH request");
+            assert.deepStrictEqual(JSON.parse(body), {schemas: [PatchOp.id], Operations: operations},
+                "Instance method 'patch' did not send a PatchOp message");
+            assert.ok(actual instanceof Schemas.User,
+                "Instance method 'patch' did not return the modified resource");
+        });
+        
+        it("should return undefined when the service provider does not return the resource", async () => {
+            const operations = [{op: "remove", path: "displayName"}];
+            
+            assert.strictEqual(await new Client(params.url, {fetch}).patch("User", "2", operations), undefined,
+                "Instance method 'patch' did not return undefined for response without content");
+        });
+    });
+    
+    describe("#delete()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).delete === "function",
+                "Instance method 'delete' was not implemented");
+        });
+        
+        it("should send a DELETE request", async () => {
+            await new Client(params.url, {fetch}).delete("User", "1");
+            const [url, {method}] = fetch.lastCall.args;
+            
+            assert.strictEqual(`${method} ${url}`, `DELETE ${params.url}/Users/1`,
+                "Instance method 'delete' did not send a DELETE request to the resource");
+        });
+    });
+    
+    describe("#search()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).search === "function",
+                "Instance method 'search' was not implemented");
+        });
+        
+        it("should send a SearchRequest message to the resource type's search endpoint", async () => {
+            const actual = await new Client(params.url, {fetch}).search("User", {filter: "userName pr"});
+            const [url, {method, body}] = fetch.lastCall.args;
+            
+            assert.strictEqual(`${method} ${url}`, `POST ${params.url}/Users/.search`,
+                "Instance method 'search' did not send a POST request to the resource type's search endpoint");
+            assert.deepStrictEqual(JSON.parse(body), {schemas: ["urn:ietf:params:scim:api:messages:2.0:SearchRequest"], filter: "userName pr"},
+                "Instance method 'search' did not send a SearchRequest message");
+            assert.ok(actual instanceof ListResponse && actual.Resources.every((r) => r instanceof Schemas.User),
+                "Instance method 'search' did not return a ListResponse containing instances of the resource type's schema");
+        });
+        
+        it("should send a SearchRequest message to the root search endpoint when no resource type is specified", async () => {
+            const actual = await new Client(params.url, {fetch}).search({filter: "id pr"});
+            const [url] = fetch.lastCall.args;
+            
+            assert.strictEqual(url, `${params.url}/.search`,
+                "Instance method 'search' did not send request to the root search endpoint");
+            assert.deepStrictEqual(actual.Resources.map((r) => r.constructor.name), ["User", "User", "Widget"],
+                "Instance method 'search' did not coerce resources of all discovered resource types");
+        });
+    });
+    
+    describe("#bulk()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Client(params.url, {fetch})).bulk === "function",
+                "Instance method 'bulk' was not implemented");
+        });
+        
+        it("should send a BulkRequest message and return a BulkResponse", async () => {
+            const operations = [{method: "POST", bulkId: "test", path: "/Users", data: {userName: "Test"}}];
+            const actual = await new Client(params.url, {fetch}).bulk(operations, 1);
+            const [url, {method, body}] = fetch.lastCall.args;
+            
+            assert.strictEqual(`${method} ${url}`, `POST ${params.url}/Bulk`,
+                "Instance method 'bulk' did not send a POST request to the bulk endpoint");
+            assert.deepStrictEqual(JSON.parse(body), {schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"], Operations: operations, failOnErrors: 1},
+                "Instance method 'bulk' did not send a BulkRequest message");
+            assert.ok(actual instanceof BulkResponse,
+                "Instance method 'bulk' did not return a BulkResponse instance");
+        });
+    });
+});
\ No newline at end of file
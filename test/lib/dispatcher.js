@@ -0,0 +1,498 @@
+import assert from "assert";
+import sinon from "sinon";
+import * as Resources from "#@/lib/resources.js";
+import Config from "#@/lib/config.js";
+import Dispatcher from "#@/lib/dispatcher.js";
+import {SCIMError} from "#@/lib/types/error.js";
+import {ErrorResponse} from "#@/lib/messages/error.js";
+import {ListResponse} from "#@/lib/messages/listresponse.js";
+import {BulkResponse} from "#@/lib/messages/bulkresponse.js";
+import {createResourceClass} from "../hooks/resources.js";
+
+/**
+ * Dispatcher Test Resource Class
+ * Because Dispatcher needs a declared resource to dispatch requests to
+ */
+class Test extends createResourceClass("Test", "urn:ietf:params:scim:schemas:Test") {
+    static basepath() {
+        return "/scim/Test";
+    }
+    
+    // Mock read method that returns a list or a specific instance, which may have a version and preconditions
+    async read() {
+        if (!this.id) return new ListResponse([{id: "1"}, {id: "2"}], this.constraints);
+        else if (this.id === "missing") throw new SCIMError(404, null, `Resource ${this.id} not found`);
+        else if (this.id !== "versioned") return {id: this.id, meta: {location: `/scim/Test/${this.id}`}};
+        else {
+            const resource = {id: this.id, meta: {location: `/scim/Test/${this.id}`, version: 'W/"1"'}};
+            
+            this.precondition(resource);
+            return resource;
+        }
+    }
+    
+    // Mock write method that echoes the instance with an ID
+    async write(instance) {
+        if (instance?.shouldThrow) throw new TypeError("Failing as requested");
+        else return {...instance, id: this.id ?? "3", meta: {location: `/scim/Test/${this.id ?? "3"}`}};
+    }
+    
+    // Mock patch method that only returns a value if there were operations
+    async patch(message) {
+        if (message?.Operations?.length) return {id: this.id};
+    }
+    
+    // Mock dispose method that does nothing
+    async dispose() {}
+}
+
+describe("SCIMMY.Dispatcher", () => {
+    const sandbox = sinon.createSandbox();
+    const features = {patch: {supported: false}, bulk: {supported: false, maxOperations: 10, maxPayloadSize: 1024}};
+    
+    after(() => sandbox.restore());
+    before(() => {
+        sandbox.stub(Resources.default, "declared").returns({Test});
+        sandbox.stub(Config, "get").callsFake(() => features);
+    });
+    
+    afterEach(() => {
+        features.patch.supported = false;
+        features.bulk.supported = false;
+    });
+    
+    describe(".basepath()", () => {
+        afterEach(() => Dispatcher.basepath(""));
+        
+        it("should be implemented", () => {
+            assert.ok(typeof Dispatcher.basepath === "function",
+                "Static method 'basepath' was not implemented");
+        });
+        
+        it("should expect 'path' argument to be a string", () => {
+            for (let value of [null, 5, false, {}]) {
+                assert.throws(() => Dispatcher.basepath(value),
+                    {name: "TypeError", message: "Expected 'path' parameter to be a string in 'basepath' method of Dispatcher"},
+                    "Static method 'basepath' did not expect 'path' argument to be a string");
+            }
+        });
+        
+        it("should return Dispatcher class for chaining when 'path' argument is a string", () => {
+            assert.strictEqual(Dispatcher.basepath("/scim"), Dispatcher,
+                "Static method 'basepath' did not return Dispatcher class for chaining");
+            assert.strictEqual(Dispatcher.basepath(), "/scim",
+                "Static method 'basepath' did not return the stored base path");
+        });
+        
+        it("should be removed from the path of dispatched requests", async () => {
+            Dispatcher.basepath("/scim/v2/");
+            
+            const {status, body} = await Dispatcher.dispatch({method: "GET", path: "/scim/v2/Test/1"});
+            
+            assert.strictEqual(status, 200,
+                "Static method 'dispatch' did not remove base path from request path");
+            assert.strictEqual(body?.id, "1",
+                "Static method 'dispatch' did not remove base path from request path");
+        });
+    });
+    
+    describe(".dispatch()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof Dispatcher.dispatch === "function",
+                "Static method 'dispatch' was not implemented");
+        });
+        
+        it("should expect 'request' argument to be an object", async () => {
+            for (let value of [undefined, "GET", []]) {
+                await assert.rejects(() => Dispatcher.dispatch(value),
+                    {name: "TypeError", message: "Expected 'request' parameter to be an object in 'dispatch' method of Dispatcher"},
+                    "Static method 'dispatch' did not expect 'request' parameter to be an object");
+            }
+        });
+        
+        it("should respond with SCIM ErrorResponse for unknown endpoints", async () => {
+            for (let path of ["/", "/Unknown", "/Test/1/unknown"]) {
+                const {status, headers, body} = await Dispatcher.dispatch({method: "GET", path});
+                
+                assert.strictEqual(status, 404,
+                    `Static method 'dispatch' did not respond with status 404 for unknown endpoint '${path}'`);
+                assert.strictEqual(headers["Content-Type"], "application/scim+json",
+                    "Static method 'dispatch' did not include 'Content-Type' header with error response");
+                assert.ok(body instanceof ErrorResponse,
+                    `Static method 'dispatch' did not respond with ErrorResponse for unknown endpoint '${path}'`);
+            }
+        });
+        
+        it("should respond with status 200 for GET requests", async () => {
+            const list = await Dispatcher.dispatch({method: "GET", path: "/Test"});
+            const single = await Dispatcher.dispatch({method: "get", path: "/Test/1", query: {attributes: "id"}});
+            
+            assert.strictEqual(list.status, 200,
+                "Static method 'dispatch' did not respond with status 200 for GET request to resource type endpoint");
+            assert.ok(list.body instanceof ListResponse,
+                "Static method 'dispatch' did not respond with ListResponse for GET request to resource type endpoint");
+            assert.strictEqual(single.status, 200,
+                "Static method 'dispatch' did not respond with status 200 for GET request to specific resource");
+            assert.deepStrictEqual(single.body, {id: "1", meta: {location: "/scim/Test/1"}},
+                "Static method 'dispatch' did not respond with resource for GET request to specific resource");
+        });
+        
+        it("should respond with status 201 and 'Location' header for POST requests", async () => {
+            const {status, headers, body} = await Dispatcher.dispatch({method: "POST", path: "/Test", body: {name: "Test"}});
+            
+            assert.strictEqual(status, 201,
+                "Static method 'dispatch' did not respond with status 201 for POST request");
+            assert.strictEqual(headers.Location, "/scim/Test/3",
+                "Static method 'dispatch' did not include 'Location' header for POST request");
+            assert.strictEqual(body?.name, "Test",
+                "Static method 'dispatch' did not respond with written resource for POST request");
+        });
+        
+        it("should respond with status 200 for PUT requests", async () => {
+            const {status, headers, body} = await Dispatcher.dispatch({method: "PUT", path: "/Test/1", body: {name: "Test"}});
+            
+            assert.strictEqual(status, 200,
+                "Static method 'dispatch' did not respond with status 200 for PUT request");
+            assert.ok(!("Location" in headers),
+                "Static method 'dispatch' unexpectedly included 'Location' header for PUT request");
+            assert.strictEqual(body?.id, "1",
+                "Static method 'dispatch' did not respond with written resource for PUT request");
+        });
+        
+        it("should respond with status 501 for PATCH requests when patch is not supported", async () => {
+            const {status, body} = await Dispatcher.dispatch({method: "PATCH", path: "/Test/1", body: {Operations: [{}]}});
+            
+            assert.strictEqual(status, 501,
+                "Static method 'dispatch' did not respond with status 501 for unsupported PATCH request");
+            assert.ok(body instanceof ErrorResponse,
+                "Static method 'dispatch' did not respond with ErrorResponse for unsupported PATCH request");
+        });
+        
+        it("should respond with status 200 or 204 for PATCH requests when patch is supported", async () => {
+            features.patch.supported = true;
+            
+            const changed = await Dispatcher.dispatch({method: "PATCH", path: "/Test/1", body: {Operations: [{}]}});
+            const unchanged = await Dispatcher.dispatch({method: "PATCH", path: "/Test/1", body: {Operations: []}});
+            
+            assert.strictEqual(changed.status, 200,
+                "Static method 'dispatch' did not respond with status 200 for PATCH request that made changes");
+            assert.deepStrictEqual(changed.body, {id: "1"},
+                "Static method 'dispatch' did not respond with patched resource for PATCH request that made changes");
+            assert.strictEqual(unchanged.status, 204,
+                "Static method 'dispatch' did not respond with status 204 for PATCH request that made no changes");
+            assert.ok(!("body" in unchanged),
+                "Static method 'dispatch' unexpectedly included body for PATCH request that made no changes");
+        });
+        
+        it("should respond with status 204 for DELETE requests", async () => {
+            const {status, body} = await Dispatcher.dispatch({method: "DELETE", path: "/Test/1"});
+            
+            assert.strictEqual(status, 204,
+                "Static method 'dispatch' did not respond with status 204 for DELETE request");
+            assert.strictEqual(body, undefined,
+                "Static method 'dispatch' unexpectedly included body for DELETE request");
+        });
+        
+        it("should include 'ETag' header for responses containing resources with a version", async () => {
+            const versioned = await Dispatcher.dispatch({method: "GET", path: "/Test/versioned"});
+            const unversioned = await Dispatcher.dispatch({method: "GET", path: "/Test/1"});
+            
+            assert.strictEqual(versioned.headers.ETag, 'W/"1"',
+                "Static method 'dispatch' did not include 'ETag' header for resource with a version");
+            assert.ok(!("ETag" in unversioned.headers),
+                "Static method 'dispatch' unexpectedly included 'ETag' header for resource without a version");
+        });
+        
+        it("should pass 'If-Match' and 'If-None-Match' headers to resource instances as preconditions", async () => {
+            const suites = [["GET", "read"], ["PUT", "write", {}], ["PATCH", "patch", {Operations: [{}]}], ["DELETE", "dispose"]];
+            const headers = {"if-match": 'W/"1", W/"2"', "If-None-Match": 'W/"3"'};
+            
+            features.patch.supported = true;
+            
+            for (let [method, fn, body] of suites) {
+                const spy = sandbox.spy(Test.prototype, fn);
+                
+                try {
+                    await Dispatcher.dispatch({method, path: "/Test/1", headers, body});
+                    
+                    assert.deepStrictEqual(spy.firstCall?.thisValue?.preconditions, {ifMatch: ['W/"1"', 'W/"2"'], ...(method !== "GET" ? {ifNoneMatch: ['W/"3"']} : {})},
+                        `Static method 'dispatch' did not pass precondition headers to resource instance for ${method} request`);
+                } finally {
+                    spy.restore();
+                }
+            }
+        });
+        
+        it("should respond with status 412 when preconditions are not met", async () => {
+            const {status, body} = await Dispatcher.dispatch({method: "GET", path: "/Test/versioned", headers: {"If-Match": 'W/"2"'}});
+            
+            assert.strictEqual(status, 412,
+                "Static method 'dispatch' did not respond with status 412 when precondition was not met");
+            assert.ok(body instanceof ErrorResponse,
+                "Static method 'dispatch' did not respond with ErrorResponse when precondition was not met");
+        });
+        
+        it("should respond with status 304 for GET requests with matching 'If-None-Match' header", async () => {
+            const unmodified = await Dispatcher.dispatch({method: "GET", path: "/Test/versioned", headers: {"If-None-Match": 'W/"1"'}});
+            const modified = await Dispatcher.dispatch({method: "GET", path: "/Test/versioned", headers: {"If-None-Match": 'W/"2"'}});
+            
+            assert.strictEqual(unmodified.status, 304,
+                "Static method 'dispatch' did not respond with status 304 for GET request with matching 'If-None-Match' header");
+            assert.ok(!("body" in unmodified),
+                "Static method 'dispatch' unexpectedly included body for GET request with matching 'If-None-Match' header");
+            assert.strictEqual(modified.status, 200,
+                "Static method 'dispatch' did not respond with status 200 for GET request without matching 'If-None-Match' header");
+        });
+        
+        it("should respond with status 501 for unsupported methods", async () => {
+            for (let [method, path] of [["POST", "/Test/1"], ["PUT", "/Test"], ["DELETE", "/Test"], ["HEAD", "/Test"], ["GET", "/.search"], ["PUT", "/Schemas"]]) {
+                const {status, body} = await Dispatcher.dispatch({method, path});
+                
+                assert.strictEqual(status, 501,
+                    `Static method 'dispatch' did not respond with status 501 for unsupported ${method} request to '${path}'`);
+                assert.ok(body instanceof ErrorResponse,
+                    `Static method 'dispatch' did not respond with ErrorResponse for unsupported ${method} request to '${path}'`);
+            }
+        });
+        
+        it("should respond with ListResponse for POST requests to search endpoints", async () => {
+            const body = {schemas: ["urn:ietf:params:scim:api:messages:2.0:SearchRequest"]};
+            
+            for (let path of ["/.search", "/Test/.search"]) {
+                const {status, body: response} = await Dispatcher.dispatch({method: "POST", path, body});
+                
+                assert.strictEqual(status, 200,
+                    `Static method 'dispatch' did not respond with status 200 for POST request to '${path}'`);
+                assert.ok(response instanceof ListResponse,
+                    `Static method 'dispatch' did not respond with ListResponse for POST request to '${path}'`);
+            }
+        });
+        
+        it("should respond with BulkResponse for POST requests to bulk endpoint when bulk is supported", async () => {
+            const body = {
+                schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"],
+                Operations: [{method: "POST", path: "/Test", bulkId: "asdf", data: {name: "Test"}}]
+            };
+            
+            const unsupported = await Dispatcher.dispatch({method: "POST", path: "/Bulk", body});
+            features.bulk.supported = true;
+            const supported = await Dispatcher.dispatch({method: "POST", path: "/Bulk", body});
+            
+            assert.strictEqual(unsupported.status, 501,
+                "Static method 'dispatch' did not respond with status 501 for unsupported bulk request");
+            assert.strictEqual(supported.status, 200,
+                "Static method 'dispatch' did not respond with status 200 for supported bulk request");
+            assert.ok(supported.body instanceof BulkResponse,
+                "Static method 'dispatch' did not respond with BulkResponse for supported bulk request");
+        });
+        
+        it("should respond with status 413 for bulk requests exceeding maxPayloadSize", async () => {
+            features.bulk.supported = true;
+            
+            const body = {schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"], Operations: [{data: {name: "a".repeat(1024)}}]};
+            const {status, body: response} = await Dispatcher.dispatch({method: "POST", path: "/Bulk", body});
+            
+            assert.strictEqual(status, 413,
+                "Static method 'dispatch' did not respond with status 413 for bulk request exceeding maxPayloadSize");
+            assert.ok(response instanceof ErrorResponse,
+                "Static method 'dispatch' did not respond with ErrorResponse for bulk request exceeding maxPayloadSize");
+        });
+        
+        it("should measure the size of bulk requests in bytes when checking maxPayloadSize", async () => {
+            features.bulk.supported = true;
+            
+            // Each character is 3 bytes in UTF-8, so the payload is well within maxPayloadSize in characters, but not in bytes
+            const body = {schemas: ["urn:ietf:params:scim:api:messages:2.0:BulkRequest"], Operations: [{data: {name: "\u20ac".repeat(400)}}]};
+            const {status} = await Dispatcher.dispatch({method: "POST", path: "/Bulk", body});
+            
+            assert.ok(JSON.stringify(body).length < features.bulk.maxPayloadSize,
+                "Bulk request payload was not within maxPayloadSize when measured in characters");
+            assert.strictEqual(status, 413,
+                "Static method 'dispatch' did not measure size of bulk request in bytes when checking maxPayloadSize");
+        });
+        
+        it("should respond with status 200 for GET requests to service provider configuration endpoints", async () => {
+            for (let path of ["/Schemas", "/ResourceTypes"]) {
+                const {status, body} = await Dispatcher.dispatch({method: "GET", path});
+                
+                assert.strictEqual(status, 200,
+                    `Static method 'dispatch' did not respond with status 200 for GET request to '${path}'`);
+                assert.ok(body instanceof ListResponse,
+                    `Static method 'dispatch' did not respond with ListResponse for GET request to '${path}'`);
+            }
+        });
+        
+        it("should dispatch requests to the Me endpoint to the authenticated subject's resource", async () => {
+            Resources.default.declared.withArgs("Test").returns(Test);
+            Resources.Me.resolver(() => ({id: "1", resourceType: "Test"}));
+            
+            try {
+                const read = await Dispatcher.dispatch({method: "GET", path: "/Me"});
+                const write = await Dispatcher.dispatch({method: "PUT", path: "/Me", body: {userName: "AdeleV"}});
+                const dispose = await Dispatcher.dispatch({method: "DELETE", path: "/Me"});
+                
+                assert.deepStrictEqual([read.status, read.body], [200, {id: "1", meta: {location: "/scim/Test/1"}}],
+                    "Static method 'dispatch' did not respond with authenticated subject's resource for GET request to Me endpoint");
+                assert.deepStrictEqual([write.status, write.body.id], [200, "1"],
+                    "Static method 'dispatch' did not replace authenticated subject's resource for PUT request to Me endpoint");
+                assert.strictEqual(dispose.status, 204,
+                    "Static method 'dispatch' did not respond with status 204 for DELETE request to Me endpoint");
+                assert.strictEqual((await Dispatcher.dispatch({method: "POST", path: "/Me", body: {}})).status, 501,
+                    "Static method 'dispatch' did not respond with status 501 for POST request to Me endpoint");
+                assert.strictEqual((await Dispatcher.dispatch({method: "GET", path: "/Me/1"})).status, 404,
+                    "Static method 'dispatch' did not respond with status 404 for GET request to specific resource of Me endpoint");
+            } finally {
+                Resources.Me.resolver(undefined);
+            }
+        });
+        
+        it("should respond with status 501 for requests to the Me endpoint when no resolver is set", async () => {
+            const {status, body} = await Dispatcher.dispatch({method: "GET", path: "/Me"});
+            
+            assert.strictEqual(status, 501,
+                "Static method 'dispatch' did not respond with status 501 for GET request to Me endpoint without resolver");
+            assert.ok(body instanceof ErrorResponse,
+                "Static method 'dispatch' did not respond with ErrorResponse for GET request to Me endpoint without resolver");
+        });
+        
+        it("should convert thrown SCIMErrors into ErrorResponse bodies", async () => {
+            const {status, body} = await Dispatcher.dispatch({method: "GET", path: "/Test/missing"});
+            
+            assert.strictEqual(status, 404,
+                "Static method 'dispatch' did not respond with status of thrown SCIMError");
+            assert.ok(body instanceof ErrorResponse,
+                "Static method 'dispatch' did not convert thrown SCIMError into ErrorResponse");
+            assert.strictEqual(body.detail, "Resource missing not found",
+                "Static method 'dispatch' did not include detail of thrown SCIMError in ErrorResponse");
+        });
+        
+        it("should convert other thrown exceptions into ErrorResponse bodies with status 500", async () => {
+            const {status, body} = await Dispatcher.dispatch({method: "POST", path: "/Test", body: {shouldThrow: true}});
+            
+            assert.strictEqual(status, 500,
+                "Static method 'dispatch' did not respond with status 500 for thrown exception");
+            assert.ok(body instanceof ErrorResponse,
+                "Static method 'dispatch' did not convert thrown exception into ErrorResponse");
+            assert.strictEqual(body.detail, "Failing as requested",
+                "Static method 'dispatch' did not include message of thrown exception in ErrorResponse");
+        });
+    });
+    
+    describe(".handle()", () => {
+        const url = "https://example.com";
+        
+        it("should be implemented", () => {
+            assert.ok(typeof Dispatcher.handle === "function",
+                "Static method 'handle' was not implemented");
+        });
+        
+        it("should expect 'request' argument to be a Fetch API Request instance", async () => {
+            for (let value of [undefined, "GET", {method: "GET"}]) {
+                await assert.rejects(() => Dispatcher.handle(value),
+                    {name: "TypeError", message: "Expected 'request' parameter to be a Fetch API Request instance in 'handle' method of Dispatcher"},
+                    "Static method 'handle' did not expect 'request' parameter to be a Fetch API Request instance");
+            }
+        });
+        
+        it("should resolve to a Fetch API Response instance", async () => {
+            const response = await Dispatcher.handle(new Request(`${url}/Test/1`));
+            
+            assert.ok(response instanceof Response,
+                "Static method 'handle' did not resolve to a Fetch API Response instance");
+            assert.strictEqual(response.status, 200,
+                "Static method 'handle' did not respond with status of dispatched request");
+            assert.deepStrictEqual(await response.json(), {id: "1", meta: {location: "/scim/Test/1"}},
+                "Static method 'handle' did not respond with body of dispatched request");
+        });
+        
+        it("should not include a body for responses without content", async () => {
+            const response = await Dispatcher.handle(new Request(`${url}/Test/1`, {method: "DELETE"}));
+            
+            assert.strictEqual(response.status, 204,
+                "Static method 'handle' did not respond with status 204 for DELETE request");
+            assert.strictEqual(await response.text(), "",
+                "Static method 'handle' unexpectedly included body for response without content");
+        });
+        
+        it("should negotiate response content type from 'Accept' header", async () => {
+            const fixtures = [
+                [undefined, "application/scim+json"],
+                ["*/*", "application/scim+json"],
+                ["application/json", "application/json"],
+                ["application/scim+json;q=0.5, application/json", "application/json"],
+                ["text/html, application/*;q=0.8", "application/scim+json"],
+                ["text/html", "application/scim+json"]
+            ];
+            
+            for (let [accept, expected] of fixtures) {
+                const headers = (accept !== undefined ? {"Accept": accept} : {});
+                const response = await Dispatcher.handle(new Request(`${url}/Test`, {headers}));
+                
+                assert.strictEqual(response.headers.get("content-type"), expected,
+                    `Static method 'handle' did not negotiate content type '${expected}' from 'Accept' header '${accept}'`);
+            }
+        });
+        
+        it("should accept request bodies with supported content types", async () => {
+            for (let type of ["application/scim+json", "application/json; charset=utf-8"]) {
+                const response = await Dispatcher.handle(new Request(`${url}/Test`, {
+                    method: "POST", headers: {"Content-Type": type}, body: JSON.stringify({name: "Test"})
+                }));
+                
+                assert.strictEqual(response.status, 201,
+                    `Static method 'handle' did not accept request body with content type '${type}'`);
+                assert.strictEqual(response.headers.get("location"), "/scim/Test/3",
+                    "Static method 'handle' did not include 'Location' header of dispatched request");
+            }
+        });
+        
+        it("should respond with SCIM ErrorResponse for request bodies with unsupported content types", async () => {
+            const response = await Dispatcher.handle(new Request(`${url}/Test`, {
+                method: "POST", headers: {"Content-Type": "text/plain"}, body: JSON.stringify({name: "Test"})
+            }));
+            
+            assert.strictEqual(response.status, 400,
+                "Static method 'handle' did not respond with status 400 for unsupported content type");
+            assert.deepStrictEqual(await response.json(), {
+                schemas: ["urn:ietf:params:scim:api:messages:2.0:Error"], status: "400", scimType: "invalidSyntax",
+                detail: "Unsupported request body content type 'text/plain', expected one of 'application/scim+json', 'application/json'"
+            }, "Static method 'handle' did not respond with SCIM ErrorResponse for unsupported content type");
+        });
+        
+        it("should respond with SCIM ErrorResponse for request bodies that are not valid JSON", async () => {
+            const response = await Dispatcher.handle(new Request(`${url}/Test`, {
+                method: "POST", headers: {"Content-Type": "application/scim+json"}, body: "{name: Test"
+            }));
+            
+            assert.strictEqual(response.status, 400,
+                "Static method 'handle' did not respond with status 400 for invalid JSON body");
+            assert.strictEqual((await response.json()).detail, "Unable to parse request body as JSON",
+                "Static method 'handle' did not respond with SCIM ErrorResponse for invalid JSON body");
+        });
+        
+        it("should parse 'startIndex' and 'count' query parameters into numbers", async () => {
+            const response = await Dispatcher.handle(new Request(`${url}/Test?startIndex=2&count=1`));
+            const {startIndex, itemsPerPage, Resources} = await response.json();
+            
+            assert.strictEqual(startIndex, 2,
+                "Static method 'handle' did not parse 'startIndex' query parameter into a number");
+            assert.strictEqual(itemsPerPage, 1,
+                "Static method 'handle' did not parse 'count' query parameter into a number");
+            assert.deepStrictEqual(Resources, [{id: "2"}],
+                "Static method 'handle' did not pass pagination query parameters to resource");
+        });
+        
+        it("should respond with SCIM ErrorResponse for 'startIndex' and 'count' query parameters that are not integers", async () => {
+            for (let [key, value] of [["startIndex", "two"], ["count", "1.5"], ["count", ""]]) {
+                const response = await Dispatcher.handle(new Request(`${url}/Test?${key}=${value}`));
+                
+                assert.strictEqual(response.status, 400,
+                    `Static method 'handle' did not respond with status 400 for '${key}' query parameter value '${value}'`);
+                assert.deepStrictEqual(await response.json(), {
+                    schemas: ["urn:ietf:params:scim:api:messages:2.0:Error"], status: "400", scimType: "invalidValue",
+                    detail: `Expected '${key}' query parameter to be an integer, got '${value}'`
+                }, `Static method 'handle' did not respond with SCIM ErrorResponse for '${key}' query parameter value '${value}'`);
+            }
+        });
+    });
+});
\ No newline at end of file
@@ -323,6 +323,31 @@ describe("SCIMMY.Messages.BulkRequest", () => {
             }
         });
         
+        it("should expect 'version' attribute to be a string, if specified", async () => {
+            const suite = [
+                {method: "PUT", path: "/Test/1", data: {}},
+                {method: "PATCH", path: "/Test/1", data: {}},
+                {method: "DELETE", path: "/Test/1"}
+            ];
+            const fixtures = [
+                ["number value '1'", 1],
+                ["boolean value 'false'", false],
+                ["object value", {}]
+            ];
+            
+            for (let op of suite) {
+                for (let [label, value] of fixtures) {
+                    const actual = (await (new BulkRequest({...template, Operations: [{...op, version: value}]})).apply([Test]))?.Operations;
+                    const expected = [{status: "400", method: op.method, location: op.path, response: {
+                        ...new ErrorResponse(new SCIMError(400, "invalidSyntax", "Expected 'version' to be a string in BulkRequest operation #1"))
+                    }}];
+                    
+                    assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected,
+                        `Instance method 'apply' did not reject 'version' attribute ${label}`);
+                }
+            }
+        });
+        
         it("should stop processing operations when failOnErrors limit is reached", async () => {
             const {inbound: {failOnErrors: suite}} = await fixtures;
             
@@ -388,6 +413,16 @@ describe("SCIMMY.Messages.BulkRequest", () => {
                 "Instance method 'apply' did not handle precondition failure in dependent bulk operation");
         });
         
+        it("should include version of resources returned by resource instance methods in operation results", async () => {
+            const meta = {location: "/Test/1", version: 'W/"2"'};
+            const TestStubbed = class extends Test.reset() {write = sandbox.stub().returns({id: "1", meta})};
+            const Operations = [{method: "POST", path: "/Test", bulkId: "asdf", data: {}}, {method: "PUT", path: "/Test/1", version: 'W/"1"', data: {}}];
+            const actual = await (new BulkRequest({...template, Operations})).apply([TestStubbed]);
+            
+            assert.deepStrictEqual(actual.Operations.map(({version}) => version), [meta.version, meta.version],
+                "Instance method 'apply' did not include version of resources in operation results");
+        });
+        
         for (let [method, fn] of [["POST", "write"], ["PUT", "write"], ["PATCH", "patch"], ["DELETE", "dispose"]]) {
             it(`should call resource instance '${fn}' method when 'method' attribute value is ${method}`, async () => {
                 // Stub the target resource instance method on the test class, so it can be spied on
@@ -404,6 +439,22 @@ describe("SCIMMY.Messages.BulkRequest", () => {
                 assert.ok(method !== "DELETE" ? stub.calledWith(sinon.match.same(data)) : stub.calledOnce,
                     `Instance method 'apply' did not call resource instance '${fn}' method when 'method' attribute value was ${method}`);
             });
+            
+            it(`should ${method === "POST" ? "not " : ""}pass 'version' attribute to resource instance as 'ifMatch' precondition when 'method' attribute value is ${method}`, async () => {
+                // Stub the target resource instance method on the test class, so the resource instance can be inspected
+                const stub = sandbox.stub().returns(method !== "DELETE" ? {id: 1} : undefined);
+                const TestStubbed = class extends Test.reset() {[fn] = stub};
+                // Prepare details for an operation that includes a version
+                const path = `/Test${method !== "POST" ? "/1" : ""}`;
+                const bulkId = (method === "POST" ? "asdf" : undefined);
+                const data = (method !== "DELETE" ? {calledWithMe: true} : undefined);
+                const Operations = [{method, path, bulkId, data, version: 'W/"1"'}];
+                
+                await (new BulkRequest({...template, Operations})).apply([TestStubbed]);
+                
+                assert.deepStrictEqual(stub.firstCall.thisValue.preconditions, (method !== "POST" ? {ifMatch: ['W/"1"']} : undefined),
+                    `Instance method 'apply' did not ${method === "POST" ? "ignore" : "pass"} 'version' attribute when 'method' attribute value was ${method}`);
+            });
         }
     });
 });
\ No newline at end of file
@@ -205,6 +205,16 @@ describe("SCIMMY.Messages.ListResponse", () => {
             }
         });
         
+        it("should not offset results when 'totalResults' parameter exceeds number of results when preparing outbound messages", async () => {
+            const {outbound: {source}} = await fixtures;
+            const actual = new ListResponse(source.slice(2, 7), {startIndex: 3, itemsPerPage: 5, totalResults: source.length});
+            
+            assert.deepStrictEqual(actual.Resources.map(({id}) => id), [3, 4, 5, 6, 7],
+                "ListResponse offset results that were already the page starting at 'startIndex'");
+            assert.strictEqual(actual.totalResults, source.length,
+                "ListResponse did not use 'totalResults' parameter when results were already the page starting at 'startIndex'");
+        });
+        
         it("should be constrained to a minimum value of one when parsing inbound messages", async () => {
             const {inbound: suite} = await fixtures;
             
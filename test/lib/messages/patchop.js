@@ -102,7 +102,7 @@ describe("SCIMMY.Messages.PatchOp", () => {
                 "Remove", "REMOVE", "rEmOvE",
                 "Replace", "REPLACE", "rEpLaCe"
             ];
-
+            
             for (let op of ops) {
                 try {
                     new PatchOp({...template, Operations: [{op, path: "test", value: {}}]});
@@ -143,6 +143,74 @@ describe("SCIMMY.Messages.PatchOp", () => {
                     `PatchOp instantiated with invalid 'path' value '${op.path}' in 'Operations' attribute of 'request' parameter`);
             }
         });
+        
+        it("should expect 'definition' parameter to be an instance of SCIMMY.Types.SchemaDefinition, if specified", () => {
+            for (let value of [{}, "a string", TestSchema]) {
+                assert.throws(() => new PatchOp({...template, Operations: [{op: "add", value: {}}]}, value),
+                    {name: "TypeError", message: "Expected 'definition' parameter to be an instance of SCIMMY.Types.SchemaDefinition in PatchOp message constructor"},
+                    "PatchOp did not verify 'definition' parameter type before proceeding");
+            }
+        });
+        
+        it("should resolve patch op 'path' values against 'definition' parameter, if specified", () => {
+            const Operations = [
+                {op: "Add", path: "DisplayName", value: "asdf"},
+                {op: "REPLACE", path: `EMAILS[type eq "work"].Value`, value: "test@example.com"},
+                {op: "remove", path: `${TestSchema.definition.id}:name.formatted`},
+                {op: "add", value: {nickName: "dsaf"}}
+            ];
+            
+            assert.deepStrictEqual(new PatchOp({...template, Operations}, TestSchema.definition).Operations, [
+                {op: "add", path: "displayName", value: "asdf"},
+                {op: "replace", path: `emails[type eq "work"].value`, value: "test@example.com"},
+                {op: "remove", path: "name.formatted"},
+                {op: "add", value: {nickName: "dsaf"}}
+            ], "PatchOp did not resolve patch op 'path' values against 'definition' parameter");
+        });
+        
+        it("should expect patch ops to target attributes declared by 'definition' parameter, if specified", () => {
+            const fixtures = [
+                [{op: "remove", path: "test"}, "test"],
+                [{op: "replace", path: "name.test", value: "asdf"}, "name.test"],
+                [{op: "add", value: {displayName: "asdf", test: "asdf"}}, "test"]
+            ];
+            
+            for (let [operation, path] of fixtures) {
+                assert.throws(() => new PatchOp({...template, Operations: [operation]}, TestSchema.definition),
+                    {name: "SCIMError", status: 400, scimType: "invalidPath",
+                        message: `Invalid path '${path}' for '${operation.op}' op of operation 1 in PatchOp request body`},
+                    `PatchOp did not reject patch op targeting undeclared attribute '${path}'`);
+            }
+        });
+        
+        it("should expect filters in patch op 'path' values to be valid when 'definition' parameter is specified", () => {
+            assert.throws(() => new PatchOp({...template, Operations: [{op: "remove", path: "emails[type eq]"}]}, TestSchema.definition),
+                {name: "SCIMError", status: 400, scimType: "invalidFilter",
+                    message: "Invalid filter in path 'emails[type eq]' for 'remove' op of operation 1 in PatchOp request body: "
+                        + "Unexpected end of filter at offset 7, expected comparison value after comparator 'eq'"},
+                "PatchOp did not reject patch op with invalid filter in 'path' value");
+        });
+        
+        it("should instantiate outbound messages when 'request' parameter is a schema definition", () => {
+            const message = new PatchOp(TestSchema.definition);
+            
+            assert.deepStrictEqual({...message}, {...template, Operations: []},
+                "PatchOp did not instantiate outbound message when 'request' parameter was a schema definition");
+        });
+        
+        it("should instantiate outbound messages that can be dispatched when prepared with a schema definition", async () => {
+            const source = new TestSchema({id: "1234", userName: "asdf", displayName: "asdf", emails: [{type: "work", value: "test@example.com"}]});
+            const expected = new TestSchema({id: "1234", userName: "asdf", nickName: "dsaf", name: {formatted: "Test"}, emails: [{type: "work", value: "asdf@dsaf.com"}, {type: "home", value: "fdsa@asdf.com"}]}, "out");
+            const message = new PatchOp(TestSchema.definition)
+                .add("emails", [{type: "home", value: "fdsa@asdf.com"}])
+                .add(undefined, {nickName: "dsaf"})
+                .replace('emails[type eq "work"].value', "asdf@dsaf.com")
+                .replace("name", {formatted: "Test"})
+                .remove("displayName");
+            
+            assert.deepStrictEqual(await new PatchOp(JSON.parse(JSON.stringify(message))).apply(source), expected,
+                "Prepared PatchOp message did not produce expected resource when applied");
+        });
     });
     
     describe(".id", () => {
@@ -162,6 +230,165 @@ describe("SCIMMY.Messages.PatchOp", () => {
         });
     });
     
+    describe(".diff()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof PatchOp.diff === "function",
+                "Static method 'diff' was not implemented");
+        });
+        
+        it("should expect 'source' parameter to be an instance of SCIMMY.Types.Schema", () => {
+            for (let value of [undefined, {}, new Date()]) {
+                assert.throws(() => PatchOp.diff(value, new TestSchema({userName: "asdf"})),
+                    {name: "TypeError", message: "Expected 'source' to be an instance of SCIMMY.Types.Schema in PatchOp 'diff' method"},
+                    "Static method 'diff' did not verify 'source' parameter type before proceeding");
+            }
+        });
+        
+        it("should expect 'target' parameter to be an instance of the same schema as 'source' parameter", () => {
+            const OtherSchema = createSchemaClass({attributes: [new Attribute("string", "userName")]});
+            
+            for (let value of [undefined, {}, new OtherSchema({userName: "asdf"})]) {
+                assert.throws(() => PatchOp.diff(new TestSchema({userName: "asdf"}), value),
+                    {name: "TypeError", message: "Expected 'target' to be an instance of the same schema as 'source' in PatchOp 'diff' method"},
+                    "Static method 'diff' did not verify 'target' parameter type before proceeding");
+            }
+        });
+        
+        it("should return an outbound PatchOp message with no operations when instances are the same", () => {
+            const source = new TestSchema({id: "1234", userName: "asdf", name: {formatted: "Test"}, emails: [{type: "work", value: "test@example.com"}]});
+            const target = new TestSchema({id: "1234", userName: "asdf", name: {formatted: "Test"}, emails: [{type: "work", value: "test@example.com"}]});
+            const message = PatchOp.diff(source, target);
+            
+            assert.ok(message instanceof PatchOp,
+                "Static method 'diff' did not return a PatchOp instance");
+            assert.deepStrictEqual({...message}, {...template, Operations: []},
+                "Static method 'diff' did not return an outbound message with no operations for identical instances");
+        });
+        
+        it("should ignore changes to read-only attributes", () => {
+            const message = PatchOp.diff(new TestSchema({id: "1234", userName: "asdf"}), new TestSchema({id: "4321", userName: "asdf"}));
+            
+            assert.deepStrictEqual(message.Operations, [],
+                "Static method 'diff' included changes to read-only attributes");
+        });
+        
+        it("should generate operations that turn 'source' into 'target' when applied", async () => {
+            const {outbound: {diff: suite}} = await fixtures;
+            
+            for (let fixture of suite) {
+                const index = suite.indexOf(fixture) + 1;
+                const message = PatchOp.diff(new TestSchema(fixture.source), new TestSchema(fixture.target));
+                const actual = await new PatchOp(JSON.parse(JSON.stringify(message))).apply(new TestSchema(fixture.source));
+                
+                assert.deepStrictEqual(message.Operations, fixture.ops,
+                    `Static method 'diff' did not generate expected operations specified in outbound fixture ${index}`);
+                assert.deepStrictEqual(actual, new TestSchema(fixture.target, "out"),
+                    `Static method 'diff' generated operations that did not produce target specified in outbound fixture ${index}`);
+            }
+        });
+        
+        it("should use fully qualified paths for attributes of schema extensions", async () => {
+            const attributes = [new Attribute("string", "organization"), new Attribute("complex", "manager", {}, [new Attribute("string", "value")])];
+            const extension = new SchemaDefinition("Extension", TestSchema.definition.id.replace("Test", "Extension"), "", attributes);
+            const source = {id: "1234", userName: "asdf", [extension.id]: {organization: "COMPANY1", manager: {value: "1234"}}};
+            const target = {id: "1234", userName: "asdf", [extension.id]: {manager: {value: "4321"}}};
+            
+            try {
+                TestSchema.definition.extend(extension);
+                
+                const message = PatchOp.diff(new TestSchema(source), new TestSchema(target));
+                const actual = await new PatchOp(JSON.parse(JSON.stringify(message))).apply(new TestSchema(source));
+                
+                assert.deepStrictEqual(message.Operations, [
+                    {op: "remove", path: `${extension.id}:organization`},
+                    {op: "replace", path: `${extension.id}:manager.value`, value: "4321"}
+                ], "Static method 'diff' did not use fully qualified paths for attributes of schema extensions");
+                assert.deepStrictEqual(actual, new TestSchema(target, "out"),
+                    "Static method 'diff' generated operations for schema extensions that did not produce target");
+            } finally {
+                TestSchema.definition.truncate(extension);
+            }
+        });
+    });
+    
+    for (let op of ["add", "replace", "remove"]) {
+        describe(`#${op}()`, () => {
+            const value = (op === "remove" ? undefined : "asdf");
+            
+            it("should be implemented", () => {
+                assert.ok(typeof (new PatchOp())[op] === "function",
+                    `Instance method '${op}' was not implemented`);
+            });
+            
+            it("should expect message not to be dispatched", () => {
+                assert.throws(() => new PatchOp({...template, Operations: [{op: "add", value: {}}]})[op]("displayName", value),
+                    {name: "TypeError", message: `PatchOp expected message not to be dispatched before calling '${op}' method`},
+                    `Instance method '${op}' did not expect message not to be dispatched`);
+            });
+            
+            it("should expect message to be instantiated with a schema definition", () => {
+                assert.throws(() => new PatchOp()[op]("displayName", value),
+                    {name: "TypeError", message: `PatchOp expected message to be instantiated with a schema definition before calling '${op}' method`},
+                    `Instance method '${op}' did not expect message to be instantiated with a schema definition`);
+            });
+            
+            it(`should expect 'path' parameter to be a non-empty string${op !== "remove" ? " if specified" : ""}`, () => {
+                for (let path of [...(op === "remove" ? [undefined] : []), "", false, 1, {}]) {
+                    assert.throws(() => new PatchOp(TestSchema.definition)[op](path, value),
+                        {name: "TypeError", message: `Expected 'path' parameter to be a non-empty string in '${op}' method of PatchOp`},
+                        `Instance method '${op}' did not reject 'path' parameter value '${path}'`);
+                }
+            });
+            
+            if (op !== "remove") {
+                it("should expect 'value' parameter to be defined", () => {
+                    assert.throws(() => new PatchOp(TestSchema.definition)[op]("displayName"),
+                        {name: "TypeError", message: `Expected 'value' parameter to be defined in '${op}' method of PatchOp`},
+                        `Instance method '${op}' did not expect 'value' parameter to be defined`);
+                });
+                
+                it("should expect 'value' parameter to be an object when 'path' parameter is not specified", () => {
+                    for (let value of ["a string", 1, true, []]) {
+                        assert.throws(() => new PatchOp(TestSchema.definition)[op](undefined, value),
+                            {name: "TypeError", message: `Expected 'value' parameter to be an object when 'path' parameter is not specified in '${op}' method of PatchOp`},
+                            `Instance method '${op}' did not reject 'value' parameter value '${value}' without 'path' parameter`);
+                    }
+                });
+                
+                it("should expect all attributes in 'value' parameter to be declared by the schema definition", () => {
+                    assert.throws(() => new PatchOp(TestSchema.definition)[op](undefined, {displayName: "asdf", test: "value"}),
+                        {name: "TypeError", message: `Schema definition '${TestSchema.definition.id}' does not declare attribute 'test'`},
+                        `Instance method '${op}' did not validate attributes in 'value' parameter against schema definition`);
+                });
+            }
+            
+            it("should expect 'path' parameter to target attributes declared by the schema definition", () => {
+                assert.throws(() => new PatchOp(TestSchema.definition)[op]("test", value),
+                    {name: "TypeError", message: `Schema definition '${TestSchema.definition.id}' does not declare attribute 'test'`},
+                    `Instance method '${op}' did not validate 'path' parameter against schema definition`);
+                assert.throws(() => new PatchOp(TestSchema.definition)[op]('emails[type eq "work"].test', value),
+                    {name: "TypeError", message: `Attribute 'emails' of schema '${TestSchema.definition.id}' does not declare subAttribute 'test'`},
+                    `Instance method '${op}' did not validate filtered 'path' parameter against schema definition`);
+            });
+            
+            it("should expect filters in 'path' parameter to be valid", () => {
+                assert.throws(() => new PatchOp(TestSchema.definition)[op]("emails[type eq].value", value),
+                    {name: "TypeError", message: `Invalid filter in path 'emails[type eq].value' in '${op}' method of PatchOp: `
+                        + "Unexpected end of filter at offset 7, expected comparison value after comparator 'eq'"},
+                    `Instance method '${op}' did not validate filters in 'path' parameter`);
+            });
+            
+            it("should return the same PatchOp instance for chaining", () => {
+                const message = new PatchOp(TestSchema.definition);
+                
+                assert.strictEqual(message[op]("displayName", value), message,
+                    `Instance method '${op}' did not return the same PatchOp instance for chaining`);
+                assert.deepStrictEqual(message.Operations, [{op, path: "displayName", ...(value !== undefined ? {value} : {})}],
+                    `Instance method '${op}' did not add operation to outbound message`);
+            });
+        });
+    }
+    
     describe("#apply()", () => {
         it("should be implemented", () => {
             assert.ok(typeof (new PatchOp({...template, Operations: [{op: "add", value: {}}]})).apply === "function",
@@ -213,6 +440,59 @@ describe("SCIMMY.Messages.PatchOp", () => {
                 "Instance method 'apply' did not return nothing when resource was not modified");
         });
         
+        it("should pass changes made by each operation to 'finalise' callback", async () => {
+            const attributes = [new Attribute("string", "organization")];
+            const extension = new SchemaDefinition("Extension", TestSchema.definition.id.replace("Test", "Extension"), "", attributes);
+            const source = {id: "1234", userName: "asdf", displayName: "asdf", name: {formatted: "Test"}, emails: [{type: "work", value: "test@example.com"}]};
+            const message = new PatchOp({
+                ...template, Operations: [
+                    {op: "replace", path: "name.formatted", value: "Tester"},
+                    {op: "add", path: "emails", value: [{type: "home", value: "asdf@dsaf.com"}]},
+                    {op: "remove", path: "displayName"},
+                    {op: "add", value: {nickName: "dsaf", userName: "asdf"}},
+                    {op: "replace", path: "nickName", value: "dsaf"},
+                    {op: "add", path: `${extension.id}:organization`, value: "COMPANY"}
+                ]
+            });
+            
+            try {
+                TestSchema.definition.extend(extension);
+                
+                let actual;
+                await message.apply(new TestSchema(source), (instance, changes) => (actual = changes) && instance);
+                
+                assert.deepStrictEqual(actual, [
+                    {path: "name.formatted", from: "Test", to: "Tester", index: 1},
+                    {path: "emails", from: source.emails, to: [...source.emails, {type: "home", value: "asdf@dsaf.com"}], index: 2},
+                    {path: "displayName", from: "asdf", to: undefined, index: 3},
+                    {path: "nickName", from: undefined, to: "dsaf", index: 4},
+                    {path: `${extension.id}:organization`, from: undefined, to: "COMPANY", index: 6}
+                ], "Instance method 'apply' did not pass changes made by each operation to 'finalise' callback");
+            } finally {
+                TestSchema.definition.truncate(extension);
+            }
+        });
+        
+        it("should pass changes made by operations with fully qualified and filtered paths to 'finalise' callback", async () => {
+            const source = {id: "1234", userName: "asdf", name: {formatted: "Test"}, emails: [{type: "work", value: "test@example.com"}, {type: "home", value: "home@example.com"}]};
+            const message = new PatchOp({
+                ...template, Operations: [
+                    {op: "replace", path: `${TestSchema.definition.id}:userName`, value: "dsaf"},
+                    {op: "replace", path: 'emails[type eq "work"].value', value: "work@example.com"},
+                    {op: "remove", path: `${TestSchema.definition.id}:name.formatted`}
+                ]
+            }, TestSchema.definition);
+            
+            let actual;
+            await message.apply(new TestSchema(source), (instance, changes) => (actual = changes) && instance);
+            
+            assert.deepStrictEqual(actual, [
+                {path: "userName", from: "asdf", to: "dsaf", index: 1},
+                {path: "emails", from: source.emails, to: [{type: "work", value: "work@example.com"}, source.emails[1]], index: 2},
+                {path: "name.formatted", from: "Test", to: undefined, index: 3}
+            ], "Instance method 'apply' did not pass changes made by operations with fully qualified and filtered paths to 'finalise' callback");
+        });
+        
         for (let op of ["add", "remove", "replace"]) {
             it(`should support simple and complex '${op}' operations`, async () => {
                 const {inbound: {[op]: suite}} = await fixtures;
@@ -298,6 +578,35 @@ describe("SCIMMY.Messages.PatchOp", () => {
                         TestSchema.definition.truncate(attribute);
                     }
                 });
+                
+                it(`should create new values from filter equality comparisons when filtered sub-attribute paths match no values in '${op}' operations`, async () => {
+                    const fixtures = [
+                        [{id: "1234", userName: "asdf"}, [{type: "work", value: "test@example.com"}]],
+                        [{id: "1234", userName: "asdf", emails: [{type: "home", value: "asdf@dsaf.com"}]},
+                            [{type: "home", value: "asdf@dsaf.com"}, {type: "work", value: "test@example.com"}]]
+                    ];
+                    
+                    for (let [source, emails] of fixtures) {
+                        const Operations = [{op, path: `emails[type eq "work"].value`, value: "test@example.com"}];
+                        const expected = new TestSchema({...source, emails}, "out");
+                        const actual = await new PatchOp({...template, Operations}).apply(new TestSchema(source));
+                        
+                        assert.deepStrictEqual(actual, expected,
+                            `Instance method 'apply' did not create new value from filter equality comparisons in '${op}' operations`);
+                    }
+                });
+                
+                it(`should expect filtered sub-attribute paths to match values when filter can't be used to create new values in '${op}' operations`, async () => {
+                    for (let filter of [`type ne "work"`, `type eq "work" or type eq "home"`, `type sw "w"`, "type pr"]) {
+                        const Operations = [{op, path: `emails[${filter}].value`, value: "test@example.com"}];
+                        const message = new PatchOp({...template, Operations});
+                        
+                        await assert.rejects(() => message.apply(new TestSchema({id: "1234", userName: "asdf"})),
+                            {name: "SCIMError", status: 400, scimType: "noTarget",
+                                message: `Filter 'emails[${filter}].value' does not match any values for '${op}' op of operation 1 in PatchOp request body`},
+                            `Instance method 'apply' unexpectedly created new value from filter '${filter}' in '${op}' operations`);
+                    }
+                });
             }
             
             it(`should rethrow SCIMErrors with added location details in '${op}' operations`, async () => {
@@ -310,7 +619,7 @@ describe("SCIMMY.Messages.PatchOp", () => {
                         message: `Attribute 'id' already defined and is not mutable for '${op}' op of operation 1 in PatchOp request body`},
                     `Instance method 'apply' did not rethrow SCIMError with added location details in '${op}' operations`);
             });
-    
+            
             it(`should rethrow other exceptions as SCIMErrors with location details in '${op}' operations`, async () => {
                 const details = (op === "remove" ? {path: "throws"} : {value: {throws: "test"}});
                 const Operations = [{op, ...details}];
@@ -368,4 +677,43 @@ describe("SCIMMY.Messages.PatchOp", () => {
             });
         }
     });
+    
+    describe("#inverse()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new PatchOp()).inverse === "function",
+                "Instance method 'inverse' was not implemented");
+        });
+        
+        it("should expect message to be applied to a resource before 'inverse' is called", () => {
+            assert.throws(() => new PatchOp({...template, Operations: [{op: "add", value: {}}]}).inverse(),
+                {name: "TypeError", message: "PatchOp expected message to be applied to a resource before calling 'inverse' method"},
+                "Instance method 'inverse' did not expect message to be applied before proceeding");
+        });
+        
+        it("should return an outbound PatchOp message with no operations when applied message did not modify resource", async () => {
+            const message = new PatchOp({...template, Operations: [{op: "replace", path: "userName", value: "asdf"}]});
+            
+            await message.apply(new TestSchema({id: "1234", userName: "asdf"}));
+            
+            assert.deepStrictEqual({...message.inverse()}, {...template, Operations: []},
+                "Instance method 'inverse' did not return an outbound message with no operations");
+        });
+        
+        for (let op of ["add", "remove", "replace"]) {
+            it(`should return a PatchOp message that restores resources patched by '${op}' operations`, async () => {
+                const {inbound: {[op]: suite}} = await fixtures;
+                
+                for (let fixture of suite) {
+                    const message = new PatchOp({...template, Operations: fixture.ops});
+                    const patched = await message.apply(new TestSchema(fixture.source));
+                    const inverse = message.inverse();
+                    
+                    assert.ok(inverse instanceof PatchOp,
+                        `Instance method 'inverse' did not return a PatchOp instance for '${op}' op specified in inbound fixture ${suite.indexOf(fixture) + 1}`);
+                    assert.deepStrictEqual(await new PatchOp(JSON.parse(JSON.stringify(inverse))).apply(patched), new TestSchema(fixture.source, "out"),
+                        `Instance method 'inverse' did not restore resource patched by '${op}' op specified in inbound fixture ${suite.indexOf(fixture) + 1}`);
+                }
+            });
+        }
+    });
 });
\ No newline at end of file
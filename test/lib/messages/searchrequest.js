@@ -5,6 +5,7 @@ import {ListResponse} from "#@/lib/messages/listresponse.js";
 import {User} from "#@/lib/resources/user.js";
 import {Group} from "#@/lib/resources/group.js";
 import {SearchRequest} from "#@/lib/messages/searchrequest.js";
+import {Filter} from "#@/lib/types/filter.js";
 import {createResourceClass} from "../../hooks/resources.js";
 
 // Default parameter values to use in tests
@@ -183,6 +184,13 @@ describe("SCIMMY.Messages.SearchRequest", () => {
             }
         });
         
+        it("should accept Filter instances for 'filter' property of 'params' argument, and use their expression", () => {
+            const filter = Filter.where("userName").eq('Test "User"');
+            
+            assert.strictEqual(new SearchRequest().prepare({filter}).filter, 'userName eq "Test \\"User\\""',
+                "Instance method 'prepare' did not use expression of 'filter' property Filter instance value");
+        });
+        
         it("should expect 'excludedAttributes' property of 'params' argument to be an array of non-empty strings, if specified", () => {
             assert.doesNotThrow(() => new SearchRequest().prepare({excludedAttributes: ["test"]}),
                 "Instance method 'prepare' rejected valid 'excludedAttributes' property non-empty string array value");
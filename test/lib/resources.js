@@ -11,6 +11,8 @@ describe("SCIMMY.Resources", () => {
         static ingress = sandbox.stub();
         static egress = sandbox.stub();
         static degress = sandbox.stub();
+        static patcher = sandbox.stub();
+        static unique = sandbox.stub();
         static basepath = sandbox.stub();
         static extend = sandbox.stub();
     }
@@ -30,6 +32,11 @@ describe("SCIMMY.Resources", () => {
             "Static class 'ServiceProviderConfig' not defined");
     });
     
+    it("should include static class 'Me'", () => {
+        assert.ok(!!Resources.Me,
+            "Static class 'Me' not defined");
+    });
+    
     it("should include static class 'User'", () => {
         assert.ok(!!Resources.User,
             "Static class 'User' not defined");
@@ -70,7 +77,7 @@ describe("SCIMMY.Resources", () => {
                 "Static method 'declare' did not fail with 'config' parameter number value '1'");
         });
         
-        it("should refuse to declare internal resource implementations 'Schema', 'ResourceType', and 'ServiceProviderConfig'", () => {
+        it("should refuse to declare internal resource implementations 'Schema', 'ResourceType', 'ServiceProviderConfig', and 'Me'", () => {
             assert.throws(() => Resources.declare(Resources.Schema),
                 {name: "TypeError", message: "Refusing to declare internal resource implementation 'Schema'"},
                 "Static method 'declare' did not refuse to declare internal resource implementation 'Schema'");
@@ -80,6 +87,9 @@ describe("SCIMMY.Resources", () => {
             assert.throws(() => Resources.declare(Resources.ServiceProviderConfig),
                 {name: "TypeError", message: "Refusing to declare internal resource implementation 'ServiceProviderConfig'"},
                 "Static method 'declare' did not refuse to declare internal resource implementation 'ServiceProviderConfig'");
+            assert.throws(() => Resources.declare(Resources.Me),
+                {name: "TypeError", message: "Refusing to declare internal resource implementation 'Me'"},
+                "Static method 'declare' did not refuse to declare internal resource implementation 'Me'");
         });
         
         it("should return self after declaration if 'config' argument was an object", () => {
@@ -115,6 +125,8 @@ describe("SCIMMY.Resources", () => {
             ["ingress"],
             ["egress"],
             ["degress"],
+            ["patcher"],
+            ["unique"],
             ["basepath", "/scim", "a string"],
             ["extensions", [{}], "an array", "extend"]
         ];
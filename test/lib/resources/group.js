@@ -18,6 +18,8 @@ describe("SCIMMY.Resources.Group", () => {
     describe(".ingress()", hooks.ingress(true));
     describe(".egress()", hooks.egress(true));
     describe(".degress()", hooks.degress(true));
+    describe(".patcher()", hooks.patcher(true));
+    describe(".unique()", hooks.unique(true));
     describe("@constructor", hooks.construct(true));
     describe("#read()", hooks.read(true, true));
     describe("#write()", hooks.write(true));
@@ -0,0 +1,180 @@
+import assert from "assert";
+import sinon from "sinon";
+import ResourcesHooks, {createResourceClass} from "../../hooks/resources.js";
+import Resources from "#@/lib/resources.js";
+import {Me} from "#@/lib/resources/me.js";
+
+/**
+ * Me Test Resource Class
+ * Because Me needs a declared resource type to delegate requests to
+ */
+class Test extends createResourceClass("Test", "urn:ietf:params:scim:schemas:Test") {
+    // Mock read method that returns the targeted resource, and keeps the resource instance that read it
+    async read() {
+        Test.last = this;
+        return {id: this.id, userName: "AdeleV", meta: {location: `/scim/Test/${this.id}`}};
+    }
+    
+    // Mock write method that echoes the instance with the targeted ID
+    async write(instance) {
+        Test.last = this;
+        return {...instance, id: this.id};
+    }
+    
+    // Mock patch method that returns the targeted resource with the operations applied
+    async patch(message) {
+        Test.last = this;
+        return {id: this.id, operations: message.Operations.length};
+    }
+    
+    // Mock dispose method that only keeps the resource instance that disposed of it
+    async dispose() {
+        Test.last = this;
+    }
+}
+
+describe("SCIMMY.Resources.Me", () => {
+    const hooks = new ResourcesHooks(Me);
+    const sandbox = sinon.createSandbox();
+    const message = {schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"], Operations: [{op: "add", path: "nickName", value: "Adele"}]};
+    const subject = {id: "1"};
+    
+    // Declare the test resource type under the "User" name, and resolve the authenticated subject from the context if supplied
+    after(() => sandbox.restore());
+    after(() => Me.resolver(undefined));
+    before(() => sandbox.stub(Resources, "declared").callsFake((name) => ({User: Test, Test})[name]));
+    beforeEach(() => Me.resolver((resource, ctx) => ctx?.subject ?? subject.id));
+    
+    describe(".schema", hooks.schema(false));
+    describe(".endpoint", hooks.endpoint());
+    describe(".basepath()", hooks.basepath());
+    describe(".extend()", hooks.extend(false));
+    describe(".ingress()", hooks.ingress(false));
+    describe(".egress()", hooks.egress(false));
+    describe(".degress()", hooks.degress(false));
+    describe(".patcher()", hooks.patcher(false));
+    describe(".unique()", hooks.unique(false));
+    
+    describe(".resolver()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof Me.resolver === "function",
+                "Static method 'resolver' was not implemented");
+        });
+        
+        it("should return the Me resource class for chaining", () => {
+            assert.strictEqual(Me.resolver(() => subject.id), Me,
+                "Static method 'resolver' did not return the Me resource class for chaining");
+        });
+        
+        it("should be called with the Me resource instance and context of the request", async () => {
+            const resolver = sandbox.stub().returns(subject.id);
+            const resource = new Me();
+            const ctx = {};
+            
+            Me.resolver(resolver);
+            await resource.read(ctx);
+            
+            assert.ok(resolver.calledOnceWithExactly(resource, ctx),
+                "Resolver handler was not called with the Me resource instance and context of the request");
+        });
+    });
+    
+    describe("@constructor", () => {
+        it("should not require arguments", () => {
+            assert.doesNotThrow(() => new Me(),
+                "Me resource did not instantiate without arguments");
+        });
+        
+        it("should throw a SCIMError with status 404 when a specific resource is requested", () => {
+            assert.throws(() => new Me("1"),
+                {name: "SCIMError", status: 404, scimType: null, message: "Resource 1 not found"},
+                "Me resource did not reject request for a specific resource");
+        });
+    });
+    
+    describe("#read()", () => {
+        it("should throw a SCIMError with status 501 when no resolver handler has been set", async () => {
+            Me.resolver(undefined);
+            
+            await assert.rejects(() => new Me().read(),
+                {name: "SCIMError", status: 501, scimType: null, message: "Method 'resolver' not implemented by resource 'Me'"},
+                "Me resource did not reject request when no resolver handler was set");
+        });
+        
+        it("should throw a SCIMError with status 404 when the authenticated subject has no resource", async () => {
+            Me.resolver(() => undefined);
+            
+            await assert.rejects(() => new Me().read(),
+                {name: "SCIMError", status: 404, scimType: null, message: "No resource found for the authenticated subject"},
+                "Me resource did not reject request when the authenticated subject had no resource");
+        });
+        
+        it("should throw a SCIMError with status 500 when the authenticated subject's resource type is not declared", async () => {
+            Me.resolver(() => ({id: subject.id, resourceType: "Client"}));
+            
+            await assert.rejects(() => new Me().read(),
+                {name: "SCIMError", status: 500, scimType: null, message: "Resource type 'Client' of the authenticated subject has not been declared"},
+                "Me resource did not reject request when the authenticated subject's resource type was not declared");
+        });
+        
+        it("should return the authenticated subject's resource", async () => {
+            const actual = await new Me().read();
+            
+            assert.strictEqual(actual.id, subject.id,
+                "Me resource did not return the authenticated subject's resource");
+            assert.ok(Test.last instanceof Test,
+                "Me resource did not delegate to the authenticated subject's declared resource type");
+        });
+        
+        it("should resolve the authenticated subject's resource from the context of the request", async () => {
+            const actual = await new Me().read({subject: {id: "2", resourceType: "Test"}});
+            
+            assert.strictEqual(actual.id, "2",
+                "Me resource did not resolve the authenticated subject's resource from the context of the request");
+        });
+        
+        it("should return the authenticated subject's resource with 'meta.location' pointing to the resource", async () => {
+            const {meta: {location}} = await new Me().read();
+            
+            assert.strictEqual(location, `/scim/Test/${subject.id}`,
+                "Me resource did not return the authenticated subject's resource with 'meta.location' pointing to the resource");
+        });
+        
+        it("should pass through parameters to the authenticated subject's resource", async () => {
+            await new Me({attributes: "userName", ifMatch: "W/\"1\""}).read();
+            
+            assert.deepStrictEqual(Test.last.attributes, new Me({attributes: "userName"}).attributes,
+                "Me resource did not pass through 'attributes' parameter to the authenticated subject's resource");
+            assert.deepStrictEqual(Test.last.preconditions, {ifMatch: ["W/\"1\""]},
+                "Me resource did not pass through preconditions to the authenticated subject's resource");
+        });
+    });
+    
+    describe("#write()", () => {
+        it("should replace the authenticated subject's resource", async () => {
+            const actual = await new Me().write({userName: "AdeleV"});
+            
+            assert.deepStrictEqual(actual, {userName: "AdeleV", id: subject.id},
+                "Me resource did not replace the authenticated subject's resource");
+        });
+    });
+    
+    describe("#patch()", () => {
+        it("should patch the authenticated subject's resource", async () => {
+            const actual = await new Me().patch(message);
+            
+            assert.deepStrictEqual(actual, {id: subject.id, operations: 1},
+                "Me resource did not patch the authenticated subject's resource");
+        });
+    });
+    
+    describe("#dispose()", () => {
+        it("should dispose of the authenticated subject's resource", async () => {
+            Test.last = undefined;
+            await new Me().dispose();
+            
+            assert.strictEqual(Test.last?.id, subject.id,
+                "Me resource did not dispose of the authenticated subject's resource");
+        });
+    });
+});
\ No newline at end of file
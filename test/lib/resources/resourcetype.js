@@ -30,6 +30,8 @@ describe("SCIMMY.Resources.ResourceType", () => {
     describe(".ingress()", hooks.ingress(false));
     describe(".egress()", hooks.egress(false));
     describe(".degress()", hooks.degress(false));
+    describe(".patcher()", hooks.patcher(false));
+    describe(".unique()", hooks.unique(false));
     describe("@constructor", hooks.construct(false));
     describe("#read()", hooks.read(true));
     describe("#write()", hooks.write(false));
@@ -1,6 +1,9 @@
 import {promises as fs} from "fs";
 import path from "path";
 import url from "url";
+import assert from "assert";
+import sinon from "sinon";
+import Config from "#@/lib/config.js";
 import ResourcesHooks from "../../hooks/resources.js";
 import {User} from "#@/lib/resources/user.js";
 
@@ -18,9 +21,220 @@ describe("SCIMMY.Resources.User", () => {
     describe(".ingress()", hooks.ingress(true));
     describe(".egress()", hooks.egress(true));
     describe(".degress()", hooks.degress(true));
+    describe(".patcher()", hooks.patcher(true));
+    describe(".unique()", hooks.unique(true));
     describe("@constructor", hooks.construct(true));
     describe("#read()", hooks.read(true, true));
     describe("#write()", hooks.write(true));
     describe("#patch()", hooks.patch(true));
     describe("#dispose()", hooks.dispose(true));
+    
+    describe("(uniqueness)", () => {
+        const sandbox = sinon.createSandbox();
+        const handlers = {ingress: sandbox.stub(), patcher: sandbox.stub(), unique: sandbox.stub()};
+        const message = {schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"], Operations: [{op: "replace", path: "userName", value: "GradyA"}]};
+        
+        beforeEach(() => {
+            handlers.ingress.callsFake((resource, instance) => ({...instance, id: resource.id ?? "1"}));
+            handlers.patcher.callsFake((resource) => ({id: resource.id, userName: "GradyA"}));
+            handlers.unique.callsFake((attribute, value) => value !== "gradya");
+            User.ingress(handlers.ingress).patcher(handlers.patcher).unique(handlers.unique);
+        });
+        
+        afterEach(() => {
+            sandbox.reset();
+            User.patcher().unique();
+        });
+        
+        it("should call unique handler with unique attribute values of written resources before calling ingress handler", async () => {
+            const resource = new User("1");
+            
+            await resource.write({userName: "AdeleV", displayName: "Adele Vance"});
+            
+            assert.ok(handlers.unique.calledOnceWith(sinon.match.has("name", "userName"), "adelev", resource),
+                "Instance method 'write' did not call unique handler with unique attribute values");
+            assert.ok(handlers.unique.calledBefore(handlers.ingress),
+                "Instance method 'write' did not call unique handler before ingress handler");
+        });
+        
+        it("should throw a SCIMError with status 409 when written values are not unique", async () => {
+            await assert.rejects(() => new User().write({userName: "GradyA"}),
+                {name: "SCIMError", status: 409, scimType: "uniqueness", message: "Value 'GradyA' of attribute 'userName' is not unique"},
+                "Instance method 'write' did not reject value that was not unique");
+            assert.ok(handlers.ingress.notCalled,
+                "Instance method 'write' called ingress handler with value that was not unique");
+        });
+        
+        it("should throw a SCIMError with status 409 when patched values are not unique", async () => {
+            await assert.rejects(() => new User("1").patch(message),
+                {name: "SCIMError", status: 409, scimType: "uniqueness", message: "Value 'GradyA' of attribute 'userName' is not unique"},
+                "Instance method 'patch' did not reject value that was not unique");
+            assert.ok(handlers.patcher.notCalled,
+                "Instance method 'patch' called patcher handler with value that was not unique");
+        });
+    });
+    
+    describe(".password()", () => {
+        const sandbox = sinon.createSandbox();
+        const handlers = {ingress: sandbox.stub(), egress: sandbox.stub(), patcher: sandbox.stub(), password: sandbox.stub()};
+        const message = (...Operations) => ({schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"], Operations});
+        const user = {id: "1", userName: "AdeleV", displayName: "Adele Vance"};
+        
+        beforeEach(() => {
+            handlers.ingress.callsFake((resource, instance) => ({...user, ...instance, id: resource.id ?? user.id}));
+            handlers.egress.callsFake((resource) => ({...user, id: resource.id}));
+            handlers.patcher.callsFake((resource) => ({...user, id: resource.id, nickName: "Adele"}));
+            User.ingress(handlers.ingress).egress(handlers.egress).patcher(handlers.patcher).password(handlers.password);
+        });
+        
+        afterEach(() => {
+            sandbox.reset();
+            User.patcher().password();
+            Config.set("changePassword", false);
+        });
+        
+        it("should be implemented", () => {
+            assert.ok(typeof User.password === "function",
+                "Static method 'password' was not implemented");
+        });
+        
+        it("should return the User resource class for chaining", () => {
+            assert.strictEqual(User.password(handlers.password), User,
+                "Static method 'password' did not return the User resource class for chaining");
+        });
+        
+        it("should be called with the new user and password when creating users", async () => {
+            const ctx = {};
+            
+            await new User().write({userName: "AdeleV", password: "t0p-s3cr3t"}, ctx);
+            
+            assert.ok(handlers.password.calledOnceWith(sinon.match.instanceOf(User).and(sinon.match.has("id", user.id)), "t0p-s3cr3t", ctx),
+                "Password handler was not called with the new user and password when creating user");
+        });
+        
+        it("should not pass the password to the ingress handler", async () => {
+            await new User().write({userName: "AdeleV", password: "t0p-s3cr3t"});
+            
+            assert.strictEqual(handlers.ingress.firstCall.args[1].password, undefined,
+                "Instance method 'write' passed password to ingress handler");
+        });
+        
+        it("should not be called when the user could not be written", async () => {
+            handlers.ingress.throws(() => new TypeError("Failing as requested"));
+            
+            await assert.rejects(() => new User().write({userName: "AdeleV", password: "t0p-s3cr3t"}),
+                {name: "SCIMError", status: 400, scimType: "invalidValue", message: "Failing as requested"});
+            assert.ok(handlers.password.notCalled,
+                "Password handler was called when user could not be written");
+        });
+        
+        it("should throw a SCIMError with status 400 when replacing passwords and password changes are not supported", async () => {
+            await assert.rejects(() => new User(user.id).write({userName: "AdeleV", password: "t0p-s3cr3t"}),
+                {name: "SCIMError", status: 400, scimType: "mutability",
+                    message: "Attribute 'password' can not be changed, as password changes are not supported"},
+                "Instance method 'write' did not reject password change when password changes were not supported");
+            assert.ok(handlers.ingress.notCalled && handlers.password.notCalled,
+                "Instance method 'write' called handlers when password changes were not supported");
+        });
+        
+        it("should be called with the existing user and password when replacing passwords", async () => {
+            Config.set("changePassword", true);
+            
+            const resource = new User(user.id);
+            await resource.write({userName: "AdeleV", password: "t0p-s3cr3t"});
+            
+            assert.ok(handlers.password.calledOnceWith(resource, "t0p-s3cr3t"),
+                "Password handler was not called with the existing user and password when replacing user");
+            assert.strictEqual(handlers.ingress.firstCall.args[1].password, undefined,
+                "Instance method 'write' passed password to ingress handler when replacing user");
+        });
+        
+        it("should pass the password to the ingress handler when no password handler is set", async () => {
+            User.password();
+            await new User().write({userName: "AdeleV", password: "t0p-s3cr3t"});
+            
+            assert.strictEqual(handlers.ingress.firstCall.args[1].password, "t0p-s3cr3t",
+                "Instance method 'write' did not pass password to ingress handler when no password handler was set");
+        });
+        
+        it("should pass the password to the ingress handler when replacing users and no password handler is set", async () => {
+            Config.set("changePassword", true);
+            User.password();
+            await new User(user.id).write({userName: "AdeleV", password: "t0p-s3cr3t"});
+            
+            assert.strictEqual(handlers.ingress.firstCall.args[1].password, "t0p-s3cr3t",
+                "Instance method 'write' did not pass password to ingress handler when replacing user");
+        });
+        
+        it("should pass the password to the ingress handler when patching users and no patcher or password handler is set", async () => {
+            Config.set("changePassword", true);
+            User.patcher().password();
+            await new User(user.id).patch(message({op: "replace", path: "password", value: "t0p-s3cr3t"}));
+            
+            assert.strictEqual(handlers.ingress.firstCall.args[1].password, "t0p-s3cr3t",
+                "Instance method 'patch' did not pass password to ingress handler when patching user");
+        });
+        
+        it("should never include the password in written users", async () => {
+            handlers.ingress.callsFake((resource, instance) => ({...user, ...instance, id: user.id, password: "t0p-s3cr3t"}));
+            User.password();
+            
+            assert.strictEqual((await new User().write({userName: "AdeleV", password: "t0p-s3cr3t"})).password, undefined,
+                "Instance method 'write' included password in written user");
+        });
+        
+        it("should throw a SCIMError with status 400 when patching passwords and password changes are not supported", async () => {
+            await assert.rejects(() => new User(user.id).patch(message({op: "replace", path: "password", value: "t0p-s3cr3t"})),
+                {name: "SCIMError", status: 400, scimType: "mutability",
+                    message: "Attribute 'password' can not be changed, as password changes are not supported"},
+                "Instance method 'patch' did not reject password change when password changes were not supported");
+            assert.ok(handlers.patcher.notCalled && handlers.password.notCalled,
+                "Instance method 'patch' called handlers when password changes were not supported");
+        });
+        
+        it("should be called with the existing user and password when patching passwords", async () => {
+            Config.set("changePassword", true);
+            
+            const resource = new User(user.id);
+            const actual = await resource.patch(message({op: "replace", path: "password", value: "t0p-s3cr3t"}));
+            
+            assert.ok(handlers.password.calledOnceWith(resource, "t0p-s3cr3t"),
+                "Password handler was not called with the existing user and password when patching user");
+            assert.ok(handlers.patcher.notCalled,
+                "Instance method 'patch' called patcher handler when only the password was patched");
+            assert.strictEqual(actual.id, user.id,
+                "Instance method 'patch' did not return the user when only the password was patched");
+        });
+        
+        it("should not pass patched passwords to the patcher handler", async () => {
+            Config.set("changePassword", true);
+            
+            await new User(user.id).patch(message(
+                {op: "replace", value: {password: "t0p-s3cr3t", nickName: "Adele"}},
+                {op: "add", path: "title", value: "Manager"}
+            ));
+            
+            const [, {Operations: actual}] = handlers.patcher.firstCall.args;
+            
+            assert.ok(handlers.password.calledOnceWith(sinon.match.instanceOf(User), "t0p-s3cr3t"),
+                "Password handler was not called with password patched amongst other attributes");
+            assert.deepStrictEqual(actual.map(({op, path, value}) => ({op, path, value})), [
+                {op: "replace", path: undefined, value: {nickName: "Adele"}},
+                {op: "add", path: "title", value: "Manager"}
+            ], "Instance method 'patch' passed patched password to patcher handler");
+        });
+        
+        it("should never include the password in patched users", async () => {
+            Config.set("changePassword", true);
+            handlers.egress.callsFake((resource) => ({...user, id: resource.id, password: "t0p-s3cr3t"}));
+            User.patcher().password();
+            
+            const actual = await new User(user.id).patch(message({op: "replace", value: {password: "t0p-s3cr3t", nickName: "Adele"}}));
+            
+            assert.strictEqual(actual.nickName, "Adele",
+                "Instance method 'patch' did not patch user");
+            assert.strictEqual(actual.password, undefined,
+                "Instance method 'patch' included password in patched user");
+        });
+    });
 });
\ No newline at end of file
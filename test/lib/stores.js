@@ -0,0 +1,9 @@
+import assert from "assert";
+import Stores from "#@/lib/stores.js";
+
+describe("SCIMMY.Stores", () => {
+    it("should include static class 'Memory'", () => {
+        assert.ok(!!Stores.Memory,
+            "Static class 'Memory' not defined");
+    });
+});
\ No newline at end of file
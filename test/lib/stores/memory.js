@@ -0,0 +1,310 @@
+import {promises as fs} from "fs";
+import path from "path";
+import url from "url";
+import assert from "assert";
+import Resources from "#@/lib/resources.js";
+import {Adapter} from "#@/lib/types/adapter.js";
+import {Attribute} from "#@/lib/types/attribute.js";
+import {Filter} from "#@/lib/types/filter.js";
+import {Memory} from "#@/lib/stores/memory.js";
+import {createSchemaClass} from "../../hooks/schemas.js";
+import {createResourceClass} from "../../hooks/resources.js";
+
+// Load data to use in tests from adjacent JSON file
+const basepath = path.relative(process.cwd(), path.dirname(url.fileURLToPath(import.meta.url)));
+const fixtures = fs.readFile(path.join(basepath, "./memory.json"), "utf8").then((f) => JSON.parse(f));
+// Resource types to attach the store to in tests
+const {User, Group} = Resources;
+
+describe("SCIMMY.Stores.Memory", () => {
+    // Fresh store bound to the User and Group resource types, and resources stored in it, before each test
+    let store, stored;
+    const populate = async () => {
+        const {users} = await fixtures;
+        
+        store = new Memory();
+        User.adapter(store);
+        Group.adapter(store);
+        stored = [];
+        for (let user of users) stored.push(await new User().write(user));
+    };
+    
+    it("should extend the Adapter type", () => {
+        assert.ok(new Memory() instanceof Adapter,
+            "Memory store did not extend the Adapter type");
+    });
+    
+    it("should not implement the optional 'applyPatch' method", () => {
+        assert.strictEqual(new Memory().applyPatch, Adapter.prototype.applyPatch,
+            "Memory store unexpectedly implemented the optional 'applyPatch' method");
+    });
+    
+    describe("#attach()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Memory()).attach === "function",
+                "Instance method 'attach' not implemented");
+        });
+        
+        it("should expect 'resource' argument to be a Resource type class", () => {
+            for (let value of [undefined, "a string", {}, User.schema, new User()]) {
+                assert.throws(() => new Memory().attach(value),
+                    {name: "TypeError", message: "Expected 'resource' parameter to be a Resource type class in 'attach' method of Memory store"},
+                    `Instance method 'attach' did not reject 'resource' parameter value '${value}'`);
+            }
+        });
+        
+        it("should bind the resource type to the store", async () => {
+            const store = new Memory().attach(User);
+            const {id} = await new User().write({userName: "DiegoS"});
+            
+            assert.strictEqual((await store.findById(User, id))?.userName, "DiegoS",
+                "Instance method 'attach' did not bind resource type to the store");
+        });
+        
+        it("should return the same store instance for chaining", () => {
+            const store = new Memory();
+            
+            assert.strictEqual(store.attach(User), store,
+                "Instance method 'attach' did not return the same store instance");
+        });
+    });
+    
+    describe("#find()", () => {
+        beforeEach(populate);
+        
+        it("should retrieve stored resources matching the filter", async () => {
+            const actual = await store.find(User, new Filter("userName sw \"a\""), {});
+            
+            assert.deepStrictEqual(actual.map(u => u.userName), ["AdeleV", "AlexW"],
+                "Instance method 'find' did not retrieve stored resources matching filter");
+        });
+        
+        it("should sort and paginate matching resources according to constraints", async () => {
+            const actual = await store.find(User, undefined, {sortBy: "userName", sortOrder: "descending", startIndex: 2, count: 2});
+            
+            assert.deepStrictEqual(actual.map(u => u.userName), ["GradyA", "AlexW"],
+                "Instance method 'find' did not sort and paginate matching resources");
+        });
+        
+        it("should not retrieve stored resources of other resource types", async () => {
+            assert.deepStrictEqual(await store.find(Group, undefined, {}), [],
+                "Instance method 'find' retrieved stored resources of another resource type");
+        });
+    });
+    
+    describe("#count()", () => {
+        beforeEach(populate);
+        
+        it("should count all stored resources matching the filter", async () => {
+            assert.strictEqual(await store.count(User), 4,
+                "Instance method 'count' did not count all stored resources");
+            assert.strictEqual(await store.count(User, new Filter("userName sw \"a\"")), 2,
+                "Instance method 'count' did not count stored resources matching filter");
+            assert.strictEqual(await store.count(Group), 0,
+                "Instance method 'count' counted stored resources of another resource type");
+        });
+    });
+    
+    describe("(ingress)", () => {
+        beforeEach(populate);
+        
+        it("should generate an ID for new resources", async () => {
+            const {id} = await new User().write({userName: "DiegoS"});
+            
+            assert.ok(typeof id === "string" && !!id,
+                "Memory store did not generate an ID for new resource");
+            assert.strictEqual((await new User(id).read()).userName, "DiegoS",
+                "Memory store did not store new resource with generated ID");
+        });
+        
+        it("should stamp 'meta.created' and 'meta.lastModified' values of new resources", async () => {
+            const {meta: {created, lastModified}} = await new User().write({userName: "DiegoS"});
+            
+            assert.ok(typeof created === "string" && !Number.isNaN(Date.parse(created)),
+                "Memory store did not stamp 'meta.created' value of new resource");
+            assert.strictEqual(lastModified, created,
+                "Memory store did not stamp 'meta.lastModified' value of new resource");
+        });
+        
+        it("should keep 'meta.created' and update 'meta.lastModified' values of replaced resources", async () => {
+            const {id, meta: {created}} = await new User().write({userName: "DiegoS"});
+            
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            
+            const {meta: actual} = await new User(id).write({userName: "DiegoS", displayName: "Diego Siciliani"});
+            
+            assert.strictEqual(actual.created, created,
+                "Memory store did not keep 'meta.created' value of replaced resource");
+            assert.ok(Date.parse(actual.lastModified) > Date.parse(created),
+                "Memory store did not update 'meta.lastModified' value of replaced resource");
+        });
+        
+        it("should replace all values of existing resources", async () => {
+            const [{id}] = stored;
+            const actual = await new User(id).write({userName: "AdeleV", nickName: "Adele"});
+            
+            assert.strictEqual(actual.nickName, "Adele",
+                "Memory store did not store new values of replaced resource");
+            assert.strictEqual(actual.displayName, undefined,
+                "Memory store did not remove missing values of replaced resource");
+        });
+        
+        it("should throw a SCIMError with status 404 when replacing resources that don't exist", async () => {
+            await assert.rejects(() => new User("nonexistent").write({userName: "DiegoS"}),
+                {name: "SCIMError", status: 404, scimType: null, message: "Resource nonexistent not found"},
+                "Memory store did not reject replacing a resource that does not exist");
+        });
+        
+        it("should throw a SCIMError with status 409 when 'server' unique attribute values are not unique", async () => {
+            await assert.rejects(() => new User().write({userName: "AdeleV"}),
+                {name: "SCIMError", status: 409, scimType: "uniqueness", message: "Value 'AdeleV' of attribute 'userName' is not unique"},
+                "Memory store did not reject new resource with non-unique attribute value");
+        });
+        
+        it("should compare 'server' unique attribute values case-insensitively when attributes are not case-exact", async () => {
+            await assert.rejects(() => new User().write({userName: "adelev"}),
+                {name: "SCIMError", status: 409, scimType: "uniqueness", message: "Value 'adelev' of attribute 'userName' is not unique"},
+                "Memory store did not reject new resource with differently cased non-unique attribute value");
+        });
+        
+        it("should throw a SCIMError with status 409 when 'server' unique sub-attribute values are not unique", async () => {
+            // Resource type whose schema has a unique sub-attribute of a multi-valued complex attribute
+            class TestResource extends createResourceClass() {
+                static schema = createSchemaClass({attributes: [
+                    new Attribute("string", "userName"),
+                    new Attribute("complex", "emails", {multiValued: true}, [new Attribute("string", "value", {uniqueness: "server"})])
+                ]});
+            }
+            
+            await store.insert(TestResource, new TestResource.schema({userName: "AdeleV", emails: [{value: "adelev@example.com"}]}, "in"));
+            
+            await assert.rejects(() => store.insert(TestResource, new TestResource.schema({userName: "GradyA", emails: [{value: "gradya@example.com"}, {value: "AdeleV@example.com"}]}, "in")),
+                {name: "SCIMError", status: 409, scimType: "uniqueness", message: "Value 'AdeleV@example.com' of attribute 'emails.value' is not unique"},
+                "Memory store did not reject new resource with non-unique sub-attribute value");
+        });
+        
+        it("should not store values of writeOnly attributes such as passwords", async () => {
+            const {id} = await new User().write({userName: "DiegoS", password: "Secret123"});
+            
+            assert.strictEqual((await store.findById(User, id)).password, undefined,
+                "Memory store stored value of writeOnly attribute 'password'");
+        });
+        
+        it("should not compare 'server' unique attribute values of replaced resources with themselves", async () => {
+            const [{id}] = stored;
+            
+            await assert.doesNotReject(() => new User(id).write({userName: "AdeleV", displayName: "Adele V."}),
+                "Memory store rejected replaced resource with its own attribute value");
+        });
+    });
+    
+    describe("(egress)", () => {
+        beforeEach(populate);
+        
+        it("should retrieve specific stored resources by ID", async () => {
+            const [, {id}] = stored;
+            const actual = await new User(id).read();
+            
+            assert.strictEqual(actual.id, id,
+                "Memory store did not retrieve specific resource by ID");
+            assert.strictEqual(actual.userName, "GradyA",
+                "Memory store did not retrieve values of specific resource");
+        });
+        
+        it("should throw a SCIMError with status 404 when retrieving resources that don't exist", async () => {
+            await assert.rejects(() => new User("nonexistent").read(),
+                {name: "SCIMError", status: 404, scimType: null, message: "Resource nonexistent not found"},
+                "Memory store did not reject retrieving a resource that does not exist");
+        });
+        
+        it("should retrieve all stored resources of the resource type", async () => {
+            const {users} = await fixtures;
+            const {Resources: actual, totalResults} = await new User().read();
+            
+            assert.strictEqual(totalResults, users.length,
+                "Memory store did not retrieve all stored resources");
+            assert.deepStrictEqual(actual.map(u => u.userName), users.map(u => u.userName),
+                "Memory store did not retrieve stored resources in insertion order");
+            assert.strictEqual((await new Group().read()).totalResults, 0,
+                "Memory store retrieved resources of another resource type");
+        });
+        
+        it("should only retrieve stored resources that match the filter", async () => {
+            const {Resources: actual} = await new User({filter: "userName sw \"a\""}).read();
+            
+            assert.deepStrictEqual(actual.map(u => u.userName), ["AdeleV", "AlexW"],
+                "Memory store did not retrieve stored resources matching filter");
+        });
+        
+        it("should have stored resources sorted and paginated according to resource constraints", async () => {
+            const {Resources: actual, totalResults} = await new User({sortBy: "userName", startIndex: 2, count: 2}).read();
+            
+            assert.strictEqual(totalResults, 4,
+                "Memory store did not retrieve all stored resources for pagination");
+            assert.deepStrictEqual(actual.map(u => u.userName), ["AlexW", "GradyA"],
+                "Memory store did not retrieve stored resources that could be sorted and paginated");
+        });
+        
+        it("should not allow stored resources to be modified outside the store", async () => {
+            const [{id}] = stored;
+            const resource = await new User(id).read();
+            
+            resource.displayName = "Somebody Else";
+            
+            assert.strictEqual((await new User(id).read()).displayName, "Adele Vance",
+                "Memory store allowed stored resource to be modified outside the store");
+        });
+    });
+    
+    describe("(patch)", () => {
+        beforeEach(populate);
+        
+        it("should apply PatchOp operations to stored resources", async () => {
+            const [{id}] = stored;
+            const message = {schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"], Operations: [{op: "replace", path: "displayName", value: "Adele V."}]};
+            
+            await new User(id).patch(message);
+            
+            assert.strictEqual((await new User(id).read()).displayName, "Adele V.",
+                "Memory store did not store result of PatchOp operations");
+        });
+        
+        it("should keep values of never-returned attributes when patched resources are written back", async () => {
+            // Resource type whose schema has an attribute that is never returned, but is still stored
+            class TestResource extends createResourceClass() {
+                static schema = createSchemaClass({attributes: [
+                    new Attribute("string", "userName"),
+                    new Attribute("string", "displayName"),
+                    new Attribute("string", "pin", {returned: false})
+                ]});
+            }
+            
+            const {id} = await store.insert(TestResource, new TestResource.schema({userName: "AdeleV", pin: "1234"}, "in"));
+            
+            await store.replace(TestResource, id, new TestResource.schema({userName: "AdeleV", displayName: "Adele V."}, "in"));
+            
+            assert.strictEqual((await store.findById(TestResource, id)).pin, "1234",
+                "Memory store did not keep value of never-returned attribute of replaced resource");
+        });
+    });
+    
+    describe("(degress)", () => {
+        beforeEach(populate);
+        
+        it("should delete stored resources", async () => {
+            const [{id}] = stored;
+            
+            await new User(id).dispose();
+            
+            await assert.rejects(() => new User(id).read(),
+                {name: "SCIMError", status: 404, scimType: null},
+                "Memory store did not delete stored resource");
+        });
+        
+        it("should throw a SCIMError with status 404 when deleting resources that don't exist", async () => {
+            await assert.rejects(() => new User("nonexistent").dispose(),
+                {name: "SCIMError", status: 404, scimType: null, message: "Resource nonexistent not found"},
+                "Memory store did not reject deleting a resource that does not exist");
+        });
+    });
+});
\ No newline at end of file
@@ -2,6 +2,11 @@ import assert from "assert";
 import SCIMMY from "#@/scimmy.js";
 
 describe("SCIMMY.Types", () => {
+    it("should include static class 'Adapter'", () => {
+        assert.ok(!!SCIMMY.Types.Adapter,
+            "Static class 'Adapter' not defined");
+    });
+    
     it("should include static class 'Attribute'", () => {
         assert.ok(!!SCIMMY.Types.Attribute,
             "Static class 'Attribute' not defined");
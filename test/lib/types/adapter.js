@@ -0,0 +1,19 @@
+import assert from "assert";
+import {Adapter} from "#@/lib/types/adapter.js";
+
+describe("SCIMMY.Types.Adapter", () => {
+    for (let method of ["find", "findById", "insert", "replace", "applyPatch", "delete", "count"]) {
+        describe(`#${method}()`, () => {
+            it("should be defined", () => {
+                assert.ok(typeof (new Adapter())[method] === "function",
+                    `Instance method '${method}' was not defined`);
+            });
+            
+            it("should be abstract", async () => {
+                await assert.rejects(() => new Adapter()[method](),
+                    {name: "TypeError", message: `Method '${method}' not implemented by adapter 'Adapter'`},
+                    `Instance method '${method}' was not abstract`);
+            });
+        });
+    }
+});
\ No newline at end of file
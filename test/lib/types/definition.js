@@ -575,7 +575,7 @@ describe("SCIMMY.Types.SchemaDefinition", () => {
             const attributes = [new Attribute("string", "testName"), new Attribute("string", "testValue"), new Attribute("string", "employeeNumber"), new Attribute("string", "costCenter")];
             const definition = new SchemaDefinition(...Object.values(params), "Test Schema", attributes);
             const actual = definition.coerce(source, undefined, undefined, new Filter("employeeNumber np and testName np and testName pr"));
-            const expected = {testName: "a string"};
+            const expected = {schemas: [params.id], testName: "a string"};
             
             assert.deepStrictEqual({...actual}, expected,
                 "Instance method 'coerce' did not prefer positive filters over negative filters");
@@ -626,5 +626,43 @@ describe("SCIMMY.Types.SchemaDefinition", () => {
             assert.deepStrictEqual({...definition.coerce(source, undefined, undefined, new Filter(filter))}, expected,
                 `Instance method 'coerce' ${unexpected} ${target} not specified for filter`);
         });
+        
+        for (let [target, outcome, unexpected, expected, filter] of [
+            ["attributes returned on request", "excluded when no filter was specified", "unexpectedly included", {employeeNumber: "Test", costCenter: "Test", [extensionId]: {employeeNumber: "1234"}}],
+            ["attributes returned on request", "excluded when not specified in negative filter", "unexpectedly included", {employeeNumber: "Test", [extensionId]: {employeeNumber: "1234"}}, "costCenter np"],
+            ["attributes returned on request", "included when specified in positive filter", "unexpectedly excluded", {employeeNumber: "Test", division: "Test", [extensionId]: {employeeNumber: "1234"}}, "division pr"],
+            ["namespaced attributes returned on request", "included when specified in positive filter", "unexpectedly excluded", {employeeNumber: "Test", [extensionId]: {employeeNumber: "1234", division: "Test"}}, `${extensionId}:division pr`],
+            ["attributes always returned", "included when specified in negative filter", "unexpectedly excluded", {employeeNumber: "Test", costCenter: "Test", [extensionId]: {employeeNumber: "1234"}}, `employeeNumber np and ${extensionId}:employeeNumber np`],
+            ["namespaced attributes always returned", "included when extension namespace specified in negative filter", "unexpectedly excluded", {employeeNumber: "Test", costCenter: "Test", [extensionId]: {employeeNumber: "1234"}}, `${extensionId} np`],
+            ["namespaced attributes always returned", "included when not specified in positive filter", "unexpectedly excluded", {employeeNumber: "Test", costCenter: "Test", [extensionId]: {employeeNumber: "1234"}}, "costCenter pr"]
+        ]) it(`should expect ${target} to be ${outcome}`, () => {
+            const source = {employeeNumber: "Test", costCenter: "Test", division: "Test", [`${extensionId}:employeeNumber`]: "1234", [`${extensionId}:division`]: "Test"};
+            const attributes = () => [
+                new Attribute("string", "employeeNumber", {returned: "always"}),
+                new Attribute("string", "costCenter"),
+                new Attribute("string", "division", {returned: "request"})
+            ];
+            const definition = new SchemaDefinition(...Object.values(params), "Test Schema", attributes()).truncate(["schemas", "id", "meta"])
+                .extend(new SchemaDefinition("Extension", extensionId, "An Extension", attributes()));
+            
+            assert.deepStrictEqual({...definition.coerce(source, "out", undefined, ...(filter ? [new Filter(filter)] : []))}, expected,
+                `Instance method 'coerce' ${unexpected} ${target}`);
+        });
+        
+        for (let [outcome, unexpected, expected, filter] of [
+            ["excluded when no filter was specified", "unexpectedly included", {name: {formatted: "Test"}, emails: [{value: "test@example.com"}]}],
+            ["excluded when not specified in negative filter", "unexpectedly included", {name: {formatted: "Test"}}, "emails np"],
+            ["included when specified in positive filter", "unexpectedly excluded", {name: {nickname: "Tester"}, emails: [{label: "Work"}]}, "name.nickname pr and emails.label pr"]
+        ]) it(`should expect sub-attributes returned on request to be ${outcome}`, () => {
+            const source = {name: {formatted: "Test", nickname: "Tester"}, emails: [{value: "test@example.com", label: "Work"}]};
+            const attributes = [
+                new Attribute("complex", "name", {}, [new Attribute("string", "formatted"), new Attribute("string", "nickname", {returned: "request"})]),
+                new Attribute("complex", "emails", {multiValued: true}, [new Attribute("string", "value"), new Attribute("string", "label", {returned: "request"})])
+            ];
+            const definition = new SchemaDefinition(...Object.values(params), "Test Schema", attributes).truncate(["schemas", "id", "meta"]);
+            
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(definition.coerce(source, "out", undefined, ...(filter ? [new Filter(filter)] : [])))), expected,
+                `Instance method 'coerce' ${unexpected} sub-attributes returned on request`);
+        });
     });
 });
\ No newline at end of file
@@ -2,11 +2,25 @@ import {promises as fs} from "fs";
 import path from "path";
 import url from "url";
 import assert from "assert";
+import sinon from "sinon";
 import {Filter} from "#@/lib/types/filter.js";
+import {Attribute} from "#@/lib/types/attribute.js";
+import {SchemaDefinition} from "#@/lib/types/definition.js";
 
 // Load data to use in tests from adjacent JSON file
 const basepath = path.relative(process.cwd(), path.dirname(url.fileURLToPath(import.meta.url)));
 const fixtures = fs.readFile(path.join(basepath, "./filter.json"), "utf8").then((f) => JSON.parse(f));
+// Schema definition with attributes of various types and case sensitivity to compile filters against
+const definition = new SchemaDefinition("Test", "urn:ietf:params:scim:schemas:Test", "", [
+    new Attribute("string", "userName"), new Attribute("string", "code", {caseExact: true}),
+    new Attribute("boolean", "active"), new Attribute("integer", "number"), new Attribute("dateTime", "date"),
+    new Attribute("complex", "name", {}, [new Attribute("string", "formatted"), new Attribute("string", "familyName")]),
+    new Attribute("complex", "emails", {multiValued: true}, [new Attribute("string", "type"), new Attribute("string", "value"), new Attribute("boolean", "primary")]),
+    new Attribute("string", "tags", {multiValued: true, caseExact: true}),
+    new Attribute("binary", "photo"), new Attribute("reference", "profile", {referenceTypes: ["external"]})
+]).extend(new SchemaDefinition("Extension", "urn:ietf:params:scim:schemas:extension:Test", "", [
+    new Attribute("string", "employeeNumber"), new Attribute("complex", "manager", {}, [new Attribute("string", "value")])
+]));
 
 describe("SCIMMY.Types.Filter", () => {
     it("should extend native 'Array' class", () => {
@@ -14,6 +28,194 @@ describe("SCIMMY.Types.Filter", () => {
             "Filter type class did not extend native 'Array' class");
     });
     
+    describe(".walk()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof Filter.walk === "function",
+                "Static method 'walk' not implemented");
+        });
+        
+        it("should expect 'visitor' argument to be an object", () => {
+            assert.throws(() => Filter.walk({type: "ComparisonExpression", attribute: "id", comparator: "pr"}),
+                {name: "TypeError", message: "Expected 'visitor' parameter to be an object in 'walk' method of Filter"},
+                "Static method 'walk' did not expect 'visitor' argument to be an object");
+        });
+        
+        it("should expect 'node' argument to be a valid filter AST node", () => {
+            const nodes = [
+                [{type: "Unknown"}, "Unexpected filter AST node type 'Unknown' in 'walk' method of Filter"],
+                [{type: "LogicalExpression", operator: "xor", expressions: []}, "Expected 'operator' property of LogicalExpression node to be 'and' or 'or' in 'walk' method of Filter"],
+                [{type: "LogicalExpression", operator: "and", expressions: []}, "Expected 'expressions' property of LogicalExpression node to be a non-empty array in 'walk' method of Filter"],
+                [{type: "ValuePathExpression", expression: {}}, "Expected 'attribute' property of ValuePathExpression node to be a non-empty string in 'walk' method of Filter"],
+                [{type: "ComparisonExpression", attribute: "id", comparator: "is"}, `Expected 'comparator' property of ComparisonExpression node to be one of 'eq', 'ne', 'co', 'sw', 'ew', 'gt', 'lt', 'ge', 'le', 'pr', 'np' in 'walk' method of Filter`]
+            ];
+            
+            for (let [node, message] of nodes) {
+                assert.throws(() => Filter.walk(node, {}), {name: "TypeError", message},
+                    `Static method 'walk' did not reject invalid node ${JSON.stringify(node)}`);
+            }
+        });
+        
+        it("should call visitor handler methods with visited node and a function to visit children", () => {
+            const node = {type: "NotExpression", expression: {type: "ComparisonExpression", attribute: "id", comparator: "pr"}};
+            const result = Filter.walk(node, {
+                NotExpression: (n, visit) => (assert.strictEqual(n, node, "Static method 'walk' did not call handler with visited node"), `not ${visit(n.expression)}`),
+                ComparisonExpression: ({attribute, comparator}) => `${attribute} ${comparator}`
+            });
+            
+            assert.strictEqual(result, "not id pr",
+                "Static method 'walk' did not return value of visitor handler method");
+        });
+        
+        it("should visit children of nodes without visitor handler methods", () => {
+            const node = {type: "LogicalExpression", operator: "and", expressions: [
+                {type: "ComparisonExpression", attribute: "id", comparator: "pr"},
+                {type: "NotExpression", expression: {type: "ComparisonExpression", attribute: "userName", comparator: "np"}}
+            ]};
+            
+            assert.deepStrictEqual(Filter.walk(node, {ComparisonExpression: ({attribute}) => attribute}), ["id", ["userName"]],
+                "Static method 'walk' did not visit children of nodes without visitor handler methods");
+        });
+    });
+    
+    describe(".fromAST()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof Filter.fromAST === "function",
+                "Static method 'fromAST' not implemented");
+        });
+        
+        it("should expect 'node' argument to be a valid filter AST node", () => {
+            assert.throws(() => Filter.fromAST(),
+                {name: "TypeError", message: "Expected filter AST node to be an object in 'fromAST' method of Filter"},
+                "Static method 'fromAST' did not expect 'node' argument to be defined");
+            assert.throws(() => Filter.fromAST({type: "LogicalExpression", operator: "or", expressions: [{type: "Unknown"}]}),
+                {name: "TypeError", message: "Unexpected filter AST node type 'Unknown' in 'fromAST' method of Filter"},
+                "Static method 'fromAST' did not reject invalid nested node");
+        });
+        
+        it("should return a Filter instance", () => {
+            assert.ok(Filter.fromAST({type: "ComparisonExpression", attribute: "id", comparator: "pr"}) instanceof Filter,
+                "Static method 'fromAST' did not return a Filter instance");
+        });
+        
+        it("should build filters from abstract syntax trees", async () => {
+            const {ast: {fromAST: suite}} = await fixtures;
+            
+            for (let fixture of suite) {
+                assert.deepStrictEqual([...Filter.fromAST(fixture.source)], fixture.target,
+                    `Static method 'fromAST' produced unexpected filter for fixture #${suite.indexOf(fixture) + 1}`);
+            }
+        });
+        
+        it("should build filters equivalent to the filter an abstract syntax tree was generated from", async () => {
+            const {ast: {toAST: suite}} = await fixtures;
+            
+            for (let fixture of suite) {
+                const filter = new Filter(fixture.source);
+                
+                assert.deepStrictEqual([...Filter.fromAST(filter.toAST())], [...filter],
+                    `Static method 'fromAST' did not round-trip filter expression '${fixture.source}'`);
+            }
+        });
+        
+        it("should represent the structure of abstract syntax trees in the 'expression' property", () => {
+            const node = {type: "LogicalExpression", operator: "and", expressions: [
+                {type: "ComparisonExpression", attribute: "userName", comparator: "sw", value: "A"},
+                {type: "LogicalExpression", operator: "or", expressions: [
+                    {type: "ValuePathExpression", attribute: "emails", expression: {type: "LogicalExpression", operator: "and", expressions: [
+                        {type: "ComparisonExpression", attribute: "type", comparator: "eq", value: "work"},
+                        {type: "ComparisonExpression", attribute: "primary", comparator: "eq", value: true}
+                    ]}},
+                    {type: "NotExpression", expression: {type: "ComparisonExpression", attribute: "name.familyName", comparator: "pr"}}
+                ]}
+            ]};
+            
+            assert.strictEqual(Filter.fromAST(node).expression, 'userName sw "A" and (emails[type eq "work" and primary eq true] or not name.familyName pr)',
+                "Static method 'fromAST' did not represent the structure of the abstract syntax tree in the 'expression' property");
+            assert.deepStrictEqual(Filter.fromAST(node).toAST(), node,
+                "Static method 'fromAST' did not preserve the abstract syntax tree the filter was built from");
+        });
+    });
+    
+    describe(".where()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof Filter.where === "function",
+                "Static method 'where' not implemented");
+        });
+        
+        it("should expect 'attribute' argument to be a valid attribute name or path", () => {
+            for (let attribute of [undefined, "", 1, "userName pr or id", 'userName eq "x"']) {
+                assert.throws(() => Filter.where(attribute),
+                    {name: "TypeError", message: "Expected 'attribute' parameter to be a valid attribute name or path in 'where' method of Filter"},
+                    `Static method 'where' did not reject invalid 'attribute' argument ${JSON.stringify(attribute)}`);
+            }
+        });
+        
+        it("should return methods for each comparator that return Filter instances", () => {
+            const condition = Filter.where("userName");
+            
+            for (let comparator of ["eq", "ne", "co", "sw", "ew", "gt", "lt", "ge", "le"]) {
+                assert.ok(condition[comparator]("Test") instanceof Filter,
+                    `Static method 'where' did not return method for '${comparator}' comparator that returns a Filter instance`);
+                assert.deepStrictEqual([...condition[comparator]("Test")], [{userName: [comparator, "Test"]}],
+                    `Static method 'where' returned method for '${comparator}' comparator that produced unexpected filter`);
+            }
+            
+            for (let comparator of ["pr", "np"]) {
+                assert.deepStrictEqual([...condition[comparator]()], [{userName: [comparator]}],
+                    `Static method 'where' returned method for '${comparator}' comparator that produced unexpected filter`);
+            }
+        });
+        
+        it("should expect comparison values to be representable in filter expressions", () => {
+            for (let value of [undefined, {}, [], NaN, Infinity, new Date("invalid"), () => {}]) {
+                assert.throws(() => Filter.where("userName").eq(value),
+                    {name: "TypeError", message: "Expected 'value' parameter to be a string, number, boolean, Date, or null in 'eq' method of Filter condition"},
+                    "Static method 'where' returned method for 'eq' comparator that did not reject invalid 'value' argument");
+            }
+            
+            assert.throws(() => Filter.where("userName").pr("Test"),
+                {name: "TypeError", message: "Unexpected 'value' parameter in 'pr' method of Filter condition"},
+                "Static method 'where' returned method for 'pr' comparator that did not reject unexpected 'value' argument");
+        });
+        
+        it("should escape quotes and backslashes in string values", () => {
+            const filter = Filter.where("userName").eq('Test "User" \\ Name');
+            
+            assert.strictEqual(filter.expression, 'userName eq "Test \\"User\\" \\\\ Name"',
+                "Static method 'where' did not escape quotes and backslashes in string value");
+            assert.deepStrictEqual([...new Filter(filter.expression)], [...filter],
+                "Static method 'where' produced expression that did not parse to the same filter");
+        });
+        
+        it("should represent numbers, booleans, nulls, and dates in filter expressions", () => {
+            const date = new Date();
+            
+            assert.strictEqual(Filter.where("quota").gt(1.5).expression, "quota gt 1.5",
+                "Static method 'where' did not represent number value in filter expression");
+            assert.strictEqual(Filter.where("active").eq(false).expression, "active eq false",
+                "Static method 'where' did not represent boolean value in filter expression");
+            assert.strictEqual(Filter.where("userType").eq(null).expression, "userType eq null",
+                "Static method 'where' did not represent null value in filter expression");
+            assert.strictEqual(Filter.where("meta.lastModified").ge(date).expression, `meta.lastModified ge "${date.toISOString()}"`,
+                "Static method 'where' did not represent date value in filter expression");
+        });
+        
+        it("should build complex attribute filters with the 'has' method", () => {
+            const expected = [{emails: {type: ["eq", "work"], value: ["co", "@example.com"]}}];
+            const filter = Filter.where("emails").has((f) => f.where("type").eq("work").and(f.where("value").co("@example.com")));
+            
+            assert.deepStrictEqual([...filter], expected,
+                "Static method 'where' returned 'has' method that did not accept function returning a filter");
+            assert.deepStrictEqual([...Filter.where("emails").has(Filter.where("type").eq("work").and(Filter.where("value").co("@example.com")))], expected,
+                "Static method 'where' returned 'has' method that did not accept Filter instance");
+            assert.strictEqual(filter.expression, 'emails[type eq "work" and value co "@example.com"]',
+                "Static method 'where' returned 'has' method that did not represent complex attribute filter in filter expression");
+            assert.throws(() => Filter.where("emails").has(() => "type pr"),
+                {name: "TypeError", message: "Expected 'expression' parameter to be a Filter instance, or a function that returns one, in 'has' method of Filter condition"},
+                "Static method 'where' returned 'has' method that did not reject invalid 'expression' argument");
+        });
+    });
+    
     describe("@constructor", () => {
         it("should require 'expression' argument to be defined", () => {
             assert.throws(() => new Filter(),
@@ -46,29 +248,53 @@ describe("SCIMMY.Types.Filter", () => {
             
             it("should be a well formed SCIM filter string expression", () => {
                 assert.throws(() => new Filter("id -pr"),
-                    {name: "SCIMError", status: 400, scimType: "invalidFilter", message: "Unexpected token '-pr' in filter"},
+                    {name: "SCIMError", status: 400, scimType: "invalidFilter",
+                        message: "Unexpected token '-pr' at offset 3 in filter, expected comparator after attribute path 'id'"},
                     "Filter type class did not reject 'expression' parameter value 'id -pr' that was not well formed");
             });
             
             it("should expect all grouping operators to be opened and closed", () => {
                 assert.throws(() => new Filter("[id pr"),
                     {name: "SCIMError", status: 400, scimType: "invalidFilter",
-                        message: "Missing closing ']' token in filter '[id pr'"},
+                        message: "Unexpected token '[' at offset 0 in filter, expected attribute path, 'not' operator, or opening '('"},
+                    "Filter type class did not reject 'expression' parameter with unmatched opening '[' bracket");
+                assert.throws(() => new Filter("emails[id pr"),
+                    {name: "SCIMError", status: 400, scimType: "invalidFilter",
+                        message: "Missing closing ']' token for '[' at offset 6 in filter"},
                     "Filter type class did not reject 'expression' parameter with unmatched opening '[' bracket");
                 assert.throws(() => new Filter("id pr]"),
                     {name: "SCIMError", status: 400, scimType: "invalidFilter",
-                        message: "Unexpected token ']' in filter"},
+                        message: "Unexpected token ']' at offset 5 in filter, with no matching opening '['"},
                     `Filter type class did not reject 'expression' parameter with unmatched closing ']' bracket`);
                 assert.throws(() => new Filter("(id pr"),
                     {name: "SCIMError", status: 400, scimType: "invalidFilter",
-                        message: "Missing closing ')' token in filter '(id pr'"},
+                        message: "Missing closing ')' token for '(' at offset 0 in filter"},
                     "Filter type class did not reject 'expression' parameter with unmatched opening '(' bracket");
                 assert.throws(() => new Filter("id pr)"),
-                    {name: "SCIMError", status: 400, scimType: "invalidFilter", 
-                        message: "Unexpected token ')' in filter"},
+                    {name: "SCIMError", status: 400, scimType: "invalidFilter",
+                        message: "Unexpected token ')' at offset 5 in filter, with no matching opening '('"},
                     `Filter type class did not reject 'expression' parameter with unmatched closing ')' bracket`);
             });
             
+            it("should describe where and why malformed expressions could not be parsed", async function () {
+                const {parse: {invalid: suite}} = await fixtures;
+                
+                if (!suite.length) this.skip();
+                else for (let fixture of suite) {
+                    assert.throws(() => new Filter(fixture.source),
+                        {name: "SCIMError", status: 400, scimType: "invalidFilter", message: fixture.message},
+                        `Filter type class did not describe why expression '${fixture.source}' was malformed`);
+                }
+            });
+            
+            it("should unescape quotes and backslashes in string values", () => {
+                assert.deepStrictEqual([...new Filter('userName eq "Test \\"User\\" \\\\ Name"')], [{userName: ["eq", 'Test "User" \\ Name']}],
+                    "Filter type class did not unescape quotes and backslashes in string values");
+                assert.deepStrictEqual([...new Filter('emails[value eq "a]b" and type eq "(c)"] or name.formatted eq ")"')], [
+                    {emails: {value: ["eq", "a]b"], type: ["eq", "(c)"]}}, {name: {formatted: ["eq", ")"]}}
+                ], "Filter type class did not ignore grouping characters in string values");
+            });
+            
             it("should parse simple expressions without logical or grouping operators", async function () {
                 const {parse: {simple: suite}} = await fixtures;
                 
@@ -267,6 +493,11 @@ describe("SCIMMY.Types.Filter", () => {
                     "Instance member 'expression' was not a string");
             });
             
+            it("should escape quotes and backslashes in string values", () => {
+                assert.strictEqual(new Filter({userName: ["eq", 'Test "User" \\ Name']}).expression, 'userName eq "Test \\"User\\" \\\\ Name"',
+                    "Instance member 'expression' did not escape quotes and backslashes in string values");
+            });
+            
             it("should stringify Date instances", () => {
                 const date = new Date();
                 
@@ -341,5 +572,389 @@ describe("SCIMMY.Types.Filter", () => {
                 }
             });
         }
+        
+        it("should expect 'definition' argument to be an instance of SchemaDefinition", () => {
+            assert.throws(() => new Filter("id pr").match([], {}),
+                {name: "TypeError", message: "Expected 'definition' parameter to be an instance of SchemaDefinition in 'match' method of Filter"},
+                "Instance method 'match' did not reject 'definition' argument that was not a SchemaDefinition instance");
+        });
+        
+        it("should throw when ordering comparators are used with boolean or binary attributes in 'definition' argument", async () => {
+            const {match: {schema: {source}}} = await fixtures;
+            
+            for (let [attribute, type] of [["active", "boolean"], ["photo", "binary"]]) {
+                assert.throws(() => new Filter(`${attribute} gt "a"`).match(source, definition),
+                    {name: "SCIMError", status: 400, scimType: "invalidFilter", message: `Comparator 'gt' is not supported for ${type} attribute '${attribute}' in filter`},
+                    `Instance method 'match' did not throw when 'gt' comparator was used with ${type} attribute`);
+            }
+        });
+        
+        const schemaTargets = [
+            ["cases", "compare string values according to the 'caseExact' characteristic of attributes in 'definition' argument"],
+            ["types", "compare values according to the type of attributes in 'definition' argument"],
+            ["namespaced", "match namespaced attributes of schema extensions in 'definition' argument"]
+        ];
+        
+        for (let [key, label] of schemaTargets) {
+            it(`should ${label}`, async function () {
+                const {match: {schema: {source, targets: {[key]: suite}}}} = await fixtures;
+                
+                if (!suite.length) this.skip();
+                else for (let fixture of suite) {
+                    assert.deepStrictEqual(new Filter(fixture.expression).match(source, definition).map((v) => v.id), fixture.expected,
+                        `Unexpected matches in '${key}' fixture #${suite.indexOf(fixture) + 1}\r\n[expression]: ${fixture.expression}`);
+                }
+            });
+        }
+    });
+    
+    describe("#compile()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).compile === "function",
+                "Instance method 'compile' not implemented");
+        });
+        
+        it("should expect 'definition' argument to be an instance of SchemaDefinition", () => {
+            assert.throws(() => new Filter("id pr").compile({}),
+                {name: "TypeError", message: "Expected 'definition' parameter to be an instance of SchemaDefinition in 'compile' method of Filter"},
+                "Instance method 'compile' did not reject 'definition' argument that was not a SchemaDefinition instance");
+        });
+        
+        it("should return a predicate function", () => {
+            const predicate = new Filter("userName sw \"A\"").compile();
+            
+            assert.ok(typeof predicate === "function",
+                "Instance method 'compile' did not return a function");
+            assert.deepStrictEqual([predicate({userName: "AdeleV"}), predicate({userName: "GradyA"})], [true, false],
+                "Instance method 'compile' returned predicate that did not evaluate values against the filter");
+        });
+        
+        it("should only compile the filter once for each schema definition", () => {
+            const filter = new Filter("userName sw \"A\"");
+            
+            assert.strictEqual(filter.compile(), filter.compile(),
+                "Instance method 'compile' did not reuse predicate compiled without a schema definition");
+            assert.strictEqual(filter.compile(definition), filter.compile(definition),
+                "Instance method 'compile' did not reuse predicate compiled with a schema definition");
+            assert.notStrictEqual(filter.compile(), filter.compile(definition),
+                "Instance method 'compile' reused predicate compiled without a schema definition for a schema definition");
+        });
+        
+        it("should return predicates that agree with the 'match' method", async () => {
+            const {match: {source, targets}} = await fixtures;
+            
+            for (let fixture of Object.values(targets).flat()) {
+                assert.deepStrictEqual(source.filter(new Filter(fixture.expression).compile()).map((v) => v.id), fixture.expected,
+                    `Predicate returned by instance method 'compile' did not agree with 'match' for expression ${JSON.stringify(fixture.expression)}`);
+            }
+        });
+        
+        describe("benchmarks", () => {
+            // Generate a large set of values to evaluate filters against
+            const values = Array.from({length: 10000}, (v, i) => ({
+                id: String(i), userName: `User${i}`, active: !!(i % 2), number: i % 100, date: new Date(Date.UTC(2021, 0, 1 + (i % 365))).toISOString(),
+                name: {formatted: `User ${i}`, familyName: `Family${i % 50}`},
+                emails: [{type: "work", value: `user${i}@example.com`, primary: true}, {type: "home", value: `user${i}@example.org`}]
+            }));
+            
+            // Wrap a value so that every enumeration of the keys of it, or of any object within it, is counted
+            const counted = (value, counter) => new Proxy(value, {
+                ownKeys: (target) => (counter.enumerations++, Reflect.ownKeys(target)),
+                get: (target, key) => (Object(target[key]) === target[key] ? counted(target[key], counter) : target[key])
+            });
+            
+            const expressions = [
+                'userName sw "User1" and number gt 50',
+                'name.familyName eq "Family7" or active eq true',
+                'emails[type eq "work" and value ew "7@example.com"]',
+                'date ge "2021-06-01T00:00:00.000Z" and not emails.value co "99"'
+            ];
+            
+            // Work is counted instead of timed, so results don't depend on the speed of the machine running the tests
+            for (let expression of expressions) {
+                it(`should resolve attributes of '${expression}' against the schema definition the same number of times for 1 or ${values.length} values`, () => {
+                    const spy = sinon.spy(definition, "attribute");
+                    
+                    try {
+                        new Filter(expression).match(values.slice(0, 1), definition);
+                        
+                        const expected = spy.callCount;
+                        
+                        spy.resetHistory();
+                        new Filter(expression).match(values, definition);
+                        
+                        assert.strictEqual(spy.callCount, expected,
+                            `Instance method 'match' resolved attributes ${spy.callCount} times for ${values.length} values, compared to ${expected} times for 1 value`);
+                    } finally {
+                        spy.restore();
+                    }
+                });
+                
+                it(`should not enumerate keys of any of ${values.length} values to evaluate '${expression}' when attribute names match exactly`, () => {
+                    const counter = {enumerations: 0};
+                    const expected = new Filter(expression).match(values, definition).map(v => v.id);
+                    const actual = new Filter(expression).match(values.map(v => counted(v, counter)), definition).map(v => v.id);
+                    
+                    assert.deepStrictEqual(actual, expected,
+                        "Instance method 'match' did not match the same values when keys of values were counted");
+                    assert.strictEqual(counter.enumerations, 0,
+                        `Instance method 'match' enumerated keys of values ${counter.enumerations} times for ${values.length} values`);
+                });
+            }
+        });
+    });
+    
+    describe("#toAST()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).toAST === "function",
+                "Instance method 'toAST' not implemented");
+        });
+        
+        it("should represent filters as abstract syntax trees", async () => {
+            const {ast: {toAST: suite}} = await fixtures;
+            
+            for (let fixture of suite) {
+                assert.deepStrictEqual(new Filter(fixture.source).toAST(), fixture.target,
+                    `Instance method 'toAST' produced unexpected tree for expression '${fixture.source}'`);
+            }
+        });
+    });
+    
+    describe("#accept()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).accept === "function",
+                "Instance method 'accept' not implemented");
+        });
+        
+        it("should walk the filter's abstract syntax tree with the visitor", () => {
+            const attributes = new Filter('userName sw "A" or emails[type eq "work"]').accept({
+                LogicalExpression: (node, visit) => node.expressions.flatMap(visit),
+                ValuePathExpression: (node, visit) => visit(node.expression).map((name) => `${node.attribute}.${name}`),
+                ComparisonExpression: (node) => [node.attribute]
+            });
+            
+            assert.deepStrictEqual(attributes, ["userName", "emails.type"],
+                "Instance method 'accept' did not walk the filter's abstract syntax tree");
+        });
+    });
+    
+    describe("#and()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).and === "function",
+                "Instance method 'and' not implemented");
+        });
+        
+        it("should expect 'filters' arguments to be one or more Filter instances", () => {
+            for (let filters of [[], ["userName pr"], [new Filter("userName pr"), {}]]) {
+                assert.throws(() => new Filter("id pr").and(...filters),
+                    {name: "TypeError", message: "Expected 'filters' parameter to be one or more Filter instances in 'and' method of Filter"},
+                    "Instance method 'and' did not reject invalid 'filters' arguments");
+            }
+        });
+        
+        it("should join filters with a logical 'and' operation", () => {
+            const filter = new Filter("id pr").and(new Filter('userName sw "A" or userName sw "B"'), new Filter("active eq true"));
+            
+            assert.deepStrictEqual([...filter], [...new Filter('id pr and userName sw "A" and active eq true or id pr and userName sw "B" and active eq true')],
+                "Instance method 'and' did not join filters with a logical 'and' operation");
+            assert.strictEqual(filter.expression, 'id pr and (userName sw "A" or userName sw "B") and active eq true',
+                "Instance method 'and' did not group logical 'or' operations in filter expression");
+        });
+    });
+    
+    describe("#or()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).or === "function",
+                "Instance method 'or' not implemented");
+        });
+        
+        it("should expect 'filters' arguments to be one or more Filter instances", () => {
+            for (let filters of [[], ["userName pr"], [new Filter("userName pr"), {}]]) {
+                assert.throws(() => new Filter("id pr").or(...filters),
+                    {name: "TypeError", message: "Expected 'filters' parameter to be one or more Filter instances in 'or' method of Filter"},
+                    "Instance method 'or' did not reject invalid 'filters' arguments");
+            }
+        });
+        
+        it("should join filters with a logical 'or' operation", () => {
+            const filter = new Filter("id pr").or(new Filter('userName sw "A" and active eq true'));
+            
+            assert.deepStrictEqual([...filter], [...new Filter('id pr or userName sw "A" and active eq true')],
+                "Instance method 'or' did not join filters with a logical 'or' operation");
+            assert.strictEqual(filter.expression, 'id pr or userName sw "A" and active eq true',
+                "Instance method 'or' produced unexpected filter expression");
+        });
+    });
+    
+    describe("#not()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).not === "function",
+                "Instance method 'not' not implemented");
+        });
+        
+        it("should negate the filter with a logical 'not' operation", () => {
+            const filter = new Filter('userName sw "A" or active eq true').not();
+            
+            assert.deepStrictEqual([...filter], [{userName: ["not", "sw", "A"], active: ["not", "eq", true]}],
+                "Instance method 'not' did not negate the filter");
+            assert.strictEqual(filter.expression, 'not userName sw "A" and not active eq true',
+                "Instance method 'not' produced unexpected filter expression");
+        });
+        
+        it("should produce filter expressions that parse back to the same filter", () => {
+            const filters = [
+                new Filter('userName eq "A" or displayName eq "B"').not(),
+                new Filter('userName eq "A and B" and displayName co " or "').not(),
+                new Filter('userName sw "A"').and(new Filter('emails[type eq "work" or value co " and "]').not()),
+                new Filter('userName pr and (displayName eq "A" or nickName eq "B")').not().not()
+            ];
+            
+            for (let filter of filters) {
+                const parsed = new Filter(filter.expression);
+                const rendered = Filter.fromAST(parsed.toAST());
+                
+                assert.deepStrictEqual([...parsed], [...filter],
+                    `Instance method 'not' produced expression '${filter.expression}' that did not parse back to the same filter`);
+                assert.deepStrictEqual([...new Filter(rendered.expression)], [...filter],
+                    `Instance method 'not' produced expression '${filter.expression}' that did not parse back to the same filter once rendered again`);
+                assert.strictEqual(Filter.fromAST(new Filter(rendered.expression).toAST()).expression, rendered.expression,
+                    `Instance method 'not' produced expression '${filter.expression}' that did not render consistently once parsed`);
+            }
+        });
+    });
+    
+    describe("#toSQL()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).toSQL === "function",
+                "Instance method 'toSQL' not implemented");
+        });
+        
+        it("should expect 'mapping' argument to be an object", () => {
+            assert.throws(() => new Filter("id pr").toSQL(),
+                {name: "TypeError", message: "Expected 'mapping' parameter to be an object in 'toSQL' method of Filter"},
+                "Instance method 'toSQL' did not expect 'mapping' argument to be an object");
+            assert.throws(() => new Filter("id pr").toSQL("id"),
+                {name: "TypeError", message: "Expected 'mapping' parameter to be an object in 'toSQL' method of Filter"},
+                "Instance method 'toSQL' did not reject 'mapping' argument string value 'id'");
+        });
+        
+        it("should expect 'dialect' argument to be a supported SQL dialect", () => {
+            assert.throws(() => new Filter("id pr").toSQL({id: "id"}, "oracle"),
+                {name: "TypeError", message: "Expected 'dialect' parameter to be one of 'postgres', 'mysql', 'sqlite' in 'toSQL' method of Filter"},
+                "Instance method 'toSQL' did not reject unsupported 'dialect' argument value 'oracle'");
+        });
+        
+        it("should expect 'definition' argument to be an instance of SchemaDefinition", () => {
+            assert.throws(() => new Filter("id pr").toSQL({id: "id"}, "postgres", {}),
+                {name: "TypeError", message: "Expected 'definition' parameter to be an instance of SchemaDefinition in 'toSQL' method of Filter"},
+                "Instance method 'toSQL' did not reject 'definition' argument that was not a SchemaDefinition instance");
+        });
+        
+        it("should throw when attributes in the filter are not mapped to columns", () => {
+            assert.throws(() => new Filter("id pr").toSQL({userName: "user_name"}),
+                {name: "SCIMError", status: 400, scimType: "invalidFilter", message: "Attribute 'id' in filter is not mapped to a column"},
+                "Instance method 'toSQL' did not throw when attribute was not mapped to a column");
+            assert.throws(() => new Filter("emails co \"a\"").toSQL({emails: {table: "emails", on: "true", columns: {type: "type"}}}),
+                {name: "SCIMError", status: 400, scimType: "invalidFilter", message: "Attribute 'emails' in filter is not mapped to a column for direct comparison"},
+                "Instance method 'toSQL' did not throw when multi-valued attribute had no 'value' column");
+        });
+        
+        it("should throw when ordering comparators are used with boolean attributes", () => {
+            assert.throws(() => new Filter("active gt true").toSQL({active: "active"}, "postgres", definition),
+                {name: "SCIMError", status: 400, scimType: "invalidFilter", message: "Comparator 'gt' is not supported for boolean attribute 'active' in filter"},
+                "Instance method 'toSQL' did not throw when 'gt' comparator was used with boolean attribute");
+        });
+        
+        it("should compare strings case-sensitively when no definition is supplied, as 'match' does", () => {
+            assert.deepStrictEqual({...new Filter("userName eq \"Bob\" and name.formatted co \"b\"").toSQL({userName: "user_name", "name.formatted": "formatted"})},
+                {sql: "user_name = $1 AND formatted LIKE $2", values: ["Bob", "%b%"]},
+                "Instance method 'toSQL' did not compare strings case-sensitively without a definition");
+            assert.deepStrictEqual(new Filter("userName eq \"Bob\"").match([{userName: "Bob"}, {userName: "bob"}]), [{userName: "Bob"}],
+                "Instance method 'match' did not compare strings case-sensitively without a definition");
+        });
+        
+        const targets = [
+            ["comparators", "compile known comparison expressions"],
+            ["types", "handle attribute values of different types"],
+            ["negations", "compile negation expressions so missing values are included"],
+            ["nesting", "compile complex and multi-valued attribute expressions"],
+            ["logical", "compile logical 'and' and 'or' expressions"],
+            ["cases", "respect case sensitivity of attributes in the schema definition"],
+            ["dialects", "compile expressions for each supported SQL dialect"]
+        ];
+        
+        for (let [key, label] of targets) {
+            it(`should ${label}`, async function () {
+                const {toSQL: {mapping, targets: {[key]: suite}}} = await fixtures;
+                
+                if (!suite.length) this.skip();
+                else for (let fixture of suite) {
+                    assert.deepStrictEqual({...new Filter(fixture.expression).toSQL(mapping, fixture.dialect, definition)}, fixture.expected,
+                        `Unexpected result in '${key}' fixture #${suite.indexOf(fixture) + 1}\r\n[expression]: ${fixture.expression}`);
+                }
+            });
+        }
+    });
+    
+    describe("#toMongo()", () => {
+        it("should be implemented", () => {
+            assert.ok(typeof (new Filter("id pr")).toMongo === "function",
+                "Instance method 'toMongo' not implemented");
+        });
+        
+        it("should expect 'mapping' argument to be an object", () => {
+            assert.throws(() => new Filter("id pr").toMongo("id"),
+                {name: "TypeError", message: "Expected 'mapping' parameter to be an object in 'toMongo' method of Filter"},
+                "Instance method 'toMongo' did not reject 'mapping' argument string value 'id'");
+        });
+        
+        it("should expect 'definition' argument to be an instance of SchemaDefinition", () => {
+            assert.throws(() => new Filter("id pr").toMongo({}, {}),
+                {name: "TypeError", message: "Expected 'definition' parameter to be an instance of SchemaDefinition in 'toMongo' method of Filter"},
+                "Instance method 'toMongo' did not reject 'definition' argument that was not a SchemaDefinition instance");
+        });
+        
+        it("should use attribute names as field paths when no mapping is supplied", () => {
+            assert.deepStrictEqual(new Filter("name.familyName eq \"Smith\"").toMongo(), {"name.familyName": {$eq: "Smith"}},
+                "Instance method 'toMongo' did not use attribute names as field paths");
+        });
+        
+        it("should use '$elemMatch' conditions for complex attribute filters when no definition is supplied", () => {
+            assert.deepStrictEqual(new Filter("emails[type eq \"work\" and value co \"x\"]").toMongo(), {emails: {$elemMatch: {$and: [
+                {type: {$eq: "work"}}, {value: {$regex: "x"}}
+            ]}}}, "Instance method 'toMongo' did not use '$elemMatch' condition for complex attribute filter without a definition");
+        });
+        
+        it("should compare strings case-sensitively when no definition is supplied, as 'match' does", () => {
+            assert.deepStrictEqual(new Filter("userName eq \"Bob\" and name.formatted co \"b\"").toMongo(), {$and: [
+                {userName: {$eq: "Bob"}}, {"name.formatted": {$regex: "b"}}
+            ]}, "Instance method 'toMongo' did not compare strings case-sensitively without a definition");
+        });
+        
+        it("should compare dateTime attribute values as dates", () => {
+            assert.deepStrictEqual(new Filter("date gt \"2021-09-08T00:00:00Z\"").toMongo({}, definition), {date: {$gt: new Date("2021-09-08T00:00:00Z")}},
+                "Instance method 'toMongo' did not compare dateTime attribute values as dates");
+        });
+        
+        const targets = [
+            ["comparators", "compile known comparison expressions"],
+            ["types", "handle attribute values of different types"],
+            ["negations", "compile negation expressions so missing values are included"],
+            ["nesting", "compile complex and multi-valued attribute expressions"],
+            ["logical", "compile logical 'and' and 'or' expressions"],
+            ["cases", "respect case sensitivity of attributes in the schema definition"]
+        ];
+        
+        for (let [key, label] of targets) {
+            it(`should ${label}`, async function () {
+                const {toMongo: {mapping, targets: {[key]: suite}}} = await fixtures;
+                
+                if (!suite.length) this.skip();
+                else for (let fixture of suite) {
+                    assert.deepStrictEqual(new Filter(fixture.expression).toMongo(mapping, definition), fixture.expected,
+                        `Unexpected result in '${key}' fixture #${suite.indexOf(fixture) + 1}\r\n[expression]: ${fixture.expression}`);
+                }
+            });
+        }
     });
 });
\ No newline at end of file
@@ -1,6 +1,12 @@
 import assert from "assert";
+import sinon from "sinon";
+import {Attribute} from "#@/lib/types/attribute.js";
+import {SchemaDefinition} from "#@/lib/types/definition.js";
 import {Resource} from "#@/lib/types/resource.js";
 import {Filter} from "#@/lib/types/filter.js";
+import {Adapter} from "#@/lib/types/adapter.js";
+import {ListResponse} from "#@/lib/messages/listresponse.js";
+import {PatchOp} from "#@/lib/messages/patchop.js";
 import {createSchemaClass} from "../../hooks/schemas.js";
 import {createResourceClass} from "../../hooks/resources.js";
 
@@ -20,7 +26,7 @@ describe("SCIMMY.Types.Resource", () => {
         });
     }
     
-    for (let method of ["basepath", "ingress", "egress", "degress"]) {
+    for (let method of ["basepath", "ingress", "egress", "degress", "patcher", "unique"]) {
         describe(`.${method}()`, () => {
             it("should be defined", () => {
                 assert.ok(typeof Resource[method] === "function",
@@ -42,6 +48,129 @@ describe("SCIMMY.Types.Resource", () => {
         });
     });
     
+    describe(".adapter()", () => {
+        // Resource type that keeps the handlers it is given, and an adapter that keeps the arguments it was called with
+        class TestResource extends createResourceClass() {
+            static handlers = {};
+            static ingress(handler) { TestResource.handlers.ingress = handler; }
+            static egress(handler) { TestResource.handlers.egress = handler; }
+            static degress(handler) { TestResource.handlers.degress = handler; }
+            static patcher(handler) { TestResource.handlers.patcher = handler; }
+        }
+        
+        class TestAdapter extends Adapter {
+            calls = [];
+            async find(...args) { this.calls.push(["find", ...args]); return [{id: "3"}, {id: "4"}]; }
+            async findById(...args) { this.calls.push(["findById", ...args]); return (args[1] === "1" ? {id: "1"} : undefined); }
+            async insert(...args) { this.calls.push(["insert", ...args]); return {id: "1"}; }
+            async replace(...args) { this.calls.push(["replace", ...args]); return {id: "1"}; }
+            async delete(...args) { this.calls.push(["delete", ...args]); }
+            async count(...args) { this.calls.push(["count", ...args]); return 10; }
+        }
+        
+        beforeEach(() => (TestResource.handlers = {}));
+        
+        it("should be implemented", () => {
+            assert.ok(typeof Resource.adapter === "function",
+                "Static method 'adapter' was not implemented");
+        });
+        
+        it("should expect 'adapter' argument to be an instance of Adapter", () => {
+            for (let value of [undefined, "a string", {}, TestAdapter]) {
+                assert.throws(() => TestResource.adapter(value),
+                    {name: "TypeError", message: "Expected 'adapter' parameter to be an instance of Adapter in 'adapter' method of resource 'TestResource'"},
+                    `Static method 'adapter' did not reject 'adapter' parameter value '${value}'`);
+            }
+        });
+        
+        it("should return the resource type class for chaining", () => {
+            assert.strictEqual(TestResource.adapter(new TestAdapter()), TestResource,
+                "Static method 'adapter' did not return the resource type class for chaining");
+        });
+        
+        it("should set ingress, egress, and degress handlers of the resource type", () => {
+            TestResource.adapter(new TestAdapter());
+            
+            for (let handler of ["ingress", "egress", "degress"]) {
+                assert.ok(typeof TestResource.handlers[handler] === "function",
+                    `Static method 'adapter' did not set '${handler}' handler of the resource type`);
+            }
+        });
+        
+        it("should only set patcher handler of the resource type if adapter implements 'applyPatch' method", async () => {
+            const adapter = new (class extends TestAdapter {
+                async applyPatch(...args) { this.calls.push(["applyPatch", ...args]); return {id: "1"}; }
+            })();
+            
+            TestResource.adapter(new TestAdapter());
+            assert.strictEqual(TestResource.handlers.patcher, undefined,
+                "Static method 'adapter' set patcher handler when adapter did not implement 'applyPatch' method");
+            
+            TestResource.adapter(adapter);
+            await TestResource.handlers.patcher(new TestResource("1"), "message", "context");
+            assert.deepStrictEqual(adapter.calls, [["applyPatch", TestResource, "1", "message", "context"]],
+                "Patcher handler set by static method 'adapter' did not call adapter's 'applyPatch' method");
+        });
+        
+        it("should set ingress handler to insert new resources, and replace existing resources", async () => {
+            const adapter = new TestAdapter();
+            
+            TestResource.adapter(adapter);
+            await TestResource.handlers.ingress(new TestResource(), "new", "context");
+            await TestResource.handlers.ingress(new TestResource("1"), "existing", "context");
+            
+            assert.deepStrictEqual(adapter.calls, [["insert", TestResource, "new", "context"], ["replace", TestResource, "1", "existing", "context"]],
+                "Ingress handler set by static method 'adapter' did not call adapter's 'insert' and 'replace' methods");
+        });
+        
+        it("should set egress handler to find specific resources by ID", async () => {
+            const adapter = new TestAdapter();
+            
+            TestResource.adapter(adapter);
+            
+            assert.deepStrictEqual(await TestResource.handlers.egress(new TestResource("1"), "context"), {id: "1"},
+                "Egress handler set by static method 'adapter' did not return specific resource");
+            assert.deepStrictEqual(adapter.calls, [["findById", TestResource, "1", "context"]],
+                "Egress handler set by static method 'adapter' did not call adapter's 'findById' method");
+        });
+        
+        it("should set egress handler to throw a SCIMError with status 404 if specific resources are not found", async () => {
+            TestResource.adapter(new TestAdapter());
+            
+            await assert.rejects(() => TestResource.handlers.egress(new TestResource("2")),
+                {name: "SCIMError", status: 404, scimType: null, message: "Resource 2 not found"},
+                "Egress handler set by static method 'adapter' did not reject when specific resource was not found");
+        });
+        
+        it("should set egress handler to find and count resources matching filter and constraints", async () => {
+            const adapter = new TestAdapter();
+            const resource = new TestResource({filter: "userName pr", attributes: "userName", startIndex: 3, count: 2});
+            
+            TestResource.adapter(adapter);
+            
+            const list = await TestResource.handlers.egress(resource, "context");
+            
+            assert.deepStrictEqual(adapter.calls, [
+                ["find", TestResource, resource.filter, resource.constraints, resource.attributes, "context"],
+                ["count", TestResource, resource.filter, "context"]
+            ], "Egress handler set by static method 'adapter' did not call adapter's 'find' and 'count' methods");
+            assert.ok(list instanceof ListResponse,
+                "Egress handler set by static method 'adapter' did not return a list response");
+            assert.deepStrictEqual([list.Resources, list.startIndex, list.totalResults], [[{id: "3"}, {id: "4"}], 3, 10],
+                "Egress handler set by static method 'adapter' did not return page of resources with starting index and total number of matching resources");
+        });
+        
+        it("should set degress handler to delete resources", async () => {
+            const adapter = new TestAdapter();
+            
+            TestResource.adapter(adapter);
+            await TestResource.handlers.degress(new TestResource("1"), "context");
+            
+            assert.deepStrictEqual(adapter.calls, [["delete", TestResource, "1", "context"]],
+                "Degress handler set by static method 'adapter' did not call adapter's 'delete' method");
+        });
+    });
+    
     describe(".describe()", () => {
         it("should be implemented", () => {
             assert.ok(typeof Resource.describe === "function",
@@ -85,6 +214,12 @@ describe("SCIMMY.Types.Resource", () => {
             assert.ok(new Resource({filter: "userName eq \"Test\""}).filter instanceof Filter,
                 "Instance member 'filter' was not an instance of Filter");
         });
+        
+        it("should describe where and why malformed filter expressions could not be parsed", () => {
+            assert.throws(() => new Resource({filter: "userName eq \"a\" and (emails.value co \"x\""}),
+                {name: "SCIMError", status: 400, scimType: "invalidFilter", message: "Missing closing ')' token for '(' at offset 20 in filter"},
+                "Instance member 'filter' did not describe where and why malformed filter expression could not be parsed");
+        });
     });
     
     describe("#attributes", () => {
@@ -190,6 +325,310 @@ describe("SCIMMY.Types.Resource", () => {
         }
     });
     
+    describe("#preconditions", () => {
+        for (let param of ["ifMatch", "ifNoneMatch"]) {
+            context(`when '${param}' query parameter was defined`, () => {
+                it(`should expect '${param}' query parameter to be a non-empty string`, () => {
+                    const fixtures = [
+                        ["empty string value", ""],
+                        ["number value '1'", 1],
+                        ["boolean value 'false'", false],
+                        ["object value", {}],
+                        ["array value", []]
+                    ];
+                    
+                    for (let [label, value] of fixtures) {
+                        assert.throws(() => new Resource("1", {[param]: value}),
+                            {name: "SCIMError", status: 400, scimType: "invalidSyntax",
+                                message: `Expected ${param} to be a comma-separated list of entity tags`},
+                            `Resource did not reject '${param}' query parameter with ${label}`);
+                    }
+                });
+                
+                it(`should include '${param}' property listing each entity tag in '${param}' query parameter`, () => {
+                    const resource = new Resource("1", {[param]: 'W/"a,b", "c" ,*'});
+                    
+                    assert.deepStrictEqual(resource.preconditions[param], ['W/"a,b"', '"c"', "*"],
+                        `Instance member 'preconditions' did not include '${param}' property listing each entity tag`);
+                });
+            });
+        }
+        
+        it("should not be defined when neither 'ifMatch' nor 'ifNoneMatch' query parameters were defined", () => {
+            assert.strictEqual(new Resource("1", {attributes: "name"}).preconditions, undefined,
+                "Instance member 'preconditions' was unexpectedly defined");
+        });
+    });
+    
+    describe("#precondition()", () => {
+        const fixtures = [
+            ["ifMatch", 'W/"a"', {meta: {version: 'W/"a"'}}, true],
+            ["ifMatch", '"a"', {meta: {version: 'W/"a"'}}, true],
+            ["ifMatch", 'W/"a"', {meta: {version: "a"}}, true],
+            ["ifMatch", 'W/"a", W/"b"', {meta: {version: 'W/"b"'}}, true],
+            ["ifMatch", 'W/"a"', {meta: {version: 'W/"b"'}}, false],
+            ["ifMatch", 'W/"a"', {}, false],
+            ["ifMatch", "*", {}, true],
+            ["ifMatch", "*", undefined, false],
+            ["ifNoneMatch", 'W/"a"', {meta: {version: 'W/"a"'}}, false],
+            ["ifNoneMatch", 'W/"a"', {meta: {version: 'W/"b"'}}, true],
+            ["ifNoneMatch", 'W/"a"', {}, true],
+            ["ifNoneMatch", "*", {}, false],
+            ["ifNoneMatch", "*", undefined, true]
+        ];
+        
+        it("should be defined", () => {
+            assert.ok(typeof (new Resource()).precondition === "function",
+                "Instance method 'precondition' was not defined");
+        });
+        
+        it("should do nothing when no preconditions were defined", () => {
+            assert.doesNotThrow(() => new Resource("1").precondition({meta: {version: 'W/"a"'}}),
+                "Instance method 'precondition' unexpectedly rejected resource without preconditions");
+        });
+        
+        for (let [param, tags, instance, satisfied] of fixtures) {
+            const label = (instance === undefined ? "missing resource" : `resource with ${instance.meta ? `version '${instance.meta.version}'` : "no version"}`);
+            
+            it(`should ${satisfied ? "accept" : "reject"} ${label} when '${param}' query parameter was '${tags}'`, () => {
+                const resource = new Resource("1", {[param]: tags});
+                
+                if (satisfied) assert.doesNotThrow(() => resource.precondition(instance),
+                    `Instance method 'precondition' unexpectedly rejected ${label}`);
+                else assert.throws(() => resource.precondition(instance),
+                    {name: "SCIMError", status: 412, scimType: null,
+                        message: `Version of resource 1 ${param === "ifMatch" ? "does not match any entity tags in If-Match" : "matches an entity tag in If-None-Match"} precondition`},
+                    `Instance method 'precondition' did not reject ${label}`);
+            });
+        }
+    });
+    
+    describe("#uniqueness()", () => {
+        // Resource type whose schema has unique attributes, both directly and in a schema extension
+        class TestResource extends createResourceClass() {
+            static schema = createSchemaClass({attributes: [
+                new Attribute("string", "userName", {uniqueness: "server"}),
+                new Attribute("string", "externalId", {uniqueness: "global", caseExact: true}),
+                new Attribute("string", "aliases", {uniqueness: "server", multiValued: true}),
+                new Attribute("string", "displayName")
+            ]});
+        }
+        
+        const extension = new SchemaDefinition("Extension", "urn:ietf:params:scim:schemas:Extension", "", [
+            new Attribute("string", "badge", {uniqueness: "server"})
+        ]);
+        
+        before(() => TestResource.schema.definition.extend(extension));
+        
+        it("should be defined", () => {
+            assert.ok(typeof (new Resource()).uniqueness === "function",
+                "Instance method 'uniqueness' was not defined");
+        });
+        
+        it("should call handler with each unique attribute, its value, the resource, and the context", async () => {
+            const handler = sinon.stub().returns(true);
+            const resource = new TestResource("1");
+            const ctx = {};
+            
+            await resource.uniqueness({userName: "AdeleV", externalId: "Ext-1", displayName: "Adele Vance"}, handler, ctx);
+            
+            assert.deepStrictEqual(handler.args.map(([a, v, r, c]) => [a.name, v, r === resource, c === ctx]), [
+                ["userName", "adelev", true, true],
+                ["externalId", "Ext-1", true, true]
+            ], "Instance method 'uniqueness' did not call handler with unique attributes and folded values");
+        });
+        
+        it("should call handler with each value of multi-valued unique attributes", async () => {
+            const handler = sinon.stub().returns(true);
+            
+            await new TestResource().uniqueness({aliases: ["Adele", "AdeleV"]}, handler);
+            
+            assert.deepStrictEqual(handler.args.map(([, v]) => v), ["adele", "adelev"],
+                "Instance method 'uniqueness' did not call handler with each value of multi-valued attribute");
+        });
+        
+        it("should call handler with values of unique schema extension attributes", async () => {
+            const handler = sinon.stub().returns(true);
+            
+            await new TestResource().uniqueness({[extension.id]: {badge: "A1"}}, handler);
+            await new TestResource().uniqueness({[`${extension.id}:badge`]: "B2"}, handler);
+            
+            assert.deepStrictEqual(handler.args.map(([a, v]) => [a.name, v]), [["badge", "a1"], ["badge", "b2"]],
+                "Instance method 'uniqueness' did not call handler with values of schema extension attributes");
+        });
+        
+        it("should only call handler with values set by 'add' and 'replace' operations of PatchOp messages", async () => {
+            const handler = sinon.stub().returns(true);
+            const message = new PatchOp({schemas: [PatchOp.id], Operations: [
+                {op: "replace", path: "userName", value: "AdeleV"},
+                {op: "add", value: {externalId: "Ext-1"}},
+                {op: "remove", path: "aliases"}
+            ]}, TestResource.schema.definition);
+            
+            await new TestResource("1").uniqueness(message, handler);
+            
+            assert.deepStrictEqual(handler.args.map(([a, v]) => [a.name, v]), [["userName", "adelev"], ["externalId", "Ext-1"]],
+                "Instance method 'uniqueness' did not call handler with values set by PatchOp operations");
+        });
+        
+        it("should resolve paths of PatchOp operations prefixed with schema IDs against the schema definition", async () => {
+            const handler = sinon.stub().returns(true);
+            const {id} = TestResource.schema.definition;
+            const message = new PatchOp({schemas: [PatchOp.id], Operations: [
+                {op: "replace", path: `${id}:userName`, value: "AdeleV"},
+                {op: "add", value: {[`${id}:externalId`]: "Ext-1", [id]: {aliases: ["Adele"]}}},
+                {op: "add", path: `${extension.id}:badge`, value: "A1"}
+            ]});
+            
+            await new TestResource("1").uniqueness(message, handler);
+            
+            assert.deepStrictEqual(handler.args.map(([a, v]) => [a.name, v]), [["userName", "adelev"], ["externalId", "Ext-1"], ["aliases", "adele"], ["badge", "a1"]],
+                "Instance method 'uniqueness' did not call handler with values set by PatchOp operations with paths prefixed by schema IDs");
+        });
+        
+        it("should resolve filtered paths of PatchOp operations against the schema definition", async () => {
+            const handler = sinon.stub().returns(true);
+            const message = new PatchOp({schemas: [PatchOp.id], Operations: [
+                {op: "replace", path: 'aliases[value eq "Adele]"]', value: "AdeleV"}
+            ]});
+            
+            await new TestResource("1").uniqueness(message, handler);
+            
+            assert.deepStrictEqual(handler.args.map(([a, v]) => [a.name, v]), [["aliases", "adelev"]],
+                "Instance method 'uniqueness' did not call handler with values set by PatchOp operations with filtered paths");
+        });
+        
+        it("should throw a SCIMError with status 409 when handler reports a value is not unique", async () => {
+            const handler = sinon.stub().callsFake((attribute) => attribute.name !== "externalId");
+            
+            await assert.rejects(() => new TestResource().uniqueness({userName: "AdeleV", externalId: "Ext-1"}, handler),
+                {name: "SCIMError", status: 409, scimType: "uniqueness", message: "Value 'Ext-1' of attribute 'externalId' is not unique"},
+                "Instance method 'uniqueness' did not reject value that was not unique");
+        });
+    });
+    
+    describe("#mutability()", () => {
+        // Resource type whose schema has immutable and readOnly attributes, both directly and in a singular complex attribute
+        class TestResource extends createResourceClass() {
+            static schema = createSchemaClass({attributes: [
+                new Attribute("string", "userName"),
+                new Attribute("string", "employeeNumber", {mutable: "immutable"}),
+                new Attribute("string", "badge", {mutable: false}),
+                new Attribute("complex", "manager", {}, [
+                    new Attribute("string", "value", {mutable: "immutable", caseExact: true}),
+                    new Attribute("string", "displayName", {mutable: false})
+                ])
+            ]});
+        }
+        
+        const existing = {id: "1", userName: "AdeleV", employeeNumber: "E1", badge: "A1", manager: {value: "M1", displayName: "Grady"}};
+        
+        it("should be defined", () => {
+            assert.ok(typeof (new Resource()).mutability === "function",
+                "Instance method 'mutability' was not defined");
+        });
+        
+        it("should ignore values of readOnly attributes", async () => {
+            const instance = new TestResource.schema({userName: "AdeleV", badge: "B2", manager: {value: "M1", displayName: "Lynne"}}, "in");
+            const actual = await new TestResource("1").mutability(instance, () => existing);
+            
+            assert.strictEqual(actual.badge, undefined,
+                "Instance method 'mutability' did not ignore value of readOnly attribute");
+            assert.deepStrictEqual(actual.manager, {value: "M1"},
+                "Instance method 'mutability' did not ignore value of readOnly sub-attribute");
+        });
+        
+        it("should not call handler when no values of immutable attributes are written", async () => {
+            const handler = sinon.stub().returns(existing);
+            
+            await new TestResource("1").mutability(new TestResource.schema({userName: "AdeleV", badge: "B2"}, "in"), handler);
+            
+            assert.ok(handler.notCalled,
+                "Instance method 'mutability' called handler when no values of immutable attributes were written");
+        });
+        
+        it("should call handler with the resource and context when values of immutable attributes are written", async () => {
+            const handler = sinon.stub().returns(existing);
+            const resource = new TestResource("1");
+            const ctx = {};
+            
+            await resource.mutability(new TestResource.schema({userName: "AdeleV", employeeNumber: "e1"}, "in"), handler, ctx);
+            
+            assert.ok(handler.calledOnceWithExactly(resource, ctx),
+                "Instance method 'mutability' did not call handler with the resource and context");
+        });
+        
+        it("should allow values of immutable attributes that are not already set", async () => {
+            const instance = new TestResource.schema({userName: "AdeleV", employeeNumber: "E2"}, "in");
+            
+            await assert.doesNotReject(() => new TestResource("1").mutability(instance, () => ({...existing, employeeNumber: undefined})),
+                "Instance method 'mutability' rejected value of immutable attribute that was not already set");
+        });
+        
+        for (let [label, instance] of [
+            ["attribute", {userName: "AdeleV", employeeNumber: "E2"}],
+            ["sub-attribute", {userName: "AdeleV", manager: {value: "m1"}}]
+        ]) {
+            it(`should throw a SCIMError with status 400 when values of immutable ${label}s are changed`, async () => {
+                const [name] = Object.keys(instance.manager ?? instance).filter(k => k !== "userName");
+                
+                await assert.rejects(() => new TestResource("1").mutability(new TestResource.schema(instance, "in"), () => existing),
+                    {name: "SCIMError", status: 400, scimType: "mutability", message: `Attribute '${name}' already defined and is not mutable`},
+                    `Instance method 'mutability' did not reject changed value of immutable ${label}`);
+            });
+        }
+        
+        for (let [label, name, operation] of [
+            ["attributes", "badge", {op: "replace", path: "badge", value: "B2"}],
+            ["sub-attributes", "displayName", {op: "replace", path: "manager.displayName", value: "Lynne"}],
+            ["shadow attributes", "id", {op: "replace", path: "id", value: "2"}],
+            ["attributes in values of operations without paths", "meta", {op: "add", value: {meta: {created: "2024-01-01T00:00:00.000Z"}}}]
+        ]) {
+            it(`should throw a SCIMError with status 400 when PatchOp operations target readOnly ${label}`, async () => {
+                const message = new PatchOp({schemas: [PatchOp.id], Operations: [operation]}, TestResource.schema.definition);
+                
+                await assert.rejects(() => new TestResource("1").mutability(message, () => existing),
+                    {name: "SCIMError", status: 400, scimType: "mutability",
+                        message: `Attribute '${name}' is readOnly and can not be modified for '${operation.op}' op of operation 1 in PatchOp request body`},
+                    `Instance method 'mutability' did not reject PatchOp operation targeting readOnly ${label}`);
+            });
+        }
+        
+        it("should allow PatchOp operations that do not change values of immutable attributes", async () => {
+            const message = new PatchOp({schemas: [PatchOp.id], Operations: [
+                {op: "replace", path: "employeeNumber", value: "E1"},
+                {op: "add", path: "manager", value: {value: "M1"}},
+                {op: "replace", path: "userName", value: "GradyA"}
+            ]}, TestResource.schema.definition);
+            
+            assert.strictEqual(await new TestResource("1").mutability(message, () => existing), message,
+                "Instance method 'mutability' did not allow PatchOp operations that did not change values of immutable attributes");
+        });
+        
+        it("should allow PatchOp operations that set values of immutable attributes that are not already set", async () => {
+            const message = new PatchOp({schemas: [PatchOp.id], Operations: [{op: "add", path: "employeeNumber", value: "E2"}]}, TestResource.schema.definition);
+            
+            await assert.doesNotReject(() => new TestResource("1").mutability(message, () => ({...existing, employeeNumber: undefined})),
+                "Instance method 'mutability' rejected PatchOp operation setting value of immutable attribute that was not already set");
+        });
+        
+        for (let [label, name, operation] of [
+            ["replace", "employeeNumber", {op: "replace", path: "employeeNumber", value: "E2"}],
+            ["remove", "employeeNumber", {op: "remove", path: "employeeNumber"}],
+            ["replace sub-attribute", "value", {op: "replace", path: "manager.value", value: "m1"}],
+            ["add without path", "value", {op: "add", value: {manager: {value: "M2"}}}]
+        ]) {
+            it(`should throw a SCIMError with status 400 when '${label}' PatchOp operations change values of immutable attributes`, async () => {
+                const message = new PatchOp({schemas: [PatchOp.id], Operations: [operation]}, TestResource.schema.definition);
+                
+                await assert.rejects(() => new TestResource("1").mutability(message, () => existing),
+                    {name: "SCIMError", status: 400, scimType: "mutability",
+                        message: `Attribute '${name}' already defined and is not mutable for '${operation.op}' op of operation 1 in PatchOp request body`},
+                    `Instance method 'mutability' did not reject '${label}' PatchOp operation changing value of immutable attribute`);
+            });
+        }
+    });
+    
     for (let method of ["read", "write", "patch", "dispose"]) {
         describe(`#${method}()`, () => {
             it("should be defined", () => {
@@ -74,6 +74,45 @@ describe("SCIMMY.Types.Schema", () => {
         });
     });
     
+    describe(".version()", () => {
+        const attributes = [new Attribute("string", "aValue"), new Attribute("string", "aString"), new Attribute("string", "aSecret", {returned: "never"})];
+        const Test = createSchemaClass({attributes});
+        const source = {id: "1", aValue: "a", aString: "b", aSecret: "c"};
+        
+        it("should be implemented", () => {
+            assert.ok(typeof Schema.version === "function",
+                "Static method 'version' was not implemented");
+        });
+        
+        it("should expect 'instance' argument to be an instance of the schema", () => {
+            for (let value of [undefined, {}, new (createSchemaClass({name: "Other", id: "urn:ietf:params:scim:schemas:Other"}))({})]) {
+                assert.throws(() => Test.version(value),
+                    {name: "TypeError", message: "Expected 'instance' parameter to be an instance of the schema in 'version' method of Schema"},
+                    "Static method 'version' did not expect 'instance' argument to be an instance of the schema");
+            }
+        });
+        
+        it("should return a weak entity tag", () => {
+            assert.ok(/^W\/"[0-9a-f]{16}"$/.test(Test.version(new Test(source, "out"))),
+                "Static method 'version' did not return a weak entity tag");
+        });
+        
+        it("should return the same entity tag for the same content, regardless of attribute order or location", () => {
+            const expected = Test.version(new Test(source, "out", "/Test"));
+            const actual = Test.version(new Test({aString: "b", aValue: "a", id: "1", meta: {version: 'W/"a"'}}, "out", "/Other"));
+            
+            assert.strictEqual(actual, expected,
+                "Static method 'version' did not return the same entity tag for the same content");
+        });
+        
+        it("should return a different entity tag when the value of a returned attribute changes", () => {
+            assert.notStrictEqual(Test.version(new Test({...source, aString: "d"}, "out")), Test.version(new Test(source, "out")),
+                "Static method 'version' did not return a different entity tag when the value of an attribute changed");
+            assert.strictEqual(Test.version(new Test({...source, aSecret: "d"}, "out")), Test.version(new Test(source, "out")),
+                "Static method 'version' unexpectedly returned a different entity tag when the value of a never returned attribute changed");
+        });
+    });
+    
     describe("@constructor", () => {
         new SchemasHooks(createSchemaClass({attributes: [new Attribute("string", "aString")]}), fixtures).construct().call();
         
@@ -26,4 +26,19 @@ describe("SCIMMY", () => {
         assert.ok(!!SCIMMY.Resources,
             "Static class 'Resources' not defined");
     });
+    
+    it("should include static class 'Dispatcher'", () => {
+        assert.ok(!!SCIMMY.Dispatcher,
+            "Static class 'Dispatcher' not defined");
+    });
+    
+    it("should include static class 'Client'", () => {
+        assert.ok(!!SCIMMY.Client,
+            "Static class 'Client' not defined");
+    });
+    
+    it("should include static class 'Stores'", () => {
+        assert.ok(!!SCIMMY.Stores,
+            "Static class 'Stores' not defined");
+    });
 });
\ No newline at end of file